@@ -0,0 +1,1374 @@
+/**
+ * @fileoverview Calculator Engine
+ * @description Headless calculator: holds the state of one calculator (current input,
+ * formula, modes, and memory) and implements every calculator command without touching
+ * the DOM. Input arrives through `press(key)` or `execute(action, value)`, and the engine
+ * dispatches a `change` event after each state change (plus a `calculate` event for each
+ * completed calculation), which the calculator component renders. Several engines can run
+ * side by side, each with its own state.
+ *
+ * @module components/calculator-engine
+ * @version 1.0.0
+ */
+
+import {
+  CONSTANTS,
+  FUNCTIONS,
+  POSTFIX_OPERATORS,
+  evaluateOperation,
+  evaluateExpression,
+  tokenize,
+} from "../utils/expression-parser.js";
+import { Decimal } from "../utils/decimal.js";
+import {
+  BASES,
+  BITWISE_OPERATORS,
+  evaluateIntegerExpression,
+  formatInteger,
+  parseInteger,
+  tokenizeInteger,
+  wrapToWordSize,
+} from "../utils/programmer.js";
+
+/**
+ * Default number of significant digits shown for non-integer results.
+ * @type {number}
+ * @constant
+ */
+export const DEFAULT_DISPLAY_PRECISION = 12;
+
+/**
+ * Binary operators supported by the calculator.
+ * @type {Array<string>}
+ * @constant
+ */
+const OPERATORS = ["+", "-", "×", "÷", "^", ...BITWISE_OPERATORS];
+
+/**
+ * Tokens that take a parenthesized argument: the scientific functions and bitwise NOT.
+ * @type {Array<string>}
+ * @constant
+ */
+const PREFIX_FUNCTIONS = [...FUNCTIONS, "NOT"];
+
+/**
+ * Angle modes in the order the angle mode button cycles through them.
+ * @type {Array<string>}
+ * @constant
+ */
+export const ANGLE_MODES = ["deg", "rad", "grad"];
+
+/**
+ * Key bindings, mapping keyboard keys to calculator commands.
+ * @type {Object<string, {action: string, value?: string}>}
+ * @constant
+ */
+const KEY_BINDINGS = {
+  0: { action: "digit", value: "0" },
+  1: { action: "digit", value: "1" },
+  2: { action: "digit", value: "2" },
+  3: { action: "digit", value: "3" },
+  4: { action: "digit", value: "4" },
+  5: { action: "digit", value: "5" },
+  6: { action: "digit", value: "6" },
+  7: { action: "digit", value: "7" },
+  8: { action: "digit", value: "8" },
+  9: { action: "digit", value: "9" },
+  ".": { action: "decimal" },
+  ",": { action: "decimal" },
+  "+": { action: "operator", value: "+" },
+  "-": { action: "operator", value: "-" },
+  "*": { action: "operator", value: "×" },
+  x: { action: "operator", value: "×" },
+  X: { action: "operator", value: "×" },
+  "/": { action: "operator", value: "÷" },
+  "^": { action: "operator", value: "^" },
+  Enter: { action: "equals" },
+  "=": { action: "equals" },
+  Escape: { action: "clear" },
+  c: { action: "clear" },
+  C: { action: "clear" },
+  Delete: { action: "clear" },
+  "%": { action: "percent" },
+  "(": { action: "parenthesis", value: "(" },
+  ")": { action: "parenthesis", value: ")" },
+  "!": { action: "postfix", value: "!" },
+  Backspace: { action: "backspace" },
+};
+
+/**
+ * Key bindings used with Alt (Option on macOS) held: the memory shortcuts, matched
+ * case-insensitively. The letters are those of the Windows Calculator, which uses Ctrl;
+ * in a browser Ctrl/Cmd+L, R, P and Q are taken (address bar, reload, print, quit).
+ * @type {Object<string, {action: string, value?: string}>}
+ * @constant
+ */
+const ALT_KEY_BINDINGS = {
+  l: { action: "memory", value: "MC" },
+  r: { action: "memory", value: "MR" },
+  p: { action: "memory", value: "M+" },
+  q: { action: "memory", value: "M−" },
+  m: { action: "memory", value: "MS" },
+};
+
+/**
+ * Key bindings that take precedence in programmer mode. Letters a–f (matched
+ * case-insensitively) enter hexadecimal digits, so "c" is a digit rather than clear.
+ * @type {Object<string, {action: string, value?: string}>}
+ * @constant
+ */
+const PROGRAMMER_KEY_BINDINGS = {
+  a: { action: "digit", value: "A" },
+  b: { action: "digit", value: "B" },
+  c: { action: "digit", value: "C" },
+  d: { action: "digit", value: "D" },
+  e: { action: "digit", value: "E" },
+  f: { action: "digit", value: "F" },
+  "&": { action: "bitwise", value: "AND" },
+  "|": { action: "bitwise", value: "OR" },
+  "^": { action: "bitwise", value: "XOR" },
+  "~": { action: "not" },
+  "<": { action: "bitwise", value: "<<" },
+  ">": { action: "bitwise", value: ">>" },
+};
+
+/**
+ * Maps a keyboard key to the calculator command it triggers (pure function for testing).
+ * With Alt held, only the memory shortcuts are mapped: Alt+L (MC), Alt+R (MR),
+ * Alt+P (M+), Alt+Q (M−), Alt+M (MS).
+ * When a decimal separator is given, only that key of "." and "," enters the decimal
+ * point, so the locale's grouping separator is ignored.
+ *
+ * @function mapKeyToCommand
+ * @param {string} key - The keyboard key that was pressed
+ * @param {boolean} [altKey=false] - Whether Alt (Option) was held
+ * @param {boolean} [programmer=false] - Whether programmer mode is active
+ * @param {string|null} [decimalSeparator=null] - The locale's decimal separator
+ * @returns {{action: string, value?: string}|null} The command, or null if key is not mapped
+ *
+ * @example
+ * mapKeyToCommand("*");                     // { action: "operator", value: "×" }
+ * mapKeyToCommand("m", true);               // { action: "memory", value: "MS" }
+ * mapKeyToCommand("c", false, true);        // { action: "digit", value: "C" }
+ * mapKeyToCommand(".", false, false, ","); // null
+ */
+export function mapKeyToCommand(key, altKey = false, programmer = false, decimalSeparator = null) {
+  if (altKey) {
+    return ALT_KEY_BINDINGS[key.toLowerCase()] || null;
+  }
+  if (decimalSeparator && (key === "." || key === ",") && key !== decimalSeparator) {
+    return null;
+  }
+  if (programmer) {
+    const binding = PROGRAMMER_KEY_BINDINGS[key.length === 1 ? key.toLowerCase() : key];
+    if (binding) return binding;
+  }
+  return KEY_BINDINGS[key] || null;
+}
+
+/**
+ * Applies a memory operation to the memory register (pure function for testing).
+ *
+ * @function applyMemoryOperation
+ * @param {number|Decimal|null} register - Current memory value, or null when memory is empty
+ * @param {string} operation - Memory operation: MC, MS, M+, M−, or MR
+ * @param {number|Decimal} value - The displayed value the operation applies to
+ * @returns {number|Decimal|null} The new memory value, or null when memory is cleared
+ *
+ * @example
+ * applyMemoryOperation(null, "M+", 5); // 5
+ * applyMemoryOperation(5, "M−", 2);    // 3
+ * applyMemoryOperation(3, "MC", 0);    // null
+ */
+export function applyMemoryOperation(register, operation, value) {
+  switch (operation) {
+    case "MC":
+      return null;
+    case "MS":
+      return value;
+    case "M+":
+      return evaluateOperation(register ?? 0, "+", value);
+    case "M−":
+      return evaluateOperation(register ?? 0, "-", value);
+    default:
+      return register;
+  }
+}
+
+/**
+ * Checks whether a token completes an operand on its own, so that the current input
+ * is not appended after it: a closing parenthesis, a postfix operator, or a constant.
+ *
+ * @function isValueEnd
+ * @param {string|undefined} token - The token to check
+ * @returns {boolean} True if the token ends an operand
+ */
+function isValueEnd(token) {
+  return token === ")" || POSTFIX_OPERATORS.includes(token) || token in CONSTANTS;
+}
+
+/**
+ * Checks whether a "-" token at the given position is a unary minus,
+ * i.e. it starts the formula or follows an operator or an opening parenthesis.
+ *
+ * @function isUnaryMinus
+ * @param {Array<string>} list - The token list
+ * @param {number} index - Position of the token to check
+ * @returns {boolean} True if the token is a unary minus
+ */
+function isUnaryMinus(list, index) {
+  if (list[index] !== "-") return false;
+  const previous = list[index - 1];
+  return previous === undefined || previous === "(" || OPERATORS.includes(previous);
+}
+
+/**
+ * Finds the operation that "=" repeats after a calculation (pure function for testing):
+ * the last binary operator outside parentheses together with its right operand.
+ *
+ * @function findLastOperation
+ * @param {Array<string>} list - Tokens of the evaluated formula
+ * @returns {Array<string>|null} The operator followed by its operand tokens, or null if
+ *     the formula has no binary operator outside parentheses
+ *
+ * @example
+ * findLastOperation(["5", "+", "3"]);                 // ["+", "3"]
+ * findLastOperation(["2", "+", "3", "×", "4"]);       // ["×", "4"]
+ * findLastOperation(["2", "×", "(", "1", "+", "2", ")"]); // ["×", "(", "1", "+", "2", ")"]
+ * findLastOperation(["5", "!"]);                      // null
+ */
+export function findLastOperation(list) {
+  let depth = 0;
+  let index = -1;
+  list.forEach((token, i) => {
+    if (token === "(") depth++;
+    if (token === ")") depth--;
+    if (depth === 0 && OPERATORS.includes(token) && !isUnaryMinus(list, i)) {
+      index = i;
+    }
+  });
+  return index === -1 ? null : list.slice(index);
+}
+
+/**
+ * Headless calculator with its own state.
+ * Dispatches `change` (detail: the state from `getState()`) after every state change,
+ * and `calculate` (detail: `{expression, result, programmerMode, numberBase}`) after each
+ * successful calculation.
+ *
+ * @class CalculatorEngine
+ * @extends EventTarget
+ *
+ * @example
+ * const engine = new CalculatorEngine();
+ * engine.addEventListener("change", (event) => console.log(event.detail.display));
+ * ["2", "+", "3", "*", "4", "Enter"].forEach((key) => engine.press(key));
+ * engine.getState().display; // "14"
+ */
+export class CalculatorEngine extends EventTarget {
+  /**
+   * Creates a calculator engine.
+   *
+   * @param {Object} [options={}] - Engine options
+   * @param {Function} [options.fits] - Called with a display text; returning false rejects
+   *     input that would overflow the display (defaults to accepting everything)
+   * @param {Decimal|null} [options.memory=null] - Initial memory register
+   * @param {number} [options.precision=DEFAULT_DISPLAY_PRECISION] - Significant digits
+   *     shown for non-integer results
+   * @param {string} [options.angleMode="deg"] - Initial angle mode
+   * @param {string|null} [options.decimalSeparator=null] - Key that enters the decimal
+   *     point ("." or ","); by default both keys do
+   */
+  constructor(options = {}) {
+    super();
+
+    /** @type {Function} */
+    this.fits = options.fits ?? (() => true);
+
+    /**
+     * Current input value displayed in the calculator.
+     * @type {string}
+     */
+    this.currentInput = "0";
+
+    /**
+     * Tokens of the formula typed so far (numbers, operators, and parentheses),
+     * not including the number currently being entered.
+     * @type {Array<string>}
+     */
+    this.tokens = [];
+
+    /**
+     * Formula shown in the expression display.
+     * @type {string}
+     */
+    this.expression = "";
+
+    /**
+     * Whether the input should be reset on next number entry.
+     * @type {boolean}
+     */
+    this.shouldResetInput = false;
+
+    /**
+     * Whether the current input holds an operand for the pending formula (typed,
+     * recalled, or edited), as opposed to a value left over from a previous step.
+     * @type {boolean}
+     */
+    this.hasOperand = false;
+
+    /**
+     * Operation repeated by "=" right after a calculation (operator and operand tokens,
+     * e.g. ["+", "3"] after "5 + 3 ="), or null when there is nothing to repeat.
+     * @type {Array<string>|null}
+     */
+    this.lastOperation = null;
+
+    /**
+     * Angle mode used by trigonometric functions ('deg', 'rad', or 'grad').
+     * @type {string}
+     */
+    this.angleMode = options.angleMode ?? "deg";
+
+    /**
+     * Key that enters the decimal point, or null to accept both "." and ",".
+     * @type {string|null}
+     */
+    this.decimalSeparator = options.decimalSeparator ?? null;
+
+    /**
+     * Value stored in the memory register, or null when memory is empty.
+     * @type {Decimal|null}
+     */
+    this.memory = options.memory ?? null;
+
+    /**
+     * Number of significant digits shown for non-integer results.
+     * Integer results are shown in full whenever they fit in the display.
+     * @type {number}
+     */
+    this.displayPrecision = options.precision ?? DEFAULT_DISPLAY_PRECISION;
+
+    /**
+     * Whether programmer mode (integer arithmetic in a chosen base) is active.
+     * @type {boolean}
+     */
+    this.programmerMode = false;
+
+    /**
+     * Base used for input and output in programmer mode ('hex', 'dec', 'oct', or 'bin').
+     * @type {string}
+     */
+    this.numberBase = "dec";
+
+    /**
+     * Word size in bits used in programmer mode.
+     * @type {number}
+     */
+    this.wordSize = 64;
+
+    /**
+     * Whether the programmer-mode word is signed (two's complement) or unsigned.
+     * @type {boolean}
+     */
+    this.signedWord = true;
+
+    /**
+     * Registered commands, keyed by action name. Buttons name their command in
+     * `data-action` (and its argument in `data-value`), and key bindings map keys to
+     * the same commands, so clicks and key presses share one dispatch path.
+     * @type {Map<string, {handler: Function, mode: string|null, isAvailable: Function|null}>}
+     */
+    this.commands = new Map();
+
+    const isDigitAvailable = (digit) =>
+      this.programmerMode ? parseInt(digit, 16) < BASES[this.numberBase] : /^[0-9]$/.test(digit);
+
+    this.registerCommand("digit", (digit) => this.inputNumber(digit), {
+      isAvailable: isDigitAvailable,
+    });
+    this.registerCommand("decimal", () => this.inputNumber("."), { mode: "decimal" });
+    this.registerCommand("operator", (op) => this.inputOperator(op), {
+      isAvailable: (op) => !(this.programmerMode && op === "^"),
+    });
+    this.registerCommand("parenthesis", (paren) => this.inputParenthesis(paren));
+    this.registerCommand("equals", () => this.calculate());
+    this.registerCommand("clear", () => this.clear());
+    this.registerCommand("backspace", () => this.backspace());
+    this.registerCommand("sign", () => this.toggleSign());
+    this.registerCommand("percent", () => this.percentage(), { mode: "decimal" });
+    this.registerCommand("memory", (operation) => this.handleMemory(operation));
+    this.registerCommand("function", (name) => this.inputFunction(name), { mode: "decimal" });
+    this.registerCommand("constant", (name) => this.inputConstant(name), { mode: "decimal" });
+    this.registerCommand("postfix", (op) => this.inputPostfix(op), { mode: "decimal" });
+    this.registerCommand("power-of", (base) => this.inputPowerOf(base), { mode: "decimal" });
+    this.registerCommand("bitwise", (op) => this.inputOperator(op), { mode: "programmer" });
+    this.registerCommand("not", () => this.inputFunction("NOT"), { mode: "programmer" });
+  }
+
+  // ----------------------------------------------------------------------
+  // Commands and events
+  // ----------------------------------------------------------------------
+
+  /**
+   * Registers a command, replacing any command with the same action name.
+   *
+   * @param {string} action - The action name used in `data-action` and key bindings
+   * @param {Function} handler - Called with the command's value (from `data-value`)
+   * @param {Object} [options={}] - Command options
+   * @param {string} [options.mode] - Restricts the command to one mode: 'decimal' or 'programmer'
+   * @param {Function} [options.isAvailable] - Called with the value; returning false ignores
+   *     the command (and disables its buttons)
+   * @returns {void}
+   *
+   * @example
+   * engine.registerCommand("square", () => engine.inputPostfix("²"), { mode: "decimal" });
+   * // <button data-action="square">x²</button>
+   */
+  registerCommand(action, handler, options = {}) {
+    this.commands.set(action, {
+      handler,
+      mode: options.mode ?? null,
+      isAvailable: options.isAvailable ?? null,
+    });
+  }
+
+  /**
+   * Checks whether a command can run in the current mode and base.
+   *
+   * @param {string} action - The action name
+   * @param {string} [value] - The command's value
+   * @returns {boolean} True if the command is registered and available
+   */
+  isCommandAvailable(action, value) {
+    const command = this.commands.get(action);
+    if (!command) return false;
+    if (command.mode && command.mode !== (this.programmerMode ? "programmer" : "decimal")) {
+      return false;
+    }
+    return !command.isAvailable || command.isAvailable(value);
+  }
+
+  /**
+   * Runs a registered command if it is available, then dispatches `change`.
+   *
+   * @param {string} action - The action name
+   * @param {string} [value] - The command's value
+   * @returns {boolean} True if the command ran
+   */
+  execute(action, value) {
+    if (!this.isCommandAvailable(action, value)) return false;
+    this.commands.get(action).handler(value);
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Runs the command bound to a keyboard key.
+   *
+   * @param {string} key - The key, as in `KeyboardEvent.key` (e.g. "7", "*", "Enter")
+   * @param {Object} [modifiers={}] - Modifier keys
+   * @param {boolean} [modifiers.altKey=false] - Whether Alt (Option) was held
+   * @returns {boolean} True if the key is bound to a command (whether or not it ran)
+   */
+  press(key, modifiers = {}) {
+    const command = mapKeyToCommand(
+      key,
+      modifiers.altKey ?? false,
+      this.programmerMode,
+      this.decimalSeparator
+    );
+    if (command === null) return false;
+    this.execute(command.action, command.value);
+    return true;
+  }
+
+  /**
+   * Returns a snapshot of the state shown by the calculator.
+   *
+   * @returns {{display: string, expression: string, memory: Decimal|null,
+   *     programmerMode: boolean, numberBase: string, wordSize: number, signedWord: boolean,
+   *     angleMode: string, bases: Object<string, string>|null}} The current state;
+   *     `bases` holds the current number in every base in programmer mode
+   */
+  getState() {
+    let bases = null;
+    if (this.programmerMode) {
+      const value = this.parseProgrammerInput();
+      bases = {};
+      Object.entries(BASES).forEach(([base, radix]) => {
+        bases[base] = value === null ? "" : formatInteger(value, radix, this.wordSize);
+      });
+    }
+
+    return {
+      display: this.currentInput,
+      expression: this.expression,
+      memory: this.memory,
+      programmerMode: this.programmerMode,
+      numberBase: this.numberBase,
+      wordSize: this.wordSize,
+      signedWord: this.signedWord,
+      angleMode: this.angleMode,
+      bases,
+    };
+  }
+
+  /**
+   * Dispatches a `change` event with the current state.
+   *
+   * @returns {void}
+   */
+  emitChange() {
+    this.dispatchEvent(new CustomEvent("change", { detail: this.getState() }));
+  }
+
+  // ----------------------------------------------------------------------
+  // Formula entry
+  // ----------------------------------------------------------------------
+
+  /**
+   * Returns the last committed token, or undefined if the formula is empty.
+   *
+   * @returns {string|undefined} The last token
+   */
+  lastToken() {
+    return this.tokens[this.tokens.length - 1];
+  }
+
+  /**
+   * Formats a token list for the expression display.
+   * Tokens are separated by spaces, except that parentheses, function names, postfix
+   * operators, and unary minus signs are attached to their operand. In programmer mode,
+   * numbers are shown in the current base.
+   *
+   * @param {Array<string>} list - The token list to format
+   * @returns {string} The formatted formula (e.g. "2 × -(3 + 4)")
+   */
+  formatExpression(list) {
+    return list.reduce((text, token, index) => {
+      const shown = this.programmerMode && /^-?\d+$/.test(token)
+        ? formatInteger(BigInt(token), BASES[this.numberBase], this.wordSize)
+        : token;
+      if (index === 0) return shown;
+      const previous = list[index - 1];
+      const attached =
+        previous === "(" ||
+        PREFIX_FUNCTIONS.includes(previous) ||
+        token === ")" ||
+        POSTFIX_OPERATORS.includes(token) ||
+        isUnaryMinus(list, index - 1);
+      const separator = attached ? "" : " ";
+      return text + separator + shown;
+    }, "");
+  }
+
+  /**
+   * Counts the opening parentheses in the formula that have not been closed yet.
+   *
+   * @returns {number} The number of unclosed parentheses
+   */
+  countOpenParentheses() {
+    return this.tokens.reduce((count, token) => {
+      if (token === "(") return count + 1;
+      if (token === ")") return count - 1;
+      return count;
+    }, 0);
+  }
+
+  /**
+   * Returns the index where the innermost unclosed group of the formula starts
+   * (just after its opening parenthesis), or 0 when no group is open.
+   *
+   * @returns {number} Index of the group's first token
+   */
+  currentGroupStart() {
+    let depth = 0;
+    for (let i = this.tokens.length - 1; i >= 0; i--) {
+      if (this.tokens[i] === ")") depth++;
+      if (this.tokens[i] === "(") {
+        if (depth === 0) return i + 1;
+        depth--;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Handles numeric input including digits and decimal point.
+   * Validates input to prevent multiple decimal points, display overflow, and (in
+   * programmer mode) values that do not fit in the word.
+   *
+   * @param {string} num - The digit or decimal point to add
+   * @returns {void}
+   */
+  inputNumber(num) {
+    let newInput;
+
+    // A number right after a closing parenthesis or constant implies multiplication
+    if (isValueEnd(this.lastToken())) {
+      this.tokens.push("×");
+      this.expression = this.formatExpression(this.tokens);
+      this.shouldResetInput = true;
+    } else if (this.shouldResetInput && this.tokens.length === 0) {
+      // Starting a new formula after a result
+      this.expression = "";
+    }
+
+    if (this.shouldResetInput) {
+      newInput = num;
+      this.shouldResetInput = false;
+    } else if (this.currentInput === "0" && num !== ".") {
+      newInput = num;
+    } else if (num === "." && this.currentInput.includes(".")) {
+      return; // Prevent multiple decimals
+    } else {
+      newInput = this.currentInput + num;
+    }
+
+    // Check if the new input would fit in the display (and in the word in programmer mode)
+    if (!this.fits(newInput)) {
+      return; // Don't accept more characters if it won't fit
+    }
+    if (this.programmerMode && this.parseProgrammerInput(newInput) === null) {
+      return;
+    }
+
+    this.currentInput = newInput;
+    this.hasOperand = true;
+  }
+
+  /**
+   * Handles operator input (+, -, ×, ÷, ^, and the bitwise operators).
+   * Appends the current number and the operator to the formula. Pressing an operator
+   * right after another one replaces it, except for "-" after ×, ÷, or ^, which starts a
+   * negative operand (unary minus).
+   *
+   * @param {string} op - The operator symbol to apply
+   * @returns {void}
+   */
+  inputOperator(op) {
+    const last = this.lastToken();
+
+    if (!this.hasOperand && (OPERATORS.includes(last) || last === "(")) {
+      if (op === "-" && (last === "×" || last === "÷" || last === "^" || last === "(")) {
+        this.tokens.push(op);
+      } else if (last !== "(") {
+        // Replace the pending operator (and a unary minus following it)
+        while (OPERATORS.includes(this.lastToken())) {
+          this.tokens.pop();
+        }
+        this.tokens.push(op);
+      }
+    } else {
+      if (!isValueEnd(last)) {
+        this.tokens.push(...this.operandTokens());
+      }
+      this.tokens.push(op);
+    }
+
+    this.expression = this.formatExpression(this.tokens);
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Handles parenthesis input.
+   * An opening parenthesis after a number or another operand implies multiplication.
+   * A closing parenthesis is only accepted while a group is open, and shows the value
+   * of the group it closes.
+   *
+   * @param {string} paren - "(" or ")"
+   * @returns {void}
+   */
+  inputParenthesis(paren) {
+    const last = this.lastToken();
+
+    if (paren === "(") {
+      this.beginOperand();
+      this.tokens.push("(");
+    } else {
+      // Ignore unbalanced or empty groups
+      if (this.countOpenParentheses() === 0) return;
+      if (last === "(" && !this.hasOperand) return;
+      if (!isValueEnd(last)) {
+        this.tokens.push(...this.operandTokens());
+      }
+      this.tokens.push(")");
+      this.showLastOperand();
+    }
+
+    this.expression = this.formatExpression(this.tokens);
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Prepares the formula for a new operand (parenthesis, function, or constant).
+   * Inserts an implicit multiplication after a completed operand, committing the
+   * current number first if one was entered (e.g. "2" then "π" gives "2 × π").
+   *
+   * @returns {void}
+   */
+  beginOperand() {
+    if (isValueEnd(this.lastToken())) {
+      this.tokens.push("×");
+    } else if (this.hasOperand) {
+      this.tokens.push(...this.operandTokens(), "×");
+    }
+  }
+
+  /**
+   * Finds where the operand ending at the given token starts, including a function name
+   * before its parentheses and any postfix operators after it.
+   *
+   * @param {number} endIndex - Index of the operand's last token
+   * @returns {number} Index of the operand's first token
+   */
+  findOperandStart(endIndex) {
+    const token = this.tokens[endIndex];
+
+    if (POSTFIX_OPERATORS.includes(token)) {
+      return this.findOperandStart(endIndex - 1);
+    }
+    if (token !== ")") {
+      return endIndex;
+    }
+
+    let depth = 0;
+    for (let i = endIndex; i >= 0; i--) {
+      if (this.tokens[i] === ")") depth++;
+      if (this.tokens[i] === "(") depth--;
+      if (depth === 0) {
+        return PREFIX_FUNCTIONS.includes(this.tokens[i - 1]) ? i - 1 : i;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Shows the value of the operand that ends the formula (e.g. a closed group,
+   * a function call, or a factorial) as the current input.
+   *
+   * @returns {void}
+   */
+  showLastOperand() {
+    const start = this.findOperandStart(this.tokens.length - 1);
+    this.currentInput = this.evaluateFormula(this.tokens.slice(start));
+  }
+
+  /**
+   * Evaluates a token list with the arithmetic of the current mode: exact decimals, or
+   * integers wrapped to the word size in programmer mode.
+   *
+   * @param {Array<string>} list - The tokens to evaluate
+   * @returns {string} The formatted result or 'Error'
+   */
+  evaluateFormula(list) {
+    const formula = list.join(" ");
+    if (this.programmerMode) {
+      const result = evaluateIntegerExpression(formula, {
+        bits: this.wordSize,
+        signed: this.signedWord,
+      });
+      return typeof result === "bigint" ? this.formatProgrammerValue(result) : result;
+    }
+    return this.formatResult(evaluateExpression(formula, { angleMode: this.angleMode }));
+  }
+
+  /**
+   * Handles function input (sin, cos, tan, their inverses, log, ln, √, and bitwise NOT).
+   * Opens a group for the function's argument, which is closed with ")" or on "=".
+   *
+   * @param {string} name - The function name understood by the parser
+   * @returns {void}
+   */
+  inputFunction(name) {
+    this.beginOperand();
+    this.tokens.push(name, "(");
+
+    this.expression = this.formatExpression(this.tokens);
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Handles constant input (π, e) and shows the constant's value.
+   *
+   * @param {string} name - The constant name
+   * @returns {void}
+   */
+  inputConstant(name) {
+    this.beginOperand();
+    this.tokens.push(name);
+    this.showLastOperand();
+
+    this.expression = this.formatExpression(this.tokens);
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Handles postfix operator input (factorial, square, reciprocal).
+   * Applies the operator to the current number or to the operand that ends the formula,
+   * and shows the result of that operand.
+   *
+   * @param {string} op - The postfix operator: '!', '²', or '⁻¹'
+   * @returns {void}
+   */
+  inputPostfix(op) {
+    if (!isValueEnd(this.lastToken())) {
+      this.tokens.push(...this.operandTokens());
+    }
+    this.tokens.push(op);
+    this.showLastOperand();
+
+    this.expression = this.formatExpression(this.tokens);
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Handles the 10ˣ key by opening an exponent group on the given base.
+   *
+   * @param {string} base - The base (e.g. "10")
+   * @returns {void}
+   */
+  inputPowerOf(base) {
+    this.beginOperand();
+    this.tokens.push(base, "^", "(");
+
+    this.expression = this.formatExpression(this.tokens);
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  // ----------------------------------------------------------------------
+  // Values and results
+  // ----------------------------------------------------------------------
+
+  /**
+   * Formats an evaluation result for the display.
+   * Integers keep every digit and other values are rounded to the display precision.
+   * Significant digits are then dropped (switching to exponential notation for large
+   * numbers) until the result fits in the display.
+   *
+   * @param {Decimal|string} result - The evaluation result or 'Error'
+   * @returns {string} The text to display
+   */
+  formatResult(result) {
+    if (!(result instanceof Decimal)) {
+      return result;
+    }
+
+    let digits = result.isInteger()
+      ? Math.max(this.displayPrecision, result.abs().toString().length)
+      : this.displayPrecision;
+    let text = result.toSignificant(digits);
+    while (!this.fits(text) && digits > 1) {
+      digits--;
+      text = result.toSignificant(digits);
+    }
+    return text;
+  }
+
+  /**
+   * Parses the current input as an exact decimal.
+   *
+   * @returns {Decimal|null} The current value, or null if it is not a number (e.g. "Error")
+   */
+  parseCurrentInput() {
+    if (this.programmerMode) {
+      const value = this.parseProgrammerInput();
+      return value === null ? null : Decimal.from(value);
+    }
+    try {
+      return Decimal.parse(this.currentInput);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parses programmer-mode input in the current base and word size.
+   *
+   * @param {string} [text=this.currentInput] - The text to parse
+   * @returns {bigint|null} The value, or null if the text is not a valid number for the word
+   */
+  parseProgrammerInput(text = this.currentInput) {
+    try {
+      return parseInteger(text, BASES[this.numberBase], this.wordSize, this.signedWord);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Formats an integer in the current base and word size.
+   *
+   * @param {bigint} value - The value to format
+   * @returns {string} The formatted value
+   */
+  formatProgrammerValue(value) {
+    return formatInteger(
+      wrapToWordSize(value, this.wordSize, this.signedWord),
+      BASES[this.numberBase],
+      this.wordSize
+    );
+  }
+
+  /**
+   * Returns the current input as formula tokens.
+   * In programmer mode the token holds the value in decimal, so the formula does not
+   * depend on the base it was typed in. A negative value is put in parentheses: the
+   * parser's unary minus binds looser than "²", "!" and "^", so "-3²" would be -9.
+   *
+   * @returns {Array<string>} The formula tokens, e.g. ["7"] or ["(", "-3", ")"]
+   */
+  operandTokens() {
+    let token = this.currentInput;
+    if (this.programmerMode) {
+      const value = this.parseProgrammerInput();
+      if (value !== null) token = value.toString();
+    }
+    return token.startsWith("-") ? ["(", token, ")"] : [token];
+  }
+
+  /**
+   * Calculates the result of the whole formula.
+   * Appends the current number, closes any open parentheses, and evaluates the formula
+   * with operator precedence. Division by zero, domain errors (e.g. log of a negative
+   * number), and malformed formulas produce 'Error'.
+   * Pressing "=" again (or after typing a new number) repeats the last operation on the
+   * current value, so "5 + 3 = = =" gives 8, 11, and 14.
+   * Dispatches `calculate` for each successful calculation.
+   *
+   * @returns {void}
+   */
+  calculate() {
+    if (this.tokens.length === 0) {
+      if (!this.lastOperation) return;
+      this.tokens = [...this.operandTokens(), ...this.lastOperation];
+    } else if (!isValueEnd(this.lastToken())) {
+      this.tokens.push(...this.operandTokens());
+    }
+    for (let open = this.countOpenParentheses(); open > 0; open--) {
+      this.tokens.push(")");
+    }
+
+    const formula = this.formatExpression(this.tokens);
+    this.currentInput = this.evaluateFormula(this.tokens);
+    this.lastOperation =
+      this.currentInput === "Error" ? null : findLastOperation(this.tokens);
+
+    if (this.currentInput !== "Error") {
+      this.dispatchEvent(
+        new CustomEvent("calculate", {
+          detail: {
+            expression: formula,
+            result: this.currentInput,
+            programmerMode: this.programmerMode,
+            numberBase: this.numberBase,
+          },
+        })
+      );
+    }
+
+    this.tokens = [];
+    this.expression = `${formula} =`;
+    this.shouldResetInput = true;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Returns the mode and base numbers are currently written in.
+   *
+   * @returns {{programmerMode: boolean, numberBase: string}} The current notation
+   */
+  currentNotation() {
+    return { programmerMode: this.programmerMode, numberBase: this.numberBase };
+  }
+
+  /**
+   * Converts a number written in another mode or base (e.g. a result recalled from the
+   * history) to the current one. As when switching modes, a decimal is truncated and
+   * wrapped to the word size in programmer mode; programmer values are read with the
+   * current word size.
+   *
+   * @param {string} value - The number
+   * @param {{programmerMode: boolean, numberBase: string}} notation - Mode and base the
+   *     number is written in
+   * @returns {string|null} The number in the current mode and base, or null if it is not
+   *     a valid number in its notation
+   */
+  convertValue(value, notation) {
+    if (notation.programmerMode) {
+      let parsed;
+      try {
+        parsed = parseInteger(value, BASES[notation.numberBase], this.wordSize, this.signedWord);
+      } catch {
+        return null;
+      }
+      if (this.programmerMode) return this.formatProgrammerValue(parsed);
+      return Decimal.from(parsed).toString();
+    }
+
+    let parsed;
+    try {
+      parsed = Decimal.parse(value);
+    } catch {
+      return null;
+    }
+    return this.programmerMode ? this.formatProgrammerValue(parsed.toBigInt()) : value;
+  }
+
+  /**
+   * Loads a value (e.g. a result recalled from the history or memory) as the current number.
+   * The value becomes the operand of the pending formula, and the next digit replaces it.
+   * A value written in another mode or base is converted; invalid values are ignored.
+   *
+   * @param {string} value - The number to load
+   * @param {{programmerMode: boolean, numberBase: string}} [notation] - Mode and base the
+   *     value is written in (defaults to the current ones)
+   * @returns {boolean} True if the value was loaded
+   */
+  loadValue(value, notation = this.currentNotation()) {
+    const input = this.convertValue(value, notation);
+    if (input === null) return false;
+
+    if (isValueEnd(this.lastToken())) {
+      this.tokens.push("×");
+      this.expression = this.formatExpression(this.tokens);
+    }
+    this.currentInput = input;
+    this.shouldResetInput = true;
+    this.hasOperand = true;
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Replaces the current formula with the given expression (e.g. recalled from the history).
+   * A trailing number becomes the current input so it can still be edited. A programmer
+   * formula written in another base is converted; a formula from the other mode is
+   * refused, since its operators do not exist in the current one.
+   *
+   * @param {string} formula - The formula to load (e.g. "2 × (3 + 4)")
+   * @param {{programmerMode: boolean, numberBase: string}} [notation] - Mode and base the
+   *     formula is written in (defaults to the current ones)
+   * @returns {boolean} True if the formula was loaded; otherwise the calculator is unchanged
+   */
+  loadExpression(formula, notation = this.currentNotation()) {
+    if (Boolean(notation.programmerMode) !== this.programmerMode) return false;
+
+    let parsed;
+    try {
+      if (this.programmerMode) {
+        const options = {
+          radix: BASES[notation.numberBase],
+          bits: this.wordSize,
+          signed: this.signedWord,
+        };
+        parsed = tokenizeInteger(formula, options.radix).map((token) =>
+          token.type === "number"
+            ? { type: "number", value: evaluateIntegerExpression(token.value, options) }
+            : token
+        );
+      } else {
+        parsed = tokenize(formula);
+      }
+    } catch {
+      return false;
+    }
+
+    const last = parsed[parsed.length - 1];
+    const trailing = last && last.type === "number" ? parsed.pop().value : null;
+    const tokens = parsed.map((token) => String(token.value));
+
+    if (trailing === null) {
+      this.currentInput = "0";
+      this.shouldResetInput = true;
+      this.hasOperand = false;
+    } else {
+      this.currentInput = this.programmerMode
+        ? this.formatProgrammerValue(trailing)
+        : String(trailing);
+      this.shouldResetInput = false;
+      this.hasOperand = true;
+    }
+
+    this.lastOperation = null;
+    this.tokens = tokens;
+    this.expression = this.formatExpression(this.tokens);
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Enters pasted text: a single number becomes the current number (like `loadValue`),
+   * and a formula replaces the current one (like `loadExpression`). A trailing "=" is
+   * ignored, so formulas copied from the history can be pasted back.
+   *
+   * @param {string} text - The pasted text, with plain numbers (e.g. "2 * (3 + 4.5)")
+   * @returns {boolean} True if the text was a number or a valid formula
+   *
+   * @example
+   * engine.paste("1234.5");     // current number becomes 1234.5
+   * engine.paste("2 × 3 + 1 ="); // formula "2 × 3 + 1", ready for "="
+   */
+  paste(text) {
+    const formula = text.trim().replace(/\s*=$/, "");
+    if (!formula) return false;
+
+    if (this.programmerMode) {
+      const value = this.parseProgrammerInput(formula);
+      if (value !== null) {
+        this.loadValue(this.formatProgrammerValue(value));
+        return true;
+      }
+    } else {
+      let value = null;
+      try {
+        value = Decimal.parse(formula);
+      } catch {
+        // Not a single number: try it as a formula
+      }
+      if (value) {
+        const plain = value.toString();
+        this.loadValue(this.fits(plain) ? plain : this.formatResult(value));
+        return true;
+      }
+    }
+
+    return this.loadExpression(formula);
+  }
+
+  /**
+   * Clears the calculator, resetting input, expression, and state flags.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.currentInput = "0";
+    this.tokens = [];
+    this.lastOperation = null;
+    this.expression = "";
+    this.shouldResetInput = false;
+    this.hasOperand = false;
+  }
+
+  /**
+   * Removes the last character from the current input.
+   * Resets to "0" if only one character remains.
+   *
+   * @returns {void}
+   */
+  backspace() {
+    if (this.currentInput.length > 1) {
+      this.currentInput = this.currentInput.slice(0, -1);
+    } else {
+      this.currentInput = "0";
+    }
+  }
+
+  /**
+   * Toggles the sign of the current input (positive/negative).
+   * Validates that the result would fit in the display before applying. In programmer
+   * mode the value is negated within the word (two's complement).
+   *
+   * @returns {void}
+   */
+  toggleSign() {
+    if (this.programmerMode) {
+      const value = this.parseProgrammerInput();
+      if (value === null) return;
+      this.currentInput = this.formatProgrammerValue(-value);
+      this.hasOperand = true;
+      return;
+    }
+
+    if (this.currentInput !== "0") {
+      const newInput = this.currentInput.startsWith("-")
+        ? this.currentInput.slice(1)
+        : "-" + this.currentInput;
+
+      // Check if the new input would fit in the display
+      if (!this.fits(newInput)) {
+        return; // Don't toggle if it won't fit
+      }
+
+      this.currentInput = newInput;
+      this.hasOperand = true;
+    }
+  }
+
+  /**
+   * Calculates the percentage of the current input.
+   * After + or −, the percentage is taken of the pending first operand, so
+   * "200 + 10 %" gives 200 + 20 = 220; otherwise the input is divided by 100
+   * (e.g. "200 × 10 %" gives 200 × 0.1).
+   *
+   * @returns {void}
+   */
+  percentage() {
+    const value = this.parseCurrentInput();
+    if (!value) return;
+
+    let percent = value.div(100);
+    const last = this.lastToken();
+    if ((last === "+" || last === "-") && !isUnaryMinus(this.tokens, this.tokens.length - 1)) {
+      const firstOperand = evaluateExpression(
+        this.tokens.slice(this.currentGroupStart(), -1).join(" "),
+        { angleMode: this.angleMode }
+      );
+      if (!(firstOperand instanceof Decimal)) return;
+      percent = firstOperand.mul(percent);
+    }
+
+    this.currentInput = this.formatResult(percent);
+    this.hasOperand = true;
+  }
+
+  /**
+   * Handles memory operations (MC, MR, M+, M−, MS).
+   * MR loads the stored value as the current number; the other operations update the
+   * register from the displayed value. After storing, the next digit starts a new number.
+   *
+   * @param {string} operation - The memory operation
+   * @returns {void}
+   */
+  handleMemory(operation) {
+    if (operation === "MR") {
+      if (this.memory !== null) {
+        this.loadValue(
+          this.programmerMode
+            ? this.formatProgrammerValue(this.memory.toBigInt())
+            : this.formatResult(this.memory)
+        );
+      }
+      return;
+    }
+
+    const value = this.parseCurrentInput();
+    if (operation !== "MC" && !value) return;
+
+    this.memory = applyMemoryOperation(this.memory, operation, value);
+    this.shouldResetInput = true;
+  }
+
+  // ----------------------------------------------------------------------
+  // Modes and settings
+  // ----------------------------------------------------------------------
+
+  /**
+   * Sets the angle mode used by trigonometric functions.
+   *
+   * @param {string} mode - 'deg', 'rad', or 'grad'
+   * @returns {void}
+   */
+  setAngleMode(mode) {
+    this.angleMode = mode;
+    this.emitChange();
+  }
+
+  /**
+   * Cycles the angle mode (DEG → RAD → GRAD).
+   *
+   * @returns {void}
+   */
+  cycleAngleMode() {
+    const next = (ANGLE_MODES.indexOf(this.angleMode) + 1) % ANGLE_MODES.length;
+    this.setAngleMode(ANGLE_MODES[next]);
+  }
+
+  /**
+   * Sets the key that enters the decimal point (e.g. "," for locales with a decimal comma).
+   *
+   * @param {string|null} separator - "." or ",", or null to accept both
+   * @returns {void}
+   */
+  setDecimalSeparator(separator) {
+    this.decimalSeparator = separator;
+  }
+
+  /**
+   * Sets the number of significant digits shown for non-integer results
+   * (applies to subsequent results).
+   *
+   * @param {number} digits - Significant digits
+   * @returns {void}
+   */
+  setPrecision(digits) {
+    this.displayPrecision = digits;
+    this.emitChange();
+  }
+
+  /**
+   * Switches between decimal and programmer arithmetic. The current value carries over
+   * (truncated to an integer and wrapped to the word size when entering programmer
+   * mode); the pending formula is cleared.
+   *
+   * @param {boolean} enabled - Whether programmer mode should be active
+   * @returns {void}
+   */
+  setProgrammerMode(enabled) {
+    if (enabled === this.programmerMode) return;
+
+    const value = this.parseCurrentInput();
+    this.programmerMode = enabled;
+    if (value === null) {
+      this.currentInput = "0";
+    } else {
+      this.currentInput = enabled
+        ? this.formatProgrammerValue(value.toBigInt())
+        : value.toString();
+    }
+
+    this.tokens = [];
+    this.lastOperation = null;
+    this.expression = "";
+    this.shouldResetInput = true;
+    // A carried 0 is the blank display, not an operand "(" should multiply
+    this.hasOperand = value !== null && !value.isZero();
+    this.emitChange();
+  }
+
+  /**
+   * Switches the programmer-mode base, converting the current number and formula.
+   *
+   * @param {string} base - The new base: 'hex', 'dec', 'oct', or 'bin'
+   * @returns {void}
+   */
+  setNumberBase(base) {
+    const value = this.parseProgrammerInput();
+    this.numberBase = base;
+    if (value !== null) {
+      this.currentInput = this.formatProgrammerValue(value);
+    }
+    if (this.tokens.length > 0) {
+      this.expression = this.formatExpression(this.tokens);
+    }
+    this.emitChange();
+  }
+
+  /**
+   * Changes the programmer-mode word size or signedness, wrapping the current number
+   * to the new word.
+   *
+   * @param {number} bits - Word size in bits
+   * @param {boolean} signed - Whether the word is signed
+   * @returns {void}
+   */
+  setWordFormat(bits, signed) {
+    const value = this.parseProgrammerInput();
+    this.wordSize = bits;
+    this.signedWord = signed;
+    if (value !== null) {
+      this.currentInput = this.formatProgrammerValue(value);
+    }
+    if (this.tokens.length > 0) {
+      this.expression = this.formatExpression(this.tokens);
+    }
+    this.emitChange();
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Calculator History Component
+ * @description Records completed calculations as "expression = result" entries, renders them
+ * in a list under the calculator display, and lets the user load an entry's result or
+ * expression back into the calculator. Each entry remembers the mode and number base it
+ * was calculated in, so it can be converted when recalled in another. Entries persist in localStorage and are capped
+ * to a fixed number of the most recent calculations.
+ *
+ * @module components/calculator-history
+ * @version 1.0.0
+ */
+
+/**
+ * LocalStorage key for storing the calculation history.
+ * @type {string}
+ * @constant
+ */
+const HISTORY_KEY = "quantio-history";
+
+/**
+ * Maximum number of entries kept in the history (oldest entries are dropped first).
+ * @type {number}
+ * @constant
+ */
+export const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * History entries, most recent first. Entries saved before the mode and base were
+ * recorded have neither and are read as decimal-mode entries.
+ * @type {Array<{expression: string, result: string, programmerMode?: boolean, numberBase?: string}>}
+ */
+let entries = [];
+
+/**
+ * History lists on the page, each with the callbacks that load an entry back into
+ * its calculator (and optionally format the shown text). All lists show the same
+ * shared history.
+ * @type {Array<{list: HTMLElement, handlers: {onRecallResult: Function, onRecallExpression: Function, formatText?: Function}}>}
+ */
+let views = [];
+
+/**
+ * Adds an entry to the front of a history list (pure function for testing).
+ * Drops the oldest entries once the list exceeds the limit.
+ *
+ * @function addHistoryEntry
+ * @param {Array<{expression: string, result: string}>} list - Current history, most recent first
+ * @param {{expression: string, result: string, programmerMode?: boolean, numberBase?: string}} entry
+ *     - The calculation to add
+ * @param {number} [limit=MAX_HISTORY_ENTRIES] - Maximum number of entries to keep
+ * @returns {Array<{expression: string, result: string}>} The new history list
+ */
+export function addHistoryEntry(list, entry, limit = MAX_HISTORY_ENTRIES) {
+  return [entry, ...list].slice(0, limit);
+}
+
+/**
+ * Parses stored history data (pure function for testing).
+ * Ignores malformed data and entries missing an expression or result.
+ *
+ * @function parseHistory
+ * @param {string|null} raw - The JSON string read from localStorage
+ * @returns {Array<{expression: string, result: string}>} The parsed history list
+ */
+export function parseHistory(raw) {
+  if (!raw) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter(
+      (entry) =>
+        entry && typeof entry.expression === "string" && typeof entry.result === "string"
+    )
+    .slice(0, MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Persists the history to localStorage.
+ *
+ * @function saveHistory
+ * @returns {void}
+ */
+function saveHistory() {
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Renders the history entries into one history list.
+ * Each entry has one button that loads its expression and one that loads its result.
+ * Entries are stored as typed; `formatText` only changes how they are shown.
+ *
+ * @function renderHistoryList
+ * @param {HTMLElement} historyList - The list to render into
+ * @param {{onRecallResult: Function, onRecallExpression: Function, formatText?: Function}} recallHandlers - Recall callbacks
+ * @returns {void}
+ */
+function renderHistoryList(historyList, recallHandlers) {
+  const format = recallHandlers.formatText || ((text) => text);
+  historyList.innerHTML = "";
+
+  if (entries.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "calculator__history-empty";
+    empty.textContent = "No calculations yet";
+    historyList.appendChild(empty);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const item = document.createElement("li");
+    item.className = "calculator__history-item";
+
+    const expressionButton = document.createElement("button");
+    expressionButton.type = "button";
+    expressionButton.className = "calculator__history-expression";
+    expressionButton.textContent = `${format(entry.expression)} =`;
+    expressionButton.setAttribute("aria-label", `Load expression ${format(entry.expression)}`);
+    expressionButton.addEventListener("click", () => {
+      recallHandlers.onRecallExpression(entry.expression, entry);
+    });
+
+    const resultButton = document.createElement("button");
+    resultButton.type = "button";
+    resultButton.className = "calculator__history-result";
+    resultButton.textContent = format(entry.result);
+    resultButton.setAttribute("aria-label", `Load result ${format(entry.result)}`);
+    resultButton.addEventListener("click", () => {
+      recallHandlers.onRecallResult(entry.result, entry);
+    });
+
+    item.appendChild(expressionButton);
+    item.appendChild(resultButton);
+    historyList.appendChild(item);
+  });
+}
+
+/**
+ * Renders the history entries into every history list (e.g. after the number format changes).
+ *
+ * @function renderHistory
+ * @returns {void}
+ */
+export function renderHistory() {
+  views.forEach(({ list, handlers }) => renderHistoryList(list, handlers));
+}
+
+/**
+ * Records a completed calculation, persists it, and updates the list.
+ *
+ * @function recordHistoryEntry
+ * @param {string} expression - The evaluated formula (without the trailing "=")
+ * @param {string} result - The displayed result
+ * @param {{programmerMode: boolean, numberBase: string}} notation - Mode and number base
+ *     the calculation was made in
+ * @returns {void}
+ */
+export function recordHistoryEntry(expression, result, { programmerMode, numberBase }) {
+  entries = addHistoryEntry(entries, { expression, result, programmerMode, numberBase });
+  saveHistory();
+  renderHistory();
+}
+
+/**
+ * Removes all history entries.
+ *
+ * @function clearHistory
+ * @returns {void}
+ */
+export function clearHistory() {
+  entries = [];
+  saveHistory();
+  renderHistory();
+}
+
+/**
+ * Initializes the calculation history component for one calculator.
+ * Loads saved entries, renders them, and wires up the clear action. Called once per
+ * calculator; every history list shows the same entries and recalls into its own
+ * calculator.
+ *
+ * @function initHistory
+ * @param {HTMLElement} container - Element containing the history markup
+ * @param {Object} handlers - Recall callbacks
+ * @param {Function} handlers.onRecallResult - Called with an entry's result string and the
+ *     entry, which holds the mode and base it was calculated in
+ * @param {Function} handlers.onRecallExpression - Called with an entry's expression string
+ *     and the entry
+ * @param {Function} [handlers.formatText] - Formats an entry's expression or result for display
+ * @returns {void}
+ *
+ * @example
+ * initHistory(calculator.querySelector(".calculator__history"), {
+ *   onRecallResult: (result, entry) => engine.loadValue(result, entry),
+ *   onRecallExpression: (expression, entry) => engine.loadExpression(expression, entry),
+ * });
+ */
+export function initHistory(container, handlers) {
+  if (!container) return;
+
+  const list = container.querySelector(".calculator__history-list");
+  if (list) {
+    views.push({ list, handlers });
+  }
+  entries = parseHistory(localStorage.getItem(HISTORY_KEY));
+
+  const clearButton = container.querySelector(".calculator__history-clear");
+  if (clearButton) {
+    clearButton.addEventListener("click", clearHistory);
+  }
+
+  renderHistory();
+}
@@ -1,42 +1,43 @@
 /**
  * @fileoverview Calculator Component
- * @description Handles calculator functionality including button clicks, keyboard input,
- * arithmetic operations, and display management. Implements input validation to prevent
- * display overflow and supports dynamic font scaling for long numbers.
+ * @description Renders calculators on the page. Each `.calculator` element gets its own
+ * CalculatorEngine, which holds the state and implements the commands; this component
+ * forwards button clicks and key presses to the engine and renders its `change` events.
+ * Keyboard input, copy (Ctrl/Cmd+C), and paste (Ctrl/Cmd+V) go to the calculator the user
+ * last interacted with. Numbers are shown with the grouping and decimal separators of the
+ * selected locale.
+ * Implements input validation to prevent display overflow and supports dynamic font
+ * scaling for long numbers.
  *
  * @module components/calculator
  * @version 1.0.0
  */
 
-/**
- * Current input value displayed in the calculator.
- * @type {string}
- */
-let currentInput = "0";
+import { Decimal } from "../utils/decimal.js";
+import { copyText } from "../utils/clipboard.js";
+import {
+  formatNumberString,
+  formatNumbersInText,
+  getLocaleSeparators,
+  normalizeNumbersInText,
+} from "../utils/number-format.js";
+import { CalculatorEngine, DEFAULT_DISPLAY_PRECISION } from "./calculator-engine.js";
+import { initHistory, recordHistoryEntry, renderHistory } from "./calculator-history.js";
+import { getLocale, onLocaleChange } from "./locale-selector.js";
 
 /**
- * Current expression being evaluated (first number and operator).
+ * LocalStorage key for storing the memory register.
  * @type {string}
+ * @constant
  */
-let expression = "";
-
-/**
- * Flag indicating whether the input should be reset on next number entry.
- * @type {boolean}
- */
-let shouldResetInput = false;
-
-/**
- * DOM element for the result display.
- * @type {HTMLElement|null}
- */
-let displayResult;
+const MEMORY_KEY = "quantio-memory";
 
 /**
- * DOM element for the expression display.
- * @type {HTMLElement|null}
+ * LocalStorage key for storing the display precision.
+ * @type {string}
+ * @constant
  */
-let displayExpression;
+const PRECISION_KEY = "quantio-precision";
 
 /**
  * Maximum font size for the result display (in rem).
@@ -66,36 +67,56 @@ const CHARS_AT_MAX_SIZE = 8;
  */
 const MAX_DISPLAY_LINES = 2;
 
+/**
+ * How long the copy button shows that the result was copied (in milliseconds).
+ * @type {number}
+ * @constant
+ */
+const COPIED_FEEDBACK_DURATION = 1500;
+
+/**
+ * Calculator that receives keyboard and clipboard input: the one the user last clicked
+ * or focused.
+ * @type {{calculator: HTMLElement, engine: CalculatorEngine, getResultText: Function}|null}
+ */
+let activeView = null;
+
+/**
+ * Returns the font size (in rem) used to show a text of the given length.
+ * Uses maximum font size for short numbers and scales down proportionally for longer numbers.
+ *
+ * @function getFontSize
+ * @param {number} length - Number of characters shown
+ * @returns {number} The font size in rem
+ */
+function getFontSize(length) {
+  if (length <= CHARS_AT_MAX_SIZE) {
+    return MAX_FONT_SIZE;
+  }
+  // Gradually decrease font size
+  const scale = CHARS_AT_MAX_SIZE / length;
+  return Math.max(MIN_FONT_SIZE, MAX_FONT_SIZE * scale);
+}
+
 /**
  * Checks if the given input string fits within the display constraints (2 lines max).
  * Temporarily applies the input to the display element and measures its height
  * to determine if it would overflow.
  *
  * @function canFitInDisplay
+ * @param {HTMLElement} displayResult - The result display element
  * @param {string} input - The input string to check
  * @returns {boolean} True if input fits within display, false if it would overflow
  */
-function canFitInDisplay(input) {
-  if (!displayResult) return true;
-
+function canFitInDisplay(displayResult, input) {
   // Temporarily set the text to check if it fits
   const originalText = displayResult.textContent;
   const originalFontSize = displayResult.style.fontSize;
   const originalDisplay = displayResult.style.display;
 
-  // Calculate expected font size
-  const length = input.length;
-  let fontSize;
-  if (length <= CHARS_AT_MAX_SIZE) {
-    fontSize = MAX_FONT_SIZE;
-  } else {
-    const scale = CHARS_AT_MAX_SIZE / length;
-    fontSize = Math.max(MIN_FONT_SIZE, MAX_FONT_SIZE * scale);
-  }
-
   // Set temporary values
   displayResult.textContent = input;
-  displayResult.style.fontSize = `${fontSize}rem`;
+  displayResult.style.fontSize = `${getFontSize(input.length)}rem`;
   displayResult.style.display = '-webkit-box'; // Ensure line-clamp is active
 
   // Force a reflow to get accurate measurements
@@ -117,354 +138,411 @@ function canFitInDisplay(input) {
 }
 
 /**
- * Dynamically adjusts the font size of the result display based on content length.
- * Uses maximum font size for short numbers and scales down proportionally for longer numbers.
+ * Reads the memory register saved in localStorage.
  *
- * @function adjustResultFontSize
- * @returns {void}
+ * @function getSavedMemory
+ * @returns {Decimal|null} The saved memory value, or null if none is saved
  */
-function adjustResultFontSize() {
-  const length = currentInput.length;
-
-  if (length <= CHARS_AT_MAX_SIZE) {
-    displayResult.style.fontSize = `${MAX_FONT_SIZE}rem`;
-  } else {
-    // Gradually decrease font size
-    const scale = CHARS_AT_MAX_SIZE / length;
-    const newSize = Math.max(MIN_FONT_SIZE, MAX_FONT_SIZE * scale);
-    displayResult.style.fontSize = `${newSize}rem`;
+function getSavedMemory() {
+  const saved = localStorage.getItem(MEMORY_KEY);
+  if (saved === null) return null;
+  try {
+    return Decimal.parse(saved);
+  } catch {
+    return null;
   }
 }
 
 /**
- * Updates both the result and expression displays with current values.
- * Also adjusts font size to ensure content fits properly.
+ * Persists the memory register to localStorage.
  *
- * @function updateDisplay
+ * @function saveMemory
+ * @param {Decimal|null} memory - The memory value, or null when memory is empty
  * @returns {void}
  */
-function updateDisplay() {
-  displayResult.textContent = currentInput;
-  displayExpression.textContent = expression;
-  adjustResultFontSize();
+function saveMemory(memory) {
+  if (memory === null) {
+    localStorage.removeItem(MEMORY_KEY);
+  } else {
+    localStorage.setItem(MEMORY_KEY, memory.toString());
+  }
 }
 
 /**
- * Handles numeric input including digits and decimal point.
- * Validates input to prevent multiple decimal points and display overflow.
+ * Reads the display precision saved in localStorage.
  *
- * @function inputNumber
- * @param {string} num - The number or decimal point to add
- * @returns {void}
+ * @function getSavedPrecision
+ * @returns {number} The saved precision, or the default if none is saved
  */
-function inputNumber(num) {
-  let newInput;
-
-  if (shouldResetInput) {
-    newInput = num;
-    shouldResetInput = false;
-  } else if (currentInput === "0" && num !== ".") {
-    newInput = num;
-  } else if (num === "." && currentInput.includes(".")) {
-    return; // Prevent multiple decimals
-  } else {
-    newInput = currentInput + num;
-  }
-
-  // Check if the new input would fit in the display
-  if (!canFitInDisplay(newInput)) {
-    return; // Don't accept more characters if it won't fit
-  }
-
-  currentInput = newInput;
-  updateDisplay();
+function getSavedPrecision() {
+  const saved = parseInt(localStorage.getItem(PRECISION_KEY), 10);
+  return saved >= 1 && saved <= 40 ? saved : DEFAULT_DISPLAY_PRECISION;
 }
 
 /**
- * Handles operator input (+, -, ×, ÷).
- * If an expression already exists, calculates it before setting the new operator.
+ * Returns the key that enters the decimal point in the current locale.
  *
- * @function inputOperator
- * @param {string} op - The operator symbol to apply
- * @returns {void}
+ * @function getDecimalKey
+ * @returns {string} "," for locales with a decimal comma, otherwise "."
  */
-function inputOperator(op) {
-  if (expression && !shouldResetInput) {
-    calculate();
-  }
-  expression = `${currentInput} ${op}`;
-  shouldResetInput = true;
-  updateDisplay();
+function getDecimalKey() {
+  return getLocaleSeparators(getLocale()).decimal === "," ? "," : ".";
 }
 
 /**
- * Evaluates a single operation (pure function for testing).
+ * Checks whether an event target is a form field the user types into.
  *
- * @function evaluateOperation
- * @param {number} firstNum - First operand
- * @param {string} operator - Operator (+, -, ×, ÷)
- * @param {number} secondNum - Second operand
- * @returns {number|string} The result or 'Error' for division by zero
+ * @function isFormField
+ * @param {EventTarget|null} target - The event target
+ * @returns {boolean} True for inputs, text areas, and selects
  */
-export function evaluateOperation(firstNum, operator, secondNum) {
-  switch (operator) {
-    case "+":
-      return firstNum + secondNum;
-    case "-":
-      return firstNum - secondNum;
-    case "×":
-      return firstNum * secondNum;
-    case "÷":
-      return secondNum !== 0 ? firstNum / secondNum : "Error";
-    default:
-      return NaN;
-  }
+function isFormField(target) {
+  return Boolean(target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT'));
 }
 
 /**
- * Calculates the result of the current expression.
- * Handles basic arithmetic operations and division by zero.
- * Truncates results that don't fit in the display.
+ * Checks whether a calculator is on screen (its tab panel, if any, is the active one).
  *
- * @function calculate
- * @returns {void}
+ * @function isShown
+ * @param {HTMLElement} calculator - The `.calculator` element
+ * @returns {boolean} True if the calculator is shown
  */
-function calculate() {
-  if (!expression) return;
-
-  const parts = expression.split(" ");
-  const firstNum = parseFloat(parts[0]);
-  const operator = parts[1];
-  const secondNum = parseFloat(currentInput);
-
-  const result = evaluateOperation(firstNum, operator, secondNum);
-
-  // Format result to avoid floating point issues
-  if (typeof result === "number") {
-    const roundedResult = Math.round(result * 1000000000) / 1000000000;
-    const resultString = roundedResult.toString();
-
-    // If result doesn't fit, truncate it
-    if (!canFitInDisplay(resultString)) {
-      // Find the maximum length that fits
-      let truncated = resultString;
-      while (truncated.length > 0 && !canFitInDisplay(truncated)) {
-        truncated = truncated.slice(0, -1);
-      }
-      currentInput = truncated || "0";
-    } else {
-      currentInput = resultString;
-    }
-  } else {
-    currentInput = result;
-  }
-
-  expression = "";
-  shouldResetInput = true;
-  updateDisplay();
+function isShown(calculator) {
+  const panel = calculator.closest(".tabs__panel");
+  return !panel || panel.classList.contains("tabs__panel--active");
 }
 
 /**
- * Clears the calculator, resetting input, expression, and state flags.
+ * Returns the key a calculator should be pressed with for a keydown event (pure function
+ * for testing). Ctrl/Cmd combinations belong to the browser (reload, print, address bar,
+ * quit…) and are never passed on, nor is any key while the calculator is hidden. With
+ * Alt (Option) held, the key is read from the physical key, since Option+L types "¬" on
+ * macOS; AltGr combinations are plain characters (e.g. "|" on a German keyboard).
  *
- * @function clear
- * @returns {void}
+ * @function getCalculatorKey
+ * @param {{key: string, code?: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean,
+ *     getModifierState?: function(string): boolean}} event - The keydown event
+ * @param {boolean} shown - Whether the calculator is shown
+ * @returns {{key: string, altKey: boolean}|null} The key and modifiers for
+ *     `CalculatorEngine.press`, or null if the calculator must ignore the event
+ *
+ * @example
+ * getCalculatorKey({ key: "r", ctrlKey: true }, true);           // null
+ * getCalculatorKey({ key: "®", code: "KeyR", altKey: true }, true); // { key: "r", altKey: true }
  */
-function clear() {
-  currentInput = "0";
-  expression = "";
-  shouldResetInput = false;
-  updateDisplay();
+export function getCalculatorKey(event, shown) {
+  if (!shown) return null;
+  if (event.getModifierState?.("AltGraph")) {
+    return { key: event.key, altKey: false };
+  }
+  if (event.ctrlKey || event.metaKey) return null;
+  if (event.altKey) {
+    const letter = /^Key([A-Z])$/.exec(event.code || "");
+    return { key: letter ? letter[1].toLowerCase() : event.key, altKey: true };
+  }
+  return { key: event.key, altKey: false };
 }
 
 /**
- * Toggles the sign of the current input (positive/negative).
- * Validates that the result would fit in the display before applying.
+ * Handles keyboard input events for calculator operations.
+ * Prevents default behavior for mapped keys and presses the key on the active calculator.
+ * Only processes events when input is not focused and the calculator is shown.
  *
- * @function toggleSign
+ * @function handleKeyboard
+ * @param {KeyboardEvent} event - The keyboard event object
  * @returns {void}
  */
-function toggleSign() {
-  if (currentInput !== "0") {
-    const newInput = currentInput.startsWith("-")
-      ? currentInput.slice(1)
-      : "-" + currentInput;
-
-    // Check if the new input would fit in the display
-    if (!canFitInDisplay(newInput)) {
-      return; // Don't toggle if it won't fit
-    }
+function handleKeyboard(event) {
+  // Don't interfere if user is typing in an input field
+  if (isFormField(event.target)) return;
+  if (!activeView) return;
 
-    currentInput = newInput;
-    updateDisplay();
+  const press = getCalculatorKey(event, isShown(activeView.calculator));
+  if (press && activeView.engine.press(press.key, { altKey: press.altKey })) {
+    // Prevent default for mapped keys
+    event.preventDefault();
   }
 }
 
 /**
- * Calculates the percentage of the current input (divides by 100).
+ * Copies the active calculator's result (as displayed) on Ctrl/Cmd+C.
+ * Selected text and form fields keep the browser's own copy behavior.
  *
- * @function percentage
+ * @function handleCopy
+ * @param {ClipboardEvent} event - The copy event
  * @returns {void}
  */
-function percentage() {
-  const num = parseFloat(currentInput);
-  currentInput = (num / 100).toString();
-  updateDisplay();
+function handleCopy(event) {
+  if (!activeView || isFormField(event.target) || !isShown(activeView.calculator)) return;
+  const selection = window.getSelection();
+  if (selection && !selection.isCollapsed) return;
+
+  event.clipboardData.setData("text/plain", activeView.getResultText());
+  event.preventDefault();
 }
 
 /**
- * Routes button click values to the appropriate handler function.
- * Supports numbers, operators, and special functions (clear, sign toggle, percentage, equals).
+ * Enters pasted text (Ctrl/Cmd+V) into the active calculator: a number becomes the
+ * current number and a whole expression replaces the formula. Numbers in decimal mode
+ * are read in the selected locale (e.g. "1.234,5" in de-DE).
  *
- * @function handleButtonClick
- * @param {string} value - The button value clicked
+ * @function handlePaste
+ * @param {ClipboardEvent} event - The paste event
  * @returns {void}
  */
-function handleButtonClick(value) {
-  switch (value) {
-    case "C":
-      clear();
-      break;
-    case "±":
-      toggleSign();
-      break;
-    case "%":
-      percentage();
-      break;
-    case "+":
-    case "-":
-    case "×":
-    case "÷":
-      inputOperator(value);
-      break;
-    case "=":
-      calculate();
-      break;
-    default:
-      inputNumber(value);
+function handlePaste(event) {
+  if (!activeView || isFormField(event.target) || !isShown(activeView.calculator)) return;
+
+  const { engine } = activeView;
+  const text = event.clipboardData.getData("text/plain");
+  const formula = engine.programmerMode ? text : normalizeNumbersInText(text, getLocale());
+  if (engine.paste(formula)) {
+    event.preventDefault();
   }
 }
 
 /**
- * Maps keyboard keys to their corresponding calculator values.
- * Supports numeric keys, operators, and special function keys.
+ * Renders one calculator element with its own engine.
+ * Wires the buttons (each runs the command named by its data-action attribute), the
+ * scientific and programmer mode controls, the precision selector, the copy button, and
+ * the history,
+ * and updates the display, memory indicator, base display, and button states on every
+ * engine change.
  *
- * @function mapKeyToValue
- * @param {string} key - The keyboard key that was pressed
- * @returns {string|null} The mapped calculator value, or null if key is not mapped
+ * @function mountCalculator
+ * @param {HTMLElement} calculator - The `.calculator` element
+ * @returns {{calculator: HTMLElement, engine: CalculatorEngine, getResultText: Function}}
+ *     The element, the engine driving it, and a function returning the displayed result
  */
-function mapKeyToValue(key) {
-  const keyMap = {
-    0: "0",
-    1: "1",
-    2: "2",
-    3: "3",
-    4: "4",
-    5: "5",
-    6: "6",
-    7: "7",
-    8: "8",
-    9: "9",
-    ".": ".",
-    ",": ".",
-    "+": "+",
-    "-": "-",
-    "*": "×",
-    x: "×",
-    X: "×",
-    "/": "÷",
-    Enter: "=",
-    "=": "=",
-    Escape: "C",
-    c: "C",
-    C: "C",
-    Delete: "C",
-    "%": "%",
-    Backspace: "Backspace",
+function mountCalculator(calculator) {
+  const displayResult = calculator.querySelector(".calculator__result");
+  const displayExpression = calculator.querySelector(".calculator__expression");
+  const memoryIndicator = calculator.querySelector(".calculator__memory-indicator");
+  const commandButtons = [...calculator.querySelectorAll("[data-action]")];
+  const decimalButtons = calculator.querySelectorAll('[data-action="decimal"]');
+
+  // Programmer-mode numbers are shown as typed; decimal numbers follow the locale
+  const localize = (text) => (engine.programmerMode ? text : formatNumberString(text, getLocale()));
+
+  const engine = new CalculatorEngine({
+    fits: (text) => !displayResult || canFitInDisplay(displayResult, localize(text)),
+    memory: getSavedMemory(),
+    precision: getSavedPrecision(),
+    decimalSeparator: getDecimalKey(),
+  });
+
+  const baseButtons = {};
+  let savedMemory = engine.memory;
+
+  /**
+   * Renders the engine state: displays, memory indicator, base display (binary digits
+   * grouped in nibbles), and disabled buttons for commands unavailable in the current
+   * mode and base (e.g. "." in programmer mode, or digits 2–9 in binary).
+   *
+   * @param {Object} state - The state from `engine.getState()`
+   * @returns {void}
+   */
+  const render = (state) => {
+    if (displayResult) {
+      const display = localize(state.display);
+      displayResult.textContent = display;
+      displayResult.style.fontSize = `${getFontSize(display.length)}rem`;
+    }
+    if (displayExpression) {
+      displayExpression.textContent = state.programmerMode
+        ? state.expression
+        : formatNumbersInText(state.expression, getLocale());
+    }
+    if (memoryIndicator) {
+      memoryIndicator.hidden = state.memory === null;
+    }
+    if (state.bases) {
+      Object.entries(baseButtons).forEach(([base, button]) => {
+        let text = state.bases[base];
+        if (base === "bin") {
+          text = text.replace(/\B(?=(\d{4})+$)/g, " ");
+        }
+        button.querySelector(".calculator__base-value").textContent = text;
+        button.setAttribute("aria-pressed", String(base === state.numberBase));
+      });
+    }
+    commandButtons.forEach((button) => {
+      button.disabled = !engine.isCommandAvailable(button.dataset.action, button.dataset.value);
+    });
   };
-  return keyMap[key] || null;
-}
 
-// Export mapKeyToValue for testing
-export { mapKeyToValue };
+  engine.addEventListener("change", (event) => {
+    if (event.detail.memory !== savedMemory) {
+      savedMemory = event.detail.memory;
+      saveMemory(savedMemory);
+    }
+    render(event.detail);
+  });
+  engine.addEventListener("calculate", (event) => {
+    recordHistoryEntry(event.detail.expression, event.detail.result, event.detail);
+  });
 
-/**
- * Removes the last character from the current input.
- * Resets to "0" if only one character remains.
- *
- * @function backspace
- * @returns {void}
- */
-function backspace() {
-  if (currentInput.length > 1) {
-    currentInput = currentInput.slice(0, -1);
-  } else {
-    currentInput = "0";
+  commandButtons.forEach((button) => {
+    button.addEventListener("click", () => {
+      engine.execute(button.dataset.action, button.dataset.value);
+    });
+  });
+
+  const view = {
+    calculator,
+    engine,
+    getResultText: () => localize(engine.getState().display),
+  };
+
+  // Keyboard and clipboard input go to the calculator the user last interacted with
+  const activate = () => {
+    activeView = view;
+  };
+  calculator.addEventListener("pointerdown", activate);
+  calculator.addEventListener("focusin", activate);
+
+  // Mode toggles (scientific and programmer are mutually exclusive) and angle mode button
+  const scientificToggle = calculator.querySelector('.calculator__mode-toggle[data-mode="scientific"]');
+  const programmerToggle = calculator.querySelector('.calculator__mode-toggle[data-mode="programmer"]');
+  const scientificKeypad = calculator.querySelector(".calculator__scientific");
+  const programmerPanel = calculator.querySelector(".calculator__programmer");
+  const angleButton = calculator.querySelector(".calculator__angle-toggle");
+  const isPressed = (toggle) => toggle && toggle.getAttribute("aria-pressed") === "true";
+
+  // Shows or hides the scientific keypad and angle mode button
+  const toggleScientificMode = () => {
+    const enabled = !isPressed(scientificToggle);
+    scientificToggle.setAttribute("aria-pressed", String(enabled));
+    scientificKeypad.hidden = !enabled;
+    if (angleButton) {
+      angleButton.hidden = !enabled;
+    }
+  };
+
+  // Shows or hides the programmer panel and switches the engine's arithmetic
+  const toggleProgrammerMode = () => {
+    const enabled = !isPressed(programmerToggle);
+    programmerToggle.setAttribute("aria-pressed", String(enabled));
+    programmerPanel.hidden = !enabled;
+    engine.setProgrammerMode(enabled);
+  };
+
+  if (scientificToggle && scientificKeypad) {
+    scientificToggle.addEventListener("click", () => {
+      if (isPressed(programmerToggle)) {
+        toggleProgrammerMode();
+      }
+      toggleScientificMode();
+    });
   }
-  updateDisplay();
-}
+  if (programmerToggle && programmerPanel) {
+    programmerToggle.addEventListener("click", () => {
+      if (isPressed(scientificToggle)) {
+        toggleScientificMode();
+      }
+      toggleProgrammerMode();
+    });
 
-/**
- * Handles keyboard input events for calculator operations.
- * Prevents default behavior for mapped keys and routes to appropriate handlers.
- * Only processes events when calculator is active and input is not focused.
- *
- * @function handleKeyboard
- * @param {KeyboardEvent} event - The keyboard event object
- * @returns {void}
- */
-function handleKeyboard(event) {
-  // Don't interfere if user is typing in an input field
-  const target = event.target;
-  if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) {
-    return;
+    // Base selection: each base button also shows the current number in that base
+    programmerPanel.querySelectorAll(".calculator__base").forEach((button) => {
+      baseButtons[button.dataset.base] = button;
+      button.addEventListener("click", () => engine.setNumberBase(button.dataset.base));
+    });
+
+    // Word size and signedness
+    const wordSizeSelect = programmerPanel.querySelector(".calculator__word-size");
+    const signedToggle = programmerPanel.querySelector(".calculator__signed-toggle");
+    if (wordSizeSelect) {
+      wordSizeSelect.value = String(engine.wordSize);
+      wordSizeSelect.addEventListener("change", () => {
+        engine.setWordFormat(parseInt(wordSizeSelect.value, 10), engine.signedWord);
+      });
+    }
+    if (signedToggle) {
+      signedToggle.addEventListener("click", () => {
+        engine.setWordFormat(engine.wordSize, !engine.signedWord);
+        signedToggle.textContent = engine.signedWord ? "Signed" : "Unsigned";
+      });
+    }
+  }
+  if (angleButton) {
+    angleButton.textContent = engine.angleMode.toUpperCase();
+    angleButton.addEventListener("click", () => {
+      engine.cycleAngleMode();
+      angleButton.textContent = engine.angleMode.toUpperCase();
+    });
   }
 
-  const value = mapKeyToValue(event.key);
+  // Display precision selector (applies to subsequent results)
+  const precisionSelect = calculator.querySelector(".calculator__precision");
+  if (precisionSelect) {
+    precisionSelect.value = String(engine.displayPrecision);
+    precisionSelect.addEventListener("change", () => {
+      engine.setPrecision(parseInt(precisionSelect.value, 10));
+      localStorage.setItem(PRECISION_KEY, String(engine.displayPrecision));
+    });
+  }
 
-  if (value === null) return;
+  // Load history entries back into the calculator when clicked
+  initHistory(calculator.querySelector(".calculator__history"), {
+    onRecallResult: (result, entry) => engine.loadValue(result, entry),
+    onRecallExpression: (formula, entry) => engine.loadExpression(formula, entry),
+    formatText: (text) => formatNumbersInText(text, getLocale()),
+  });
 
-  // Prevent default for mapped keys
-  event.preventDefault();
+  // Follow the selected locale: separators in the display, history, and "." key
+  const applyLocale = () => {
+    const { decimal } = getLocaleSeparators(getLocale());
+    engine.setDecimalSeparator(getDecimalKey());
+    decimalButtons.forEach((button) => {
+      button.textContent = decimal;
+    });
+    render(engine.getState());
+  };
+  onLocaleChange(() => {
+    applyLocale();
+    renderHistory();
+  });
 
-  if (value === "Backspace") {
-    backspace();
-  } else {
-    handleButtonClick(value);
+  // Copy button: copies the result as displayed and briefly confirms it
+  const copyButton = calculator.querySelector(".calculator__copy");
+  if (copyButton) {
+    copyButton.addEventListener("click", async () => {
+      if (!(await copyText(view.getResultText()))) return;
+      copyButton.classList.add("calculator__copy--done");
+      copyButton.setAttribute("aria-label", "Result copied");
+      setTimeout(() => {
+        copyButton.classList.remove("calculator__copy--done");
+        copyButton.setAttribute("aria-label", "Copy result");
+      }, COPIED_FEEDBACK_DURATION);
+    });
   }
+
+  applyLocale();
+  return view;
 }
 
 /**
  * Initializes the calculator component.
- * Sets up DOM element references, attaches event listeners for buttons and keyboard,
- * and initializes the display.
+ * Renders every `.calculator` element on the page with its own engine and routes
+ * keyboard and clipboard input to the calculator the user last interacted with
+ * (initially the first).
  *
  * @function initCalculator
- * @returns {void}
+ * @returns {Array<CalculatorEngine>} The engines, in document order
  *
  * @example
- * // Initialize calculator on page load
- * initCalculator();
+ * // Initialize calculators on page load
+ * const [engine] = initCalculator();
+ * engine.press("7");
  */
 export function initCalculator() {
-  const calculator = document.querySelector(".calculator");
-  if (!calculator) return;
-
-  displayResult = calculator.querySelector(".calculator__result");
-  displayExpression = calculator.querySelector(".calculator__expression");
-  const buttons = calculator.querySelectorAll(".calculator__button");
-
-  // Add click event to all buttons
-  buttons.forEach((button) => {
-    button.addEventListener("click", () => {
-      const value = button.textContent.trim();
-      handleButtonClick(value);
-    });
-  });
+  const views = [...document.querySelectorAll(".calculator")].map(mountCalculator);
+  if (views.length === 0) return [];
 
-  // Add keyboard event listener
+  activeView = views[0];
   document.addEventListener("keydown", handleKeyboard);
-
-  // Initialize display
-  updateDisplay();
+  document.addEventListener("copy", handleCopy);
+  document.addEventListener("paste", handlePaste);
+  return views.map((view) => view.engine);
 }
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Converter Favorites Component
+ * @description Keeps a list of recent conversions and the user's favorite unit pairs.
+ * A conversion is recorded when a value is committed (the field loses focus or Enter is
+ * pressed) and can be loaded back with one click. Favorite pairs (e.g. kg → lb) are
+ * pinned with the "Pin unit pair" button and shown as chips above the converter. Both
+ * lists persist in localStorage.
+ *
+ * @module components/converter-favorites
+ * @version 1.0.0
+ */
+
+import {
+    formatConversion,
+    getCategoryLabel,
+    getConversionState,
+    getUnitLabel,
+    onConversionChange,
+    setConversion,
+} from './converter.js';
+
+/**
+ * LocalStorage key for the recent conversions.
+ * @type {string}
+ * @constant
+ */
+const RECENT_KEY = 'quantio-converter-recent';
+
+/**
+ * LocalStorage key for the favorite unit pairs.
+ * @type {string}
+ * @constant
+ */
+const FAVORITES_KEY = 'quantio-converter-favorites';
+
+/**
+ * Maximum number of recent conversions kept (oldest ones are dropped first).
+ * @type {number}
+ * @constant
+ */
+export const MAX_RECENT_CONVERSIONS = 10;
+
+/**
+ * Recent conversions, most recent first.
+ * @type {Array<{category: string, from: string, to: string, value: number}>}
+ */
+let recent = [];
+
+/**
+ * Favorite unit pairs, in the order they were pinned.
+ * @type {Array<{category: string, from: string, to: string}>}
+ */
+let favorites = [];
+
+// DOM element references
+let favoriteBar;
+let pinButton;
+let recentList;
+let clearButton;
+
+/**
+ * Checks whether two conversions use the same category and units.
+ *
+ * @function isSamePair
+ * @param {{category: string, from: string, to: string}} a - A conversion or pair
+ * @param {{category: string, from: string, to: string}} b - Another conversion or pair
+ * @returns {boolean} True if the category and both units match
+ */
+function isSamePair(a, b) {
+    return a.category === b.category && a.from === b.from && a.to === b.to;
+}
+
+/**
+ * Adds a conversion to the front of the recent conversions (pure function for testing).
+ * An equal conversion already in the list moves to the front instead of appearing twice.
+ *
+ * @function addRecentConversion
+ * @param {Array<{category: string, from: string, to: string, value: number}>} list - Recent
+ *     conversions, most recent first
+ * @param {{category: string, from: string, to: string, value: number}} conversion - The
+ *     conversion to add
+ * @param {number} [limit=MAX_RECENT_CONVERSIONS] - Maximum number of conversions to keep
+ * @returns {Array<{category: string, from: string, to: string, value: number}>} The new list
+ *
+ * @example
+ * addRecentConversion([], { category: 'mass', from: 'kilogram', to: 'pound', value: 5 });
+ * // [{ category: 'mass', from: 'kilogram', to: 'pound', value: 5 }]
+ */
+export function addRecentConversion(list, conversion, limit = MAX_RECENT_CONVERSIONS) {
+    const others = list.filter((entry) => !isSamePair(entry, conversion) || entry.value !== conversion.value);
+    return [conversion, ...others].slice(0, limit);
+}
+
+/**
+ * Pins a unit pair, or unpins it if it is already a favorite (pure function for testing).
+ *
+ * @function toggleFavoritePair
+ * @param {Array<{category: string, from: string, to: string}>} list - Favorite pairs
+ * @param {{category: string, from: string, to: string}} pair - The pair
+ * @returns {Array<{category: string, from: string, to: string}>} The new list; new pairs
+ *     are added at the end
+ *
+ * @example
+ * toggleFavoritePair([], { category: 'temperature', from: 'celsius', to: 'fahrenheit' });
+ * // [{ category: 'temperature', from: 'celsius', to: 'fahrenheit' }]
+ */
+export function toggleFavoritePair(list, pair) {
+    if (list.some((entry) => isSamePair(entry, pair))) {
+        return list.filter((entry) => !isSamePair(entry, pair));
+    }
+    return [...list, { category: pair.category, from: pair.from, to: pair.to }];
+}
+
+/**
+ * Parses saved conversions or pairs (pure function for testing). Ignores malformed data
+ * and entries without a category and units; values are kept when they are numbers.
+ *
+ * @function parseConversions
+ * @param {string|null} raw - The JSON string read from localStorage
+ * @returns {Array<{category: string, from: string, to: string, value?: number}>} The entries
+ */
+export function parseConversions(raw) {
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        return [];
+    }
+    if (!Array.isArray(parsed)) return [];
+
+    return parsed
+        .filter((entry) => entry && ['category', 'from', 'to'].every((key) => typeof entry[key] === 'string'))
+        .map(({ category, from, to, value }) => (
+            typeof value === 'number' && isFinite(value) ? { category, from, to, value } : { category, from, to }
+        ));
+}
+
+/**
+ * Renders a chip for each favorite pair whose units still exist, and hides the chip bar
+ * when there are none.
+ *
+ * @function renderFavorites
+ * @returns {void}
+ */
+function renderFavorites() {
+    favoriteBar.innerHTML = '';
+    favorites.forEach((pair) => {
+        const from = getUnitLabel(pair.category, pair.from);
+        const to = getUnitLabel(pair.category, pair.to);
+        if (from === null || to === null) {
+            return;
+        }
+
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'converter__chip';
+        chip.textContent = `${from} → ${to}`;
+        chip.title = getCategoryLabel(pair.category);
+        chip.setAttribute('aria-label', `${getCategoryLabel(pair.category)}: ${from} to ${to}`);
+        chip.addEventListener('click', () => setConversion(pair));
+        favoriteBar.appendChild(chip);
+    });
+    favoriteBar.hidden = favoriteBar.childElementCount === 0;
+}
+
+/**
+ * Renders the recent conversions whose units still exist; clicking one loads it back.
+ *
+ * @function renderRecent
+ * @returns {void}
+ */
+function renderRecent() {
+    recentList.innerHTML = '';
+    recent.forEach((conversion) => {
+        const text = formatConversion(conversion);
+        if (text === null) {
+            return;
+        }
+
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'converter__recent-item';
+        button.textContent = text;
+        button.setAttribute('aria-label', `Load ${text}`);
+        button.addEventListener('click', () => setConversion(conversion));
+        item.appendChild(button);
+        recentList.appendChild(item);
+    });
+
+    if (recentList.childElementCount === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'converter__recent-empty';
+        empty.textContent = 'No conversions yet';
+        recentList.appendChild(empty);
+    }
+    if (clearButton) {
+        clearButton.disabled = recent.length === 0;
+    }
+}
+
+/**
+ * Updates the lists and the pin button for the current conversion. Runs after every
+ * conversion update, so the lists follow the locale, result format and custom units.
+ *
+ * @function render
+ * @param {{category: string, from: string, to: string}} conversion - The current conversion
+ * @returns {void}
+ */
+function render(conversion) {
+    renderFavorites();
+    renderRecent();
+    if (pinButton) {
+        pinButton.setAttribute('aria-pressed', String(favorites.some((pair) => isSamePair(pair, conversion))));
+    }
+}
+
+/**
+ * Records the current conversion in the recent conversions, if it has a value.
+ *
+ * @function recordConversion
+ * @returns {void}
+ */
+function recordConversion() {
+    const conversion = getConversionState();
+    if (!isFinite(conversion.value)) {
+        return;
+    }
+    recent = addRecentConversion(recent, conversion);
+    localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+    render(conversion);
+}
+
+/**
+ * Pins or unpins the selected unit pair.
+ *
+ * @function togglePin
+ * @returns {void}
+ */
+function togglePin() {
+    const conversion = getConversionState();
+    favorites = toggleFavoritePair(favorites, conversion);
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+    render(conversion);
+}
+
+/**
+ * Clears the recent conversions.
+ *
+ * @function clearRecent
+ * @returns {void}
+ */
+function clearRecent() {
+    recent = [];
+    localStorage.removeItem(RECENT_KEY);
+    render(getConversionState());
+}
+
+/**
+ * Initializes the favorite pairs and recent conversions. Call after initConverter.
+ *
+ * @function initConverterFavorites
+ * @returns {void}
+ */
+export function initConverterFavorites() {
+    favoriteBar = document.getElementById('converter-favorites');
+    pinButton = document.getElementById('converter-pin');
+    recentList = document.getElementById('converter-recent-list');
+    clearButton = document.getElementById('converter-recent-clear');
+    if (!favoriteBar || !recentList) {
+        return;
+    }
+
+    recent = parseConversions(localStorage.getItem(RECENT_KEY))
+        .filter((entry) => 'value' in entry)
+        .slice(0, MAX_RECENT_CONVERSIONS);
+    favorites = parseConversions(localStorage.getItem(FAVORITES_KEY));
+    render(getConversionState());
+    onConversionChange(render);
+
+    // A conversion is recorded once its value is committed, not on every keystroke
+    ['input-value', 'output-value', 'converter-query'].forEach((id) => {
+        const field = document.getElementById(id);
+        if (field) {
+            field.addEventListener('change', recordConversion);
+        }
+    });
+    if (pinButton) {
+        pinButton.addEventListener('click', togglePin);
+    }
+    if (clearButton) {
+        clearButton.addEventListener('click', clearRecent);
+    }
+}
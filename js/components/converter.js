@@ -1,337 +1,2124 @@
 /**
  * @fileoverview Converter Component
  * @description Handles unit conversion functionality with dynamic unit selection
- * based on conversion category. Supports length, mass, temperature, volume, and time.
+ * based on conversion category. Supports length, mass, temperature, temperature difference,
+ * volume, time, area, speed, pressure, energy, power, force, data storage, angle,
+ * frequency, and currency; the category selector is generated from the unit definitions.
+ * Currencies come from an exchange rate table that can be imported (JSON or CSV) and is
+ * saved for offline use; manual rates can be set per currency pair.
+ * Values are typed and shown with the separators of the selected locale, and results follow
+ * the selected format (significant figures, fixed decimals, scientific or engineering
+ * notation). Both fields are
+ * editable: the conversion runs from the field last typed in to the other one, and the
+ * swap button exchanges the units and values. The result can be copied on its own or as
+ * a sentence such as "12 km = 7.456 mi". The "show all units" view lists the typed value
+ * in every unit of the category, with click-to-copy on each row. The query box converts
+ * free text such as "5 ft 11 in to cm" and selects the matching category and units.
+ * Mixed units (e.g. feet and inches, or days, hours, minutes and seconds) can be picked on
+ * either side: values are shown as "5 ft 10.87 in" and typed as "5 ft 11 in", "5.5"
+ * (in the largest unit), or "1:23:20" (colon-separated, for the smallest units).
+ * Queries with compound units, such as "60 mi/gal to km/L" or "1 kg·m/s² in N", are
+ * converted by dimensional analysis (see utils/unit-algebra).
+ * Custom units and categories (see utils/custom-units) are saved in localStorage and
+ * merged into the unit definitions on start. The last used category and units are
+ * restored on the next visit. Units are picked with searchable unit pickers (see
+ * components/unit-picker) that group them by measurement system; with a preferred
+ * system (metric, imperial or US customary) set, the target unit defaults to that system's
+ * unit of the category.
  *
  * @module components/converter
  * @version 1.0.0
  */
 
+import { copyText } from '../utils/clipboard.js';
+import { createCurrencyUnits, parseRateTable } from '../utils/currency.js';
+import { mergeUnitPack, parseUnitPack } from '../utils/custom-units.js';
+import {
+    formatNumberString,
+    formatNumbersInText,
+    isNumberKey,
+    normalizeNumberString,
+    normalizeNumbersInText,
+    parseLocaleNumber,
+} from '../utils/number-format.js';
+import { createUnitRegistry, evaluateUnitQuery } from '../utils/unit-algebra.js';
+import { getFoldedKeys, parseUnitQuery } from '../utils/unit-query.js';
+import { getLocale, onLocaleChange } from './locale-selector.js';
+import { UnitPicker } from './unit-picker.js';
+
+/**
+ * Exchange rates used until a rate table is imported: euro foreign exchange reference
+ * rates published by the European Central Bank.
+ * @type {{base: string, date: string, rates: Object<string, number>}}
+ * @constant
+ */
+export const DEFAULT_RATE_TABLE = {
+    base: 'EUR',
+    date: '2024-12-31',
+    rates: { EUR: 1, USD: 1.0389, JPY: 163.06, GBP: 0.82918, CHF: 0.9412, CAD: 1.4948, AUD: 1.6772 },
+};
+
 /**
  * Unit definitions for each conversion category.
- * Each unit has a name, abbreviation, and conversion factor to base unit (meter, gram, etc.).
+ * Each unit has a stable `id` (unique in its category; selections and saved settings refer
+ * to units by id, so units can be added or reordered), a name, an abbreviation (also
+ * unique in its category), and a conversion factor to base unit (meter, gram,
+ * square meter, joule, byte, radian, degree Celsius, etc.), and optionally `aliases`: other
+ * spellings accepted in conversion queries (e.g. "kph" for km/h), `systems`: the
+ * measurement systems (see UNIT_SYSTEMS) the unit belongs to, and a `note` shown with the
+ * unit in the unit pickers (e.g. that a month is an average one). Scales whose zero is not
+ * the base unit's zero (temperatures) also have an `offset`, in their own units: a value
+ * is `(value + offset) * factor` in the base unit (e.g. °F: offset -32, factor 5/9).
+ * Currency units are built from the current rate table (see DEFAULT_RATE_TABLE).
  * @type {Object<string, Array<Object>>}
  */
-export const UNIT_DEFINITIONS = {
-    length: [
-        { name: 'Millimeter', abbr: 'mm', factor: 0.001 },
-        { name: 'Centimeter', abbr: 'cm', factor: 0.01 },
-        { name: 'Decimeter', abbr: 'dm', factor: 0.1 },
-        { name: 'Meter', abbr: 'm', factor: 1 },
-        { name: 'Decameter', abbr: 'dam', factor: 10 },
-        { name: 'Hectometer', abbr: 'hm', factor: 100 },
-        { name: 'Kilometer', abbr: 'km', factor: 1000 },
-        { name: 'Inch', abbr: 'in', factor: 0.0254 },
-        { name: 'Foot', abbr: 'ft', factor: 0.3048 },
-        { name: 'Yard', abbr: 'yd', factor: 0.9144 },
-        { name: 'Mile', abbr: 'mi', factor: 1609.344 },
-        { name: 'Nautical Mile', abbr: 'nmi', factor: 1852 },
-    ],
-    mass: [
-        { name: 'Milligram', abbr: 'mg', factor: 0.001 },
-        { name: 'Centigram', abbr: 'cg', factor: 0.01 },
-        { name: 'Decigram', abbr: 'dg', factor: 0.1 },
-        { name: 'Gram', abbr: 'g', factor: 1 },
-        { name: 'Decagram', abbr: 'dag', factor: 10 },
-        { name: 'Hectogram', abbr: 'hg', factor: 100 },
-        { name: 'Kilogram', abbr: 'kg', factor: 1000 },
-        { name: 'Metric Ton', abbr: 't', factor: 1000000 },
-        { name: 'Ounce', abbr: 'oz', factor: 28.3495 },
-        { name: 'Pound', abbr: 'lb', factor: 453.592 },
-        { name: 'Stone', abbr: 'st', factor: 6350.29 },
-    ],
-    temperature: [
-        { name: 'Celsius', abbr: '°C' },
-        { name: 'Fahrenheit', abbr: '°F' },
-        { name: 'Kelvin', abbr: 'K' },
-    ],
-    volume: [
-        { name: 'Milliliter', abbr: 'ml', factor: 0.001 },
-        { name: 'Centiliter', abbr: 'cl', factor: 0.01 },
-        { name: 'Deciliter', abbr: 'dl', factor: 0.1 },
-        { name: 'Liter', abbr: 'L', factor: 1 },
-        { name: 'Decaliter', abbr: 'dal', factor: 10 },
-        { name: 'Hectoliter', abbr: 'hl', factor: 100 },
-        { name: 'Cubic Meter', abbr: 'm³', factor: 1000 },
-        { name: 'Fluid Ounce', abbr: 'fl oz', factor: 0.0295735 },
-        { name: 'Cup', abbr: 'cup', factor: 0.236588 },
-        { name: 'Pint', abbr: 'pt', factor: 0.473176 },
-        { name: 'Quart', abbr: 'qt', factor: 0.946353 },
-        { name: 'Gallon', abbr: 'gal', factor: 3.78541 },
-    ],
-    time: [
-        { name: 'Nanosecond', abbr: 'ns', factor: 0.000000001 },
-        { name: 'Microsecond', abbr: 'µs', factor: 0.000001 },
-        { name: 'Millisecond', abbr: 'ms', factor: 0.001 },
-        { name: 'Second', abbr: 's', factor: 1 },
-        { name: 'Minute', abbr: 'min', factor: 60 },
-        { name: 'Hour', abbr: 'h', factor: 3600 },
-        { name: 'Day', abbr: 'd', factor: 86400 },
-        { name: 'Week', abbr: 'wk', factor: 604800 },
-        { name: 'Month', abbr: 'mo', factor: 2629746 },
-        { name: 'Year', abbr: 'yr', factor: 31556952 },
-    ],
-};
+export const UNIT_DEFINITIONS = {
+    length: [
+        { id: 'millimeter', name: 'Millimeter', abbr: 'mm', factor: 0.001, systems: ['metric'] },
+        { id: 'centimeter', name: 'Centimeter', abbr: 'cm', factor: 0.01, systems: ['metric'] },
+        { id: 'decimeter', name: 'Decimeter', abbr: 'dm', factor: 0.1, systems: ['metric'] },
+        { id: 'meter', name: 'Meter', abbr: 'm', factor: 1, systems: ['metric'] },
+        { id: 'decameter', name: 'Decameter', abbr: 'dam', factor: 10, systems: ['metric'] },
+        { id: 'hectometer', name: 'Hectometer', abbr: 'hm', factor: 100, systems: ['metric'] },
+        { id: 'kilometer', name: 'Kilometer', abbr: 'km', factor: 1000, systems: ['metric'] },
+        { id: 'inch', name: 'Inch', abbr: 'in', factor: 0.0254, systems: ['imperial', 'us'] },
+        { id: 'foot', name: 'Foot', abbr: 'ft', factor: 0.3048, systems: ['imperial', 'us'] },
+        { id: 'yard', name: 'Yard', abbr: 'yd', factor: 0.9144, systems: ['imperial', 'us'] },
+        { id: 'mile', name: 'Mile', abbr: 'mi', factor: 1609.344, systems: ['imperial', 'us'] },
+        { id: 'nautical-mile', name: 'Nautical Mile', abbr: 'nmi', factor: 1852 },
+    ],
+    mass: [
+        { id: 'milligram', name: 'Milligram', abbr: 'mg', factor: 0.001, systems: ['metric'] },
+        { id: 'centigram', name: 'Centigram', abbr: 'cg', factor: 0.01, systems: ['metric'] },
+        { id: 'decigram', name: 'Decigram', abbr: 'dg', factor: 0.1, systems: ['metric'] },
+        { id: 'gram', name: 'Gram', abbr: 'g', factor: 1, systems: ['metric'] },
+        { id: 'decagram', name: 'Decagram', abbr: 'dag', factor: 10, systems: ['metric'] },
+        { id: 'hectogram', name: 'Hectogram', abbr: 'hg', factor: 100, systems: ['metric'] },
+        { id: 'kilogram', name: 'Kilogram', abbr: 'kg', factor: 1000, systems: ['metric'] },
+        { id: 'metric-ton', name: 'Metric Ton', abbr: 't', factor: 1000000, aliases: ['tonne', 'tonnes'], systems: ['metric'] },
+        { id: 'ounce', name: 'Ounce', abbr: 'oz', factor: 28.349523125, systems: ['imperial', 'us'] },
+        { id: 'pound', name: 'Pound', abbr: 'lb', factor: 453.59237, aliases: ['lbs'], systems: ['imperial', 'us'] },
+        { id: 'stone', name: 'Stone', abbr: 'st', factor: 6350.29318, systems: ['imperial'] },
+        { id: 'long-ton', name: 'Long Ton', abbr: 'long tn', factor: 1016046.9088, aliases: ['imperial ton', 'UK ton'], systems: ['imperial'] },
+        { id: 'short-ton', name: 'Short Ton', abbr: 'sh tn', factor: 907184.74, aliases: ['US ton', 'ton', 'tons'], systems: ['us'] },
+    ],
+    temperature: [
+        { id: 'celsius', name: 'Celsius', abbr: '°C', factor: 1, systems: ['metric'] },
+        { id: 'fahrenheit', name: 'Fahrenheit', abbr: '°F', factor: 5 / 9, offset: -32, systems: ['imperial', 'us'] },
+        { id: 'kelvin', name: 'Kelvin', abbr: 'K', factor: 1, offset: -273.15, systems: ['metric'] },
+        { id: 'rankine', name: 'Rankine', abbr: '°R', factor: 5 / 9, offset: -491.67, systems: ['imperial', 'us'] },
+        { id: 'reaumur', name: 'Réaumur', abbr: '°Ré', factor: 1.25, aliases: ['Re', '°Re'] },
+        { id: 'delisle', name: 'Delisle', abbr: '°De', factor: -2 / 3, offset: -150 },
+    ],
+    temperatureDifference: [
+        { id: 'delta-celsius', name: 'Celsius Degree', abbr: 'Δ°C', factor: 1, aliases: ['delta °C'], systems: ['metric'] },
+        { id: 'delta-fahrenheit', name: 'Fahrenheit Degree', abbr: 'Δ°F', factor: 5 / 9, aliases: ['delta °F'], systems: ['imperial', 'us'] },
+        { id: 'delta-kelvin', name: 'Kelvin Difference', abbr: 'ΔK', factor: 1, aliases: ['delta K'], systems: ['metric'] },
+        { id: 'delta-rankine', name: 'Rankine Degree', abbr: 'Δ°R', factor: 5 / 9, aliases: ['delta °R'], systems: ['imperial', 'us'] },
+        { id: 'delta-reaumur', name: 'Réaumur Degree', abbr: 'Δ°Ré', factor: 1.25, aliases: ['delta °Ré', 'delta °Re'] },
+    ],
+    volume: [
+        { id: 'milliliter', name: 'Milliliter', abbr: 'ml', factor: 0.001, aliases: ['mL', 'cc'], systems: ['metric'] },
+        { id: 'centiliter', name: 'Centiliter', abbr: 'cl', factor: 0.01, systems: ['metric'] },
+        { id: 'deciliter', name: 'Deciliter', abbr: 'dl', factor: 0.1, systems: ['metric'] },
+        { id: 'liter', name: 'Liter', abbr: 'L', factor: 1, systems: ['metric'] },
+        { id: 'decaliter', name: 'Decaliter', abbr: 'dal', factor: 10, systems: ['metric'] },
+        { id: 'hectoliter', name: 'Hectoliter', abbr: 'hl', factor: 100, systems: ['metric'] },
+        { id: 'cubic-meter', name: 'Cubic Meter', abbr: 'm³', factor: 1000, systems: ['metric'] },
+        { id: 'us-fluid-ounce', name: 'US Fluid Ounce', abbr: 'fl oz', factor: 0.0295735295625, aliases: ['fluid ounce', 'fluid ounces'], systems: ['us'] },
+        { id: 'us-cup', name: 'US Cup', abbr: 'cup', factor: 0.2365882365, aliases: ['cups'], systems: ['us'] },
+        { id: 'us-pint', name: 'US Pint', abbr: 'pt', factor: 0.473176473, aliases: ['pint', 'pints'], systems: ['us'] },
+        { id: 'us-quart', name: 'US Quart', abbr: 'qt', factor: 0.946352946, aliases: ['quart', 'quarts'], systems: ['us'] },
+        { id: 'us-gallon', name: 'US Gallon', abbr: 'gal', factor: 3.785411784, aliases: ['gallon', 'gallons'], systems: ['us'] },
+        { id: 'imperial-fluid-ounce', name: 'Imperial Fluid Ounce', abbr: 'imp fl oz', factor: 0.0284130625, aliases: ['UK fl oz'], systems: ['imperial'] },
+        { id: 'imperial-pint', name: 'Imperial Pint', abbr: 'imp pt', factor: 0.56826125, aliases: ['UK pt'], systems: ['imperial'] },
+        { id: 'imperial-gallon', name: 'Imperial Gallon', abbr: 'imp gal', factor: 4.54609, aliases: ['UK gal'], systems: ['imperial'] },
+    ],
+    time: [
+        { id: 'nanosecond', name: 'Nanosecond', abbr: 'ns', factor: 0.000000001 },
+        { id: 'microsecond', name: 'Microsecond', abbr: 'µs', factor: 0.000001 },
+        { id: 'millisecond', name: 'Millisecond', abbr: 'ms', factor: 0.001 },
+        { id: 'second', name: 'Second', abbr: 's', factor: 1, aliases: ['sec', 'secs'] },
+        { id: 'minute', name: 'Minute', abbr: 'min', factor: 60, aliases: ['mins'] },
+        { id: 'hour', name: 'Hour', abbr: 'h', factor: 3600, aliases: ['hr', 'hrs'] },
+        { id: 'day', name: 'Day', abbr: 'd', factor: 86400 },
+        { id: 'week', name: 'Week', abbr: 'wk', factor: 604800 },
+        { id: 'month', name: 'Month', abbr: 'mo', factor: 2629746, note: 'Gregorian average: 30.436875 days' },
+        { id: 'year', name: 'Year', abbr: 'yr', factor: 31556952, note: 'Gregorian average: 365.2425 days' },
+    ],
+    area: [
+        { id: 'square-millimeter', name: 'Square Millimeter', abbr: 'mm²', factor: 0.000001, systems: ['metric'] },
+        { id: 'square-centimeter', name: 'Square Centimeter', abbr: 'cm²', factor: 0.0001, systems: ['metric'] },
+        { id: 'square-meter', name: 'Square Meter', abbr: 'm²', factor: 1, systems: ['metric'] },
+        { id: 'hectare', name: 'Hectare', abbr: 'ha', factor: 10000, systems: ['metric'] },
+        { id: 'square-kilometer', name: 'Square Kilometer', abbr: 'km²', factor: 1000000, systems: ['metric'] },
+        { id: 'square-inch', name: 'Square Inch', abbr: 'in²', factor: 0.00064516, systems: ['imperial', 'us'] },
+        { id: 'square-foot', name: 'Square Foot', abbr: 'ft²', factor: 0.09290304, systems: ['imperial', 'us'] },
+        { id: 'square-yard', name: 'Square Yard', abbr: 'yd²', factor: 0.83612736, systems: ['imperial', 'us'] },
+        { id: 'acre', name: 'Acre', abbr: 'ac', factor: 4046.8564224, systems: ['imperial', 'us'] },
+        { id: 'square-mile', name: 'Square Mile', abbr: 'mi²', factor: 2589988.110336, systems: ['imperial', 'us'] },
+    ],
+    speed: [
+        { id: 'meter-per-second', name: 'Meter per Second', abbr: 'm/s', factor: 1, systems: ['metric'] },
+        { id: 'kilometer-per-hour', name: 'Kilometer per Hour', abbr: 'km/h', factor: 1 / 3.6, aliases: ['kph', 'kmh'], systems: ['metric'] },
+        { id: 'foot-per-second', name: 'Foot per Second', abbr: 'ft/s', factor: 0.3048, systems: ['imperial', 'us'] },
+        { id: 'mile-per-hour', name: 'Mile per Hour', abbr: 'mph', factor: 0.44704, systems: ['imperial', 'us'] },
+        { id: 'knot', name: 'Knot', abbr: 'kn', factor: 1852 / 3600, aliases: ['kt'] },
+    ],
+    pressure: [
+        { id: 'pascal', name: 'Pascal', abbr: 'Pa', factor: 1, systems: ['metric'] },
+        { id: 'hectopascal', name: 'Hectopascal', abbr: 'hPa', factor: 100, systems: ['metric'] },
+        { id: 'kilopascal', name: 'Kilopascal', abbr: 'kPa', factor: 1000, systems: ['metric'] },
+        { id: 'megapascal', name: 'Megapascal', abbr: 'MPa', factor: 1000000, systems: ['metric'] },
+        { id: 'millibar', name: 'Millibar', abbr: 'mbar', factor: 100, systems: ['metric'] },
+        { id: 'bar', name: 'Bar', abbr: 'bar', factor: 100000, systems: ['metric'] },
+        { id: 'atmosphere', name: 'Atmosphere', abbr: 'atm', factor: 101325 },
+        { id: 'pound-per-square-inch', name: 'Pound per Square Inch', abbr: 'psi', factor: 6894.757293168, systems: ['imperial', 'us'] },
+        { id: 'millimeter-of-mercury', name: 'Millimeter of Mercury', abbr: 'mmHg', factor: 133.322387415 },
+        { id: 'inch-of-mercury', name: 'Inch of Mercury', abbr: 'inHg', factor: 3386.388640341, systems: ['imperial', 'us'] },
+    ],
+    energy: [
+        { id: 'joule', name: 'Joule', abbr: 'J', factor: 1, systems: ['metric'] },
+        { id: 'kilojoule', name: 'Kilojoule', abbr: 'kJ', factor: 1000, systems: ['metric'] },
+        { id: 'megajoule', name: 'Megajoule', abbr: 'MJ', factor: 1000000, systems: ['metric'] },
+        { id: 'watt-hour', name: 'Watt-hour', abbr: 'Wh', factor: 3600, systems: ['metric'] },
+        { id: 'kilowatt-hour', name: 'Kilowatt-hour', abbr: 'kWh', factor: 3600000, systems: ['metric'] },
+        { id: 'calorie', name: 'Calorie', abbr: 'cal', factor: 4.184, systems: ['metric'] },
+        { id: 'kilocalorie', name: 'Kilocalorie', abbr: 'kcal', factor: 4184, systems: ['metric'] },
+        { id: 'btu', name: 'British Thermal Unit', abbr: 'BTU', factor: 1055.05585262, systems: ['imperial', 'us'] },
+        { id: 'electronvolt', name: 'Electronvolt', abbr: 'eV', factor: 1.602176634e-19 },
+        { id: 'foot-pound', name: 'Foot-pound', abbr: 'ft·lbf', factor: 1.3558179483314, systems: ['imperial', 'us'] },
+    ],
+    power: [
+        { id: 'watt', name: 'Watt', abbr: 'W', factor: 1, systems: ['metric'] },
+        { id: 'kilowatt', name: 'Kilowatt', abbr: 'kW', factor: 1000, systems: ['metric'] },
+        { id: 'megawatt', name: 'Megawatt', abbr: 'MW', factor: 1000000, systems: ['metric'] },
+        { id: 'horsepower', name: 'Horsepower', abbr: 'hp', factor: 745.69987158227, systems: ['imperial', 'us'] },
+        { id: 'metric-horsepower', name: 'Metric Horsepower', abbr: 'PS', factor: 735.49875, systems: ['metric'] },
+        { id: 'btu-per-hour', name: 'BTU per Hour', abbr: 'BTU/h', factor: 0.29307107017, systems: ['imperial', 'us'] },
+    ],
+    force: [
+        { id: 'newton', name: 'Newton', abbr: 'N', factor: 1, systems: ['metric'] },
+        { id: 'kilonewton', name: 'Kilonewton', abbr: 'kN', factor: 1000, systems: ['metric'] },
+        { id: 'dyne', name: 'Dyne', abbr: 'dyn', factor: 0.00001, systems: ['metric'] },
+        { id: 'kilogram-force', name: 'Kilogram-force', abbr: 'kgf', factor: 9.80665, systems: ['metric'] },
+        { id: 'pound-force', name: 'Pound-force', abbr: 'lbf', factor: 4.4482216152605, systems: ['imperial', 'us'] },
+        { id: 'poundal', name: 'Poundal', abbr: 'pdl', factor: 0.138254954376, systems: ['imperial', 'us'] },
+    ],
+    data: [
+        { id: 'bit', name: 'Bit', abbr: 'bit', factor: 0.125 },
+        { id: 'byte', name: 'Byte', abbr: 'B', factor: 1 },
+        { id: 'kilobit', name: 'Kilobit', abbr: 'kbit', factor: 125 },
+        { id: 'kilobyte', name: 'Kilobyte', abbr: 'kB', factor: 1000 },
+        { id: 'megabit', name: 'Megabit', abbr: 'Mbit', factor: 125000 },
+        { id: 'megabyte', name: 'Megabyte', abbr: 'MB', factor: 1000000 },
+        { id: 'gigabit', name: 'Gigabit', abbr: 'Gbit', factor: 125000000 },
+        { id: 'gigabyte', name: 'Gigabyte', abbr: 'GB', factor: 1000000000 },
+        { id: 'terabyte', name: 'Terabyte', abbr: 'TB', factor: 1e12 },
+        { id: 'petabyte', name: 'Petabyte', abbr: 'PB', factor: 1e15 },
+        { id: 'kibibit', name: 'Kibibit', abbr: 'Kibit', factor: 128 },
+        { id: 'kibibyte', name: 'Kibibyte', abbr: 'KiB', factor: 1024 },
+        { id: 'mebibit', name: 'Mebibit', abbr: 'Mibit', factor: 131072 },
+        { id: 'mebibyte', name: 'Mebibyte', abbr: 'MiB', factor: 1048576 },
+        { id: 'gibibit', name: 'Gibibit', abbr: 'Gibit', factor: 134217728 },
+        { id: 'gibibyte', name: 'Gibibyte', abbr: 'GiB', factor: 1073741824 },
+        { id: 'tebibyte', name: 'Tebibyte', abbr: 'TiB', factor: 1099511627776 },
+        { id: 'pebibyte', name: 'Pebibyte', abbr: 'PiB', factor: 1125899906842624 },
+    ],
+    angle: [
+        { id: 'radian', name: 'Radian', abbr: 'rad', factor: 1 },
+        { id: 'milliradian', name: 'Milliradian', abbr: 'mrad', factor: 0.001 },
+        { id: 'degree', name: 'Degree', abbr: '°', factor: Math.PI / 180, aliases: ['deg'] },
+        { id: 'gradian', name: 'Gradian', abbr: 'grad', factor: Math.PI / 200 },
+        { id: 'arcminute', name: 'Arcminute', abbr: '′', factor: Math.PI / 10800, aliases: ['arcmin'] },
+        { id: 'arcsecond', name: 'Arcsecond', abbr: '″', factor: Math.PI / 648000, aliases: ['arcsec'] },
+        { id: 'turn', name: 'Turn', abbr: 'turn', factor: 2 * Math.PI },
+    ],
+    frequency: [
+        { id: 'hertz', name: 'Hertz', abbr: 'Hz', factor: 1 },
+        { id: 'kilohertz', name: 'Kilohertz', abbr: 'kHz', factor: 1000 },
+        { id: 'megahertz', name: 'Megahertz', abbr: 'MHz', factor: 1000000 },
+        { id: 'gigahertz', name: 'Gigahertz', abbr: 'GHz', factor: 1000000000 },
+        { id: 'revolutions-per-minute', name: 'Revolutions per Minute', abbr: 'rpm', factor: 1 / 60 },
+        { id: 'radian-per-second', name: 'Radian per Second', abbr: 'rad/s', factor: 1 / (2 * Math.PI) },
+    ],
+    currency: createCurrencyUnits(DEFAULT_RATE_TABLE),
+};
+
+/**
+ * Dimensions of each category's units, for the unit algebra: the exponents of the base
+ * dimensions, and the SI value of a unit with factor 1 (e.g. 0.001 kg for the gram,
+ * 0.001 m³ for the liter). Compound expressions such as "kg·m/s²" or "mi/gal" are
+ * converted by matching these dimensions.
+ * @type {Object<string, {dimensions: Object<string, number>, scale: number}>}
+ * @constant
+ */
+export const CATEGORY_DIMENSIONS = {
+    length: { dimensions: { length: 1 }, scale: 1 },
+    mass: { dimensions: { mass: 1 }, scale: 0.001 },
+    temperature: { dimensions: { temperature: 1 }, scale: 1 },
+    temperatureDifference: { dimensions: { temperature: 1 }, scale: 1 },
+    volume: { dimensions: { length: 3 }, scale: 0.001 },
+    time: { dimensions: { time: 1 }, scale: 1 },
+    area: { dimensions: { length: 2 }, scale: 1 },
+    speed: { dimensions: { length: 1, time: -1 }, scale: 1 },
+    pressure: { dimensions: { mass: 1, length: -1, time: -2 }, scale: 1 },
+    energy: { dimensions: { mass: 1, length: 2, time: -2 }, scale: 1 },
+    power: { dimensions: { mass: 1, length: 2, time: -3 }, scale: 1 },
+    force: { dimensions: { mass: 1, length: 1, time: -2 }, scale: 1 },
+    data: { dimensions: { data: 1 }, scale: 1 },
+    angle: { dimensions: { angle: 1 }, scale: 1 },
+    frequency: { dimensions: { time: -1 }, scale: 1 },
+};
+
+/**
+ * Units by symbol for compound unit expressions, built from the unit definitions
+ * (and rebuilt when custom units change).
+ * @type {Map<string, {factor: number, dimensions: Object<string, number>}>}
+ */
+let unitRegistry = createUnitRegistry(UNIT_DEFINITIONS, CATEGORY_DIMENSIONS);
+
+/**
+ * Manual rates between two units, by category, keyed by "fromId:toId" (e.g.
+ * `{ currency: { 'eur:usd': 1.05 } }`). A pair's rate is used instead of the units'
+ * factors, in both directions.
+ * @type {Object<string, Object<string, number>>}
+ */
+export const PAIR_RATES = {};
+
+/**
+ * Mixed units for each category: a value split over several units, largest first
+ * (e.g. 5 ft 10.87 in). Units are given by abbreviation; neighboring units must have
+ * a whole-number ratio (12 in per ft, 60 s per min).
+ * @type {Object<string, Array<{name: string, units: string[]}>>}
+ */
+export const MIXED_UNITS = {
+    length: [
+        { name: 'Feet and inches', units: ['ft', 'in'] },
+    ],
+    mass: [
+        { name: 'Stone and pounds', units: ['st', 'lb'] },
+        { name: 'Pounds and ounces', units: ['lb', 'oz'] },
+    ],
+    time: [
+        { name: 'Days, hours, minutes and seconds', units: ['d', 'h', 'min', 's'] },
+    ],
+};
+
+/**
+ * Display names of the conversion categories.
+ * Categories without a label are shown with their capitalized key.
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const CATEGORY_LABELS = {
+    length: 'Length',
+    mass: 'Mass / Weight',
+    temperature: 'Temperature',
+    temperatureDifference: 'Temperature Difference',
+    volume: 'Volume',
+    time: 'Time',
+    area: 'Area',
+    speed: 'Speed',
+    pressure: 'Pressure',
+    energy: 'Energy',
+    power: 'Power',
+    force: 'Force',
+    data: 'Data Storage',
+    angle: 'Angle',
+    frequency: 'Frequency',
+    currency: 'Currency',
+};
+
+/**
+ * Display names of the measurement systems units can be tagged with; the unit pickers
+ * group units by system.
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const UNIT_SYSTEMS = {
+    metric: 'Metric (SI)',
+    imperial: 'Imperial',
+    us: 'US customary',
+};
+
+/**
+ * Units each measurement system converts to by default, per category: with a preferred
+ * system, a category opens on a conversion to its unit from the metric one (or, for
+ * metric, from the US customary one), e.g. ft → m or L → US gal.
+ * @type {Object<string, Object<string, string>>}
+ * @constant
+ */
+export const PREFERRED_UNITS = {
+    length: { metric: 'meter', imperial: 'foot', us: 'foot' },
+    mass: { metric: 'kilogram', imperial: 'pound', us: 'pound' },
+    temperature: { metric: 'celsius', imperial: 'fahrenheit', us: 'fahrenheit' },
+    temperatureDifference: { metric: 'delta-celsius', imperial: 'delta-fahrenheit', us: 'delta-fahrenheit' },
+    volume: { metric: 'liter', imperial: 'imperial-gallon', us: 'us-gallon' },
+    area: { metric: 'square-meter', imperial: 'square-foot', us: 'square-foot' },
+    speed: { metric: 'kilometer-per-hour', imperial: 'mile-per-hour', us: 'mile-per-hour' },
+    pressure: { metric: 'kilopascal', imperial: 'pound-per-square-inch', us: 'pound-per-square-inch' },
+    energy: { metric: 'kilojoule', imperial: 'btu', us: 'btu' },
+    power: { metric: 'kilowatt', imperial: 'horsepower', us: 'horsepower' },
+    force: { metric: 'newton', imperial: 'pound-force', us: 'pound-force' },
+};
+
+/**
+ * Names that mean a different unit in each system: a "gallon" is 3.785 L in the US and
+ * 4.546 L in the UK, a "ton" 2000 lb in the US and 2240 lb in the UK. They are aliases of the preferred system's unit (see
+ * withSystemAliases), and of the US unit when no imperial preference is set.
+ * @type {Object<string, Array<{aliases: string[], us: string, imperial: string}>>}
+ * @constant
+ */
+export const SYSTEM_ALIASES = {
+    mass: [
+        { aliases: ['ton', 'tons'], us: 'short-ton', imperial: 'long-ton' },
+    ],
+    volume: [
+        { aliases: ['fluid ounce', 'fluid ounces'], us: 'us-fluid-ounce', imperial: 'imperial-fluid-ounce' },
+        { aliases: ['pint', 'pints'], us: 'us-pint', imperial: 'imperial-pint' },
+        { aliases: ['gallon', 'gallons'], us: 'us-gallon', imperial: 'imperial-gallon' },
+    ],
+};
+
+/**
+ * LocalStorage key for the preferred measurement system.
+ * @type {string}
+ * @constant
+ */
+const UNIT_SYSTEM_KEY = 'quantio-unit-system';
+
+/**
+ * Result formats: how converted values are rounded and written.
+ * @type {string[]}
+ * @constant
+ */
+export const OUTPUT_NOTATIONS = ['significant', 'fixed', 'scientific', 'engineering'];
+
+/**
+ * Result format used until the user picks one: 10 significant figures.
+ * @type {{notation: string, digits: number}}
+ * @constant
+ */
+export const DEFAULT_OUTPUT_FORMAT = { notation: 'significant', digits: 10 };
+
+/**
+ * LocalStorage key for the selected result format.
+ * @type {string}
+ * @constant
+ */
+const OUTPUT_FORMAT_KEY = 'quantio-converter-format';
+
+/**
+ * How long a copy button shows that the text was copied (in milliseconds).
+ * @type {number}
+ * @constant
+ */
+const COPIED_FEEDBACK_DURATION = 1500;
+
+/**
+ * LocalStorage key for the imported exchange rate table.
+ * @type {string}
+ * @constant
+ */
+const CURRENCY_RATES_KEY = 'quantio-currency-rates';
+
+/**
+ * LocalStorage key for the manual exchange rates (PAIR_RATES.currency).
+ * @type {string}
+ * @constant
+ */
+const CURRENCY_OVERRIDES_KEY = 'quantio-currency-overrides';
+
+/**
+ * LocalStorage key for the user's custom units and categories (a unit pack).
+ * @type {string}
+ * @constant
+ */
+const CUSTOM_UNITS_KEY = 'quantio-custom-units';
+
+/**
+ * LocalStorage key for the last used category and units.
+ * @type {string}
+ * @constant
+ */
+const SELECTION_KEY = 'quantio-converter-selection';
+
+// DOM Elements
+let converter;
+let categorySelect;
+let systemSelect;
+let inputValue;
+let inputUnit;
+let outputValue;
+let outputUnit;
+let swapButton;
+let formatSelect;
+let digitsSelect;
+let copyValueButton;
+let copySentenceButton;
+let showAllToggle;
+let allUnitsTable;
+let queryInput;
+let queryResult;
+let rateInfo;
+let currencyPanel;
+let overrideInput;
+let overrideLabel;
+let overrideResetButton;
+let rateImportInput;
+let currencyStatus;
+
+/**
+ * Current conversion category.
+ * @type {string}
+ */
+let currentCategory = 'length';
+
+/**
+ * Field the user last typed in; the other field shows the converted value.
+ * @type {'input'|'output'}
+ */
+let sourceSide = 'input';
+
+/**
+ * Locale the typed value is currently written in.
+ * @type {string}
+ */
+let inputLocale = 'en-US';
+
+/**
+ * Format of converted values.
+ * @type {{notation: string, digits: number}}
+ */
+let outputFormat = { ...DEFAULT_OUTPUT_FORMAT };
+
+/**
+ * Exchange rate table the currency units are built from.
+ * @type {{base: string, date: string, rates: Object<string, number>}}
+ */
+let rateTable = DEFAULT_RATE_TABLE;
+
+/**
+ * The user's custom units and categories, merged into UNIT_DEFINITIONS.
+ * @type {{categories: Array<{id: string, label: string}>, units: Array<Object>}}
+ */
+let customUnits = { categories: [], units: [] };
+
+/**
+ * Preferred measurement system (a key of UNIT_SYSTEMS), or an empty string for none.
+ * @type {string}
+ */
+let preferredSystem = '';
+
+/**
+ * Callbacks notified after every conversion update.
+ * @type {Function[]}
+ */
+const conversionListeners = [];
+
+/**
+ * Returns the display name of a conversion category (pure function for testing).
+ *
+ * @function getCategoryLabel
+ * @param {string} category - Key of the category in UNIT_DEFINITIONS
+ * @returns {string} The label, e.g. "Data Storage" for "data"
+ *
+ * @example
+ * getCategoryLabel('mass');  // 'Mass / Weight'
+ * getCategoryLabel('flow');  // 'Flow'
+ */
+export function getCategoryLabel(category) {
+    return CATEGORY_LABELS[category] || category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+/**
+ * Populates the category selector with one option per category in UNIT_DEFINITIONS.
+ *
+ * @function populateCategorySelector
+ * @returns {void}
+ */
+function populateCategorySelector() {
+    categorySelect.innerHTML = '';
+    Object.keys(UNIT_DEFINITIONS).forEach((category) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = getCategoryLabel(category);
+        categorySelect.appendChild(option);
+    });
+    categorySelect.value = currentCategory;
+}
+
+/**
+ * Returns the unit picker options of a category (pure function for testing): units are
+ * grouped by measurement system ("Metric", "Imperial / US customary", ..., and "Other"
+ * for units without one), then custom units, then mixed units (values like "mixed-0").
+ * Groups come in the order of their first unit. Categories without systems (e.g. time)
+ * list their units without a heading, and so does a category with a single group.
+ *
+ * @function getUnitOptionGroups
+ * @param {string} category - Conversion category
+ * @returns {Array<{label: string, options: Array<{value: string, label: string, hint: string, keywords: string[]}>}>}
+ *     The option groups; each option's hint names its systems and note, and its keywords
+ *     are the spellings (and systems) it is found by
+ *
+ * @example
+ * getUnitOptionGroups('mass')[1].label; // 'Imperial / US customary'
+ */
+export function getUnitOptionGroups(category) {
+    const groups = [];
+    const addOption = (label, option) => {
+        let group = groups.find((candidate) => candidate.label === label);
+        if (!group) {
+            group = { label, options: [] };
+            groups.push(group);
+        }
+        group.options.push(option);
+    };
+
+    const units = UNIT_DEFINITIONS[category];
+    const otherLabel = units.some((unit) => unit.systems) ? 'Other' : '';
+    units.forEach((unit) => {
+        const systems = (unit.systems || []).map((system) => UNIT_SYSTEMS[system]);
+        let label = otherLabel;
+        if (unit.custom) {
+            label = 'Custom units';
+        } else if (systems.length > 0) {
+            label = systems.join(' / ');
+        }
+        addOption(label, {
+            value: unit.id,
+            label: `${unit.abbr} (${unit.name})`,
+            hint: [systems.join(' / '), unit.note].filter(Boolean).join(' · '),
+            keywords: [...getFoldedKeys(unit), ...systems.map((system) => system.toLowerCase())],
+        });
+    });
+    (MIXED_UNITS[category] || []).forEach((mixedUnit, index) => {
+        addOption('Mixed units', {
+            value: `mixed-${index}`,
+            label: `${mixedUnit.units.join(' + ')} (${mixedUnit.name})`,
+            keywords: [mixedUnit.name.toLowerCase(), ...mixedUnit.units],
+        });
+    });
+
+    if (groups.length === 1) {
+        groups[0].label = '';
+    }
+    return groups;
+}
+
+/**
+ * Populates the unit pickers with the units of the current category.
+ *
+ * @function populateUnitSelectors
+ * @returns {void}
+ */
+function populateUnitSelectors() {
+    const groups = getUnitOptionGroups(currentCategory);
+    inputUnit.setOptions(groups);
+    outputUnit.setOptions(groups);
+
+    const { from, to } = getDefaultUnits(currentCategory, preferredSystem);
+    inputUnit.value = from;
+    outputUnit.value = to;
+}
+
+/**
+ * Returns the units a category opens with (pure function for testing): a conversion to
+ * the preferred system's unit (see PREFERRED_UNITS), or from the first unit to the second.
+ *
+ * @function getDefaultUnits
+ * @param {string} category - Conversion category
+ * @param {string} [system=''] - Preferred measurement system (a key of UNIT_SYSTEMS), if any
+ * @returns {{from: string, to: string}} Ids of the source and target units
+ *
+ * @example
+ * getDefaultUnits('volume', 'imperial'); // { from: 'liter', to: 'imperial-gallon' }
+ * getDefaultUnits('volume');             // { from: 'milliliter', to: 'centiliter' }
+ */
+export function getDefaultUnits(category, system = '') {
+    const units = UNIT_DEFINITIONS[category];
+    const preferred = PREFERRED_UNITS[category] || {};
+    const from = preferred[system === 'metric' ? 'us' : 'metric'];
+    const to = preferred[system];
+    if (to && getUnitIndex(category, from) >= 0 && getUnitIndex(category, to) >= 0) {
+        return { from, to };
+    }
+    return { from: units[0].id, to: (units[1] || units[0]).id };
+}
+
+/**
+ * Gives the ambiguous unit names of SYSTEM_ALIASES to a system's units (pure function
+ * for testing). The definitions are not changed: categories with moved aliases get new
+ * unit lists.
+ *
+ * @function withSystemAliases
+ * @param {Object<string, Array<Object>>} definitions - Units per category
+ * @param {string} system - Preferred measurement system (a key of UNIT_SYSTEMS), or an
+ *     empty string; only "imperial" differs from the US default
+ * @returns {Object<string, Array<Object>>} The definitions with the aliases moved
+ *
+ * @example
+ * withSystemAliases(UNIT_DEFINITIONS, 'imperial').volume
+ *     .find((unit) => unit.id === 'imperial-gallon').aliases; // ['UK gal', 'gallon', 'gallons']
+ */
+export function withSystemAliases(definitions, system) {
+    const result = { ...definitions };
+    for (const [category, entries] of Object.entries(SYSTEM_ALIASES)) {
+        if (!definitions[category]) {
+            continue;
+        }
+        const ambiguous = entries.flatMap((entry) => entry.aliases);
+        result[category] = definitions[category].map((unit) => {
+            const current = unit.aliases || [];
+            const entry = entries.find((candidate) => (candidate[system] || candidate.us) === unit.id);
+            const aliases = [...current.filter((alias) => !ambiguous.includes(alias)), ...(entry ? entry.aliases : [])];
+            const changed = aliases.length !== current.length || aliases.some((alias, index) => alias !== current[index]);
+            return changed ? { ...unit, aliases } : unit;
+        });
+    }
+    return result;
+}
+
+/**
+ * Moves the ambiguous unit names to the preferred system's units, for queries and the
+ * unit pickers' search.
+ *
+ * @function applySystemAliases
+ * @returns {void}
+ */
+function applySystemAliases() {
+    Object.assign(UNIT_DEFINITIONS, withSystemAliases(UNIT_DEFINITIONS, preferredSystem));
+    unitRegistry = createUnitRegistry(UNIT_DEFINITIONS, CATEGORY_DIMENSIONS);
+}
+
+/**
+ * Rebuilds the unit selectors after the category's units changed, keeping the selected
+ * units that still exist.
+ *
+ * @function refreshUnitSelectors
+ * @returns {void}
+ */
+function refreshUnitSelectors() {
+    const selected = [inputUnit.value, outputUnit.value];
+    populateUnitSelectors();
+    selectUnit(inputUnit, selected[0]);
+    selectUnit(outputUnit, selected[1]);
+}
+
+/**
+ * Selects a unit in a unit picker, if the picker offers it.
+ *
+ * @function selectUnit
+ * @param {UnitPicker} select - The unit picker
+ * @param {string} value - A unit id, or a mixed unit value such as "mixed-0"
+ * @returns {boolean} True if the unit was selected
+ */
+function selectUnit(select, value) {
+    if (!select.hasOption(value)) {
+        return false;
+    }
+    select.value = value;
+    return true;
+}
+
+/**
+ * Finds a unit's position in its category (pure function for testing).
+ *
+ * @function getUnitIndex
+ * @param {string} category - Conversion category (a key of UNIT_DEFINITIONS)
+ * @param {string|number} unit - The unit's id, or its index for compatibility
+ * @returns {number} The unit's index in UNIT_DEFINITIONS[category], or -1 if there is none
+ *
+ * @example
+ * getUnitIndex('length', 'kilometer'); // 6
+ * getUnitIndex('length', 6); // 6
+ */
+export function getUnitIndex(category, unit) {
+    const units = UNIT_DEFINITIONS[category];
+    if (!units) {
+        return -1;
+    }
+    if (typeof unit === 'number') {
+        return Number.isInteger(unit) && unit >= 0 && unit < units.length ? unit : -1;
+    }
+    return units.findIndex((definition) => definition.id === unit);
+}
+
+/**
+ * Returns the manual rate between two units, if one is set (pure function for testing).
+ * A rate set for the opposite direction is inverted.
+ *
+ * @function getPairRate
+ * @param {string} category - Conversion category
+ * @param {string} fromId - Id of the source unit
+ * @param {string} toId - Id of the target unit
+ * @returns {number|null} How many target units one source unit is worth, or null
+ *
+ * @example
+ * PAIR_RATES.currency = { 'eur:usd': 1.25 };
+ * getPairRate('currency', 'usd', 'eur'); // 0.8
+ */
+export function getPairRate(category, fromId, toId) {
+    const rates = PAIR_RATES[category];
+    if (!rates || fromId === toId) {
+        return null;
+    }
+    if (rates[`${fromId}:${toId}`]) {
+        return rates[`${fromId}:${toId}`];
+    }
+    if (rates[`${toId}:${fromId}`]) {
+        return 1 / rates[`${toId}:${fromId}`];
+    }
+    return null;
+}
+
+/**
+ * Checks that unit definitions can be told apart (pure function for testing): every
+ * unit needs an id, ids and abbreviations must be unique within their category, and
+ * units can only be tagged with the systems of UNIT_SYSTEMS.
+ *
+ * @function validateUnitDefinitions
+ * @param {Object<string, Array<{id: string, abbr: string, systems?: string[]}>>} definitions
+ *     - Units per category
+ * @returns {string[]} A description of each problem; empty if the definitions are valid
+ *
+ * @example
+ * validateUnitDefinitions({ length: [{ id: 'm', abbr: 'm' }, { id: 'm', abbr: 'M' }] });
+ * // ['length: duplicate id "m"']
+ */
+export function validateUnitDefinitions(definitions) {
+    const problems = [];
+    for (const [category, units] of Object.entries(definitions)) {
+        const ids = new Set();
+        const abbreviations = new Set();
+        units.forEach((unit, index) => {
+            if (typeof unit.id !== 'string' || !unit.id) {
+                problems.push(`${category}: unit ${index} (${unit.abbr}) has no id`);
+            } else if (ids.has(unit.id)) {
+                problems.push(`${category}: duplicate id "${unit.id}"`);
+            }
+            if (abbreviations.has(unit.abbr)) {
+                problems.push(`${category}: duplicate abbreviation "${unit.abbr}"`);
+            }
+            (unit.systems || [])
+                .filter((system) => !UNIT_SYSTEMS[system])
+                .forEach((system) => problems.push(`${category}: ${unit.abbr} has unknown system "${system}"`));
+            ids.add(unit.id);
+            abbreviations.add(unit.abbr);
+        });
+    }
+    return problems;
+}
+
+/**
+ * Converts a value from one unit to another (pure function for testing).
+ * Units with an `offset` (temperature scales) are shifted before and after scaling, and
+ * manual rates for the pair of units (PAIR_RATES) win over the units' factors.
+ *
+ * @function convertValue
+ * @param {number} value - The value to convert
+ * @param {string|number} from - Id of the source unit (or its index in
+ *     UNIT_DEFINITIONS[category])
+ * @param {string|number} to - Id of the target unit (or its index)
+ * @param {string} category - Conversion category (a key of UNIT_DEFINITIONS, e.g. length)
+ * @returns {number} The converted value
+ *
+ * @example
+ * convertValue(1, 'mile', 'kilometer', 'length'); // 1.609344
+ */
+export function convertValue(value, from, to, category) {
+    if (isNaN(value) || value === '') {
+        return 0;
+    }
+
+    const fromIndex = getUnitIndex(category, from);
+    const toIndex = getUnitIndex(category, to);
+    if (fromIndex === -1 || toIndex === -1) {
+        return 0;
+    }
+
+    const units = UNIT_DEFINITIONS[category];
+    const fromUnit = units[fromIndex];
+    const toUnit = units[toIndex];
+
+    const pairRate = getPairRate(category, fromUnit.id, toUnit.id);
+    if (pairRate !== null) {
+        return value * pairRate;
+    }
+
+    // Convert to base unit, then to target unit
+    const baseValue = (value + (fromUnit.offset || 0)) * fromUnit.factor;
+    return baseValue / toUnit.factor - (toUnit.offset || 0);
+}
+
+/**
+ * Returns the indexes in UNIT_DEFINITIONS[category] of the units of a mixed unit.
+ *
+ * @function getMixedIndexes
+ * @param {{units: string[]}} mixedUnit - The mixed unit
+ * @param {string} category - Conversion category
+ * @returns {number[]} The unit indexes, largest unit first
+ */
+function getMixedIndexes(mixedUnit, category) {
+    const units = UNIT_DEFINITIONS[category];
+    return mixedUnit.units.map((abbr) => units.findIndex((unit) => unit.abbr === abbr));
+}
+
+/**
+ * Writes a value as a mixed unit (pure function for testing), e.g. 70.87 in as
+ * "5 ft 10.87 in". Every unit but the last holds a whole number; the last one is
+ * rounded to the result format, carrying into the larger units when it rounds up
+ * (71.9999 in is "6 ft", not "5 ft 12 in"). Zero parts are left out.
+ *
+ * @function formatMixedValue
+ * @param {number} value - The value, in the last (smallest) unit of the mixed unit
+ * @param {{units: string[]}} mixedUnit - The mixed unit (see MIXED_UNITS)
+ * @param {string} category - Conversion category
+ * @param {{notation: string, digits: number}} [format=DEFAULT_OUTPUT_FORMAT] - Result format
+ *     of the last part
+ * @param {string} [locale='en-US'] - BCP 47 locale tag for the numbers
+ * @returns {string} The value, e.g. "1 h 23 min 20 s", or an empty string if it is not a
+ *     finite number
+ *
+ * @example
+ * formatMixedValue(5000, MIXED_UNITS.time[0], 'time'); // '1 h 23 min 20 s'
+ */
+export function formatMixedValue(value, mixedUnit, category, format = DEFAULT_OUTPUT_FORMAT, locale = 'en-US') {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return '';
+    }
+
+    const units = UNIT_DEFINITIONS[category];
+    const indexes = getMixedIndexes(mixedUnit, category);
+    const last = indexes.length - 1;
+
+    // How many of the next smaller unit make one of each unit (e.g. 12 in per ft)
+    const ratios = indexes.slice(0, last).map((index, i) =>
+        Math.round(units[index].factor / units[indexes[i + 1]].factor)
+    );
+
+    // Split the value, largest unit first
+    let remainder = Math.abs(value);
+    const parts = indexes.map((index, i) => {
+        if (i === last) return remainder;
+        const size = ratios.slice(i).reduce((product, ratio) => product * ratio, 1);
+        const part = Math.floor(remainder / size);
+        remainder -= part * size;
+        return part;
+    });
+
+    // Round the last part, carrying into larger units when it reaches a whole one
+    let lastText = formatConvertedValue(parts[last], format);
+    for (let i = last; i > 0 && parseFloat(i === last ? lastText : parts[i]) >= ratios[i - 1]; i--) {
+        if (i === last) {
+            lastText = formatConvertedValue(0, format);
+        } else {
+            parts[i] = 0;
+        }
+        parts[i - 1] += 1;
+    }
+
+    const texts = parts.map((part, i) => (i === last ? lastText : String(part)));
+    const shown = texts
+        .map((text, i) => ({ text, abbr: units[indexes[i]].abbr }))
+        .filter(({ text }, i) => parseFloat(text) !== 0 || (i === last && texts.every((t) => parseFloat(t) === 0)));
+    const sign = value < 0 && shown.some(({ text }) => parseFloat(text) !== 0) ? '-' : '';
+    return sign + shown.map(({ text, abbr }) => `${formatNumberString(text, locale)} ${abbr}`).join(' ');
+}
+
+/**
+ * Parses a value typed for a mixed unit (pure function for testing). Accepts units
+ * (e.g. "5 ft 11 in" or "1 h 20 s"), a plain number in the largest unit ("5.5" ft), or
+ * colon-separated numbers for the smallest units ("1:23:20" is 1 h 23 min 20 s).
+ *
+ * @function parseMixedValue
+ * @param {string} text - The typed value
+ * @param {{units: string[]}} mixedUnit - The mixed unit (see MIXED_UNITS)
+ * @param {string} category - Conversion category
+ * @param {string} [locale='en-US'] - BCP 47 locale tag for the numbers
+ * @returns {number} The value in the last (smallest) unit of the mixed unit, or NaN
+ *
+ * @example
+ * parseMixedValue('5 ft 11 in', MIXED_UNITS.length[0], 'length'); // 71
+ * parseMixedValue('1:23:20', MIXED_UNITS.time[0], 'time');        // 5000
+ */
+export function parseMixedValue(text, mixedUnit, category, locale = 'en-US') {
+    const indexes = getMixedIndexes(mixedUnit, category);
+    const lastIndex = indexes[indexes.length - 1];
+    const trimmed = text.trim();
+    if (!trimmed) return NaN;
+
+    // Plain number: in the largest unit
+    const plain = parseLocaleNumber(trimmed, locale);
+    if (!isNaN(plain)) {
+        return convertValue(plain, indexes[0], lastIndex, category);
+    }
+
+    // Colon-separated numbers fill the smallest units
+    if (trimmed.includes(':')) {
+        const numbers = trimmed.split(':').map((part) => parseLocaleNumber(part, locale));
+        if (numbers.length > indexes.length || numbers.some(isNaN)) return NaN;
+        const partIndexes = indexes.slice(indexes.length - numbers.length);
+        return numbers.reduce(
+            (sum, number, i) => sum + convertValue(number, partIndexes[i], lastIndex, category),
+            0
+        );
+    }
+
+    // Numbers with units, in this category and without a target unit
+    const query = parseUnitQuery(trimmed, UNIT_DEFINITIONS, locale, category);
+    if (!query || query.category !== category || query.toIndex !== null) return NaN;
+    return convertValue(query.value, query.fromIndex, lastIndex, category);
+}
+
+/**
+ * Returns the unit picked in a unit selector: a single unit, or a mixed unit with the
+ * index of its smallest unit (the unit its values are converted in).
+ *
+ * @function getUnitSelection
+ * @param {UnitPicker} select - The unit picker
+ * @returns {{index: number, mixed: Object|null}} The unit index and the mixed unit, if any
+ */
+function getUnitSelection(select) {
+    return resolveUnitSelection(currentCategory, select.value);
+}
+
+/**
+ * Resolves a unit selector value in a category.
+ *
+ * @function resolveUnitSelection
+ * @param {string} category - Conversion category
+ * @param {string} value - A unit id, or a mixed unit value such as "mixed-0"
+ * @returns {{index: number, mixed: Object|null}} The unit index (-1 if the category has
+ *     no such unit) and the mixed unit, if any
+ */
+function resolveUnitSelection(category, value) {
+    const match = /^mixed-(\d+)$/.exec(value);
+    if (!match) {
+        return { index: getUnitIndex(category, value), mixed: null };
+    }
+    const mixed = (MIXED_UNITS[category] || [])[parseInt(match[1])];
+    if (!mixed) {
+        return { index: -1, mixed: null };
+    }
+    const indexes = getMixedIndexes(mixed, category);
+    return { index: indexes[indexes.length - 1], mixed };
+}
+
+/**
+ * Returns the unit shown after a value in conversion sentences. Mixed values already
+ * name their units, so they get none.
+ *
+ * @function getSentenceUnit
+ * @param {UnitPicker} select - The unit picker
+ * @returns {{abbr: string}} The unit
+ */
+function getSentenceUnit(select) {
+    const { index, mixed } = getUnitSelection(select);
+    return mixed ? { abbr: '' } : UNIT_DEFINITIONS[currentCategory][index];
+}
+
+/**
+ * Writes a value in a unit, as a mixed value or as a number in the selected locale.
+ *
+ * @function formatSelectionValue
+ * @param {number} value - The value, in the unit (the smallest unit of a mixed unit)
+ * @param {string} category - Conversion category
+ * @param {{mixed: Object|null}} selection - The unit (see resolveUnitSelection)
+ * @param {{notation: string, digits: number}} format - Result format
+ * @param {string} [locale=getLocale()] - BCP 47 locale tag for the numbers
+ * @returns {string} The value, e.g. "7.456" or "5 ft 10.87 in"
+ */
+function formatSelectionValue(value, category, selection, format, locale = getLocale()) {
+    return selection.mixed
+        ? formatMixedValue(value, selection.mixed, category, format, locale)
+        : formatNumberString(formatConvertedValue(value, format), locale);
+}
+
+/**
+ * Returns the short name of a unit, e.g. "kg", or "ft + in" for a mixed unit.
+ *
+ * @function getUnitLabel
+ * @param {string} category - Conversion category
+ * @param {string} unit - A unit id, or a mixed unit value such as "mixed-0"
+ * @returns {string|null} The name, or null if the category has no such unit
+ *
+ * @example
+ * getUnitLabel('mass', 'kilogram'); // 'kg'
+ * getUnitLabel('length', 'mixed-0'); // 'ft + in'
+ */
+export function getUnitLabel(category, unit) {
+    const { index, mixed } = resolveUnitSelection(category, unit);
+    if (mixed) {
+        return mixed.units.join(' + ');
+    }
+    return index < 0 ? null : UNIT_DEFINITIONS[category][index].abbr;
+}
+
+/**
+ * Lets a value field accept unit names when a mixed unit is selected for it, and shows
+ * an example of the expected input.
+ *
+ * @function updateFieldModes
+ * @returns {void}
+ */
+function updateFieldModes() {
+    [[inputValue, inputUnit], [outputValue, outputUnit]].forEach(([field, select]) => {
+        const { mixed } = getUnitSelection(select);
+        field.setAttribute('inputmode', mixed ? 'text' : 'decimal');
+        field.placeholder = mixed ? mixed.units.map((abbr) => `0 ${abbr}`).join(' ') : '0';
+    });
+}
+
+/**
+ * Converts a value from one unit to another (uses current category).
+ *
+ * @function convert
+ * @param {number} value - The value to convert
+ * @param {number} fromIndex - Index of source unit in UNIT_DEFINITIONS
+ * @param {number} toIndex - Index of target unit in UNIT_DEFINITIONS
+ * @returns {number} The converted value
+ */
+function convert(value, fromIndex, toIndex) {
+    return convertValue(value, fromIndex, toIndex, currentCategory);
+}
+
+/**
+ * Returns which side the conversion reads from and which it writes to (pure function
+ * for testing). The result shown, and copied, is always on the target side.
+ *
+ * @function getFieldRoles
+ * @param {'input'|'output'} side - The side the user last typed in
+ * @returns {{source: 'input'|'output', target: 'input'|'output'}} The sides
+ *
+ * @example
+ * getFieldRoles('output'); // { source: 'output', target: 'input' }
+ */
+export function getFieldRoles(side) {
+    return side === 'output' ? { source: 'output', target: 'input' } : { source: 'input', target: 'output' };
+}
+
+/**
+ * Applies a user action to the state of the two value fields (pure function for testing):
+ *
+ * - `{ type: 'type', side }`: the user typed in a field, which becomes the source
+ * - `{ type: 'swap' }`: units and values change sides; the typed value moves with its
+ *   unit, so the source side flips and the value keeps being converted as typed
+ * - `{ type: 'reset' }`: a new category was picked; both values are cleared and the
+ *   input side becomes the source again
+ *
+ * @function updateFieldState
+ * @param {{sourceSide: 'input'|'output', values: {input: string, output: string},
+ *     units: {input: string, output: string}}} state - The current state
+ * @param {{type: string, side?: 'input'|'output'}} action - The action
+ * @returns {{sourceSide: 'input'|'output', values: {input: string, output: string},
+ *     units: {input: string, output: string}}} The new state
+ *
+ * @example
+ * updateFieldState(
+ *     { sourceSide: 'input', values: { input: '26.2', output: '42.16' }, units: { input: 'mile', output: 'kilometer' } },
+ *     { type: 'swap' }
+ * );
+ * // { sourceSide: 'output', values: { input: '42.16', output: '26.2' }, units: { input: 'kilometer', output: 'mile' } }
+ */
+export function updateFieldState(state, action) {
+    switch (action.type) {
+        case 'type':
+            return { ...state, sourceSide: action.side };
+        case 'swap':
+            return {
+                sourceSide: getFieldRoles(state.sourceSide).target,
+                values: { input: state.values.output, output: state.values.input },
+                units: { input: state.units.output, output: state.units.input },
+            };
+        case 'reset':
+            return { ...state, sourceSide: 'input', values: { input: '', output: '' } };
+        default:
+            return state;
+    }
+}
+
+/**
+ * Reads the state of the value fields and unit selectors (see updateFieldState).
+ *
+ * @function readFieldState
+ * @returns {{sourceSide: 'input'|'output', values: {input: string, output: string},
+ *     units: {input: string, output: string}}} The state
+ */
+function readFieldState() {
+    return {
+        sourceSide,
+        values: { input: inputValue.value, output: outputValue.value },
+        units: { input: inputUnit.value, output: outputUnit.value },
+    };
+}
+
+/**
+ * Shows a state of the value fields and unit selectors. Only the fields that change are
+ * written, so the caret stays where it is in the field being typed in.
+ *
+ * @function writeFieldState
+ * @param {{sourceSide: 'input'|'output', values: {input: string, output: string},
+ *     units: {input: string, output: string}}} state - The state
+ * @returns {void}
+ */
+function writeFieldState(state) {
+    sourceSide = state.sourceSide;
+    [[inputValue, state.values.input], [outputValue, state.values.output],
+        [inputUnit, state.units.input], [outputUnit, state.units.output]].forEach(([field, value]) => {
+        if (field.value !== value) {
+            field.value = value;
+        }
+    });
+}
+
+/**
+ * Returns the fields the conversion reads from and writes to, based on the field
+ * the user last typed in.
+ *
+ * @function getConversionFields
+ * @returns {{source: HTMLInputElement, sourceUnit: UnitPicker,
+ *     target: HTMLInputElement, targetUnit: UnitPicker}} The fields
+ */
+function getConversionFields() {
+    const fields = {
+        input: { value: inputValue, unit: inputUnit },
+        output: { value: outputValue, unit: outputUnit },
+    };
+    const { source, target } = getFieldRoles(sourceSide);
+    return {
+        source: fields[source].value,
+        sourceUnit: fields[source].unit,
+        target: fields[target].value,
+        targetUnit: fields[target].unit,
+    };
+}
+
+/**
+ * Writes a number in engineering notation: the exponent is a multiple of three.
+ *
+ * @function toEngineering
+ * @param {number} value - A finite number
+ * @param {number} digits - Significant figures
+ * @returns {string} The number, e.g. "12.35e+3"
+ */
+function toEngineering(value, digits) {
+    const [mantissa, exponentText] = value.toExponential(digits - 1).split('e');
+    const exponent = parseInt(exponentText, 10);
+    const shift = ((exponent % 3) + 3) % 3;
+    const sign = mantissa.startsWith('-') ? '-' : '';
+    const mantissaDigits = mantissa.replace(/^-/, '').replace('.', '').padEnd(shift + 1, '0');
+
+    const integerPart = mantissaDigits.slice(0, shift + 1);
+    const fractionPart = mantissaDigits.slice(shift + 1);
+    const engineeringExponent = exponent - shift;
+    return `${sign}${integerPart}${fractionPart ? '.' + fractionPart : ''}` +
+        `e${engineeringExponent < 0 ? '-' : '+'}${Math.abs(engineeringExponent)}`;
+}
+
+/**
+ * Formats a converted value as a plain number string (pure function for testing).
+ * Notations:
+ * - `significant`: rounded to `digits` significant figures, trailing zeros dropped
+ * - `fixed`: exactly `digits` decimals
+ * - `scientific`: one integer digit and `digits` significant figures (e.g. "1.609e+3")
+ * - `engineering`: like scientific, with an exponent that is a multiple of three
+ *
+ * @function formatConvertedValue
+ * @param {number} value - The converted value
+ * @param {{notation: string, digits: number}} [format=DEFAULT_OUTPUT_FORMAT] - Result format
+ * @returns {string} The formatted value, or an empty string if it is not a finite number
+ *
+ * @example
+ * formatConvertedValue(1609.344, { notation: 'significant', digits: 10 }); // '1609.344'
+ * formatConvertedValue(1609.344, { notation: 'fixed', digits: 2 });        // '1609.34'
+ * formatConvertedValue(1609.344, { notation: 'scientific', digits: 3 });   // '1.61e+3'
+ * formatConvertedValue(16093.44, { notation: 'engineering', digits: 3 });  // '16.1e+3'
+ */
+export function formatConvertedValue(value, format = DEFAULT_OUTPUT_FORMAT) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return '';
+    }
+
+    const { notation, digits } = format;
+    const significantDigits = Math.min(Math.max(digits, 1), 21);
+    let text;
+    if (notation === 'fixed') {
+        text = value.toFixed(Math.min(Math.max(digits, 0), 20));
+    } else if (notation === 'scientific') {
+        text = value.toExponential(significantDigits - 1);
+    } else if (notation === 'engineering') {
+        text = toEngineering(value, significantDigits);
+    } else {
+        text = Number(value.toPrecision(significantDigits)).toString();
+    }
+
+    // Values that round to zero are shown without a sign
+    return Number(text) === 0 ? text.replace(/^-/, '') : text;
+}
+
+/**
+ * Converts a value to every unit of a category (pure function for testing).
+ *
+ * @function convertToAllUnits
+ * @param {number} value - The value to convert
+ * @param {string|number} from - Id of the source unit (or its index in
+ *     UNIT_DEFINITIONS[category])
+ * @param {string} category - Conversion category
+ * @param {{notation: string, digits: number}} [format=DEFAULT_OUTPUT_FORMAT] - Result format
+ * @returns {Array<{name: string, abbr: string, value: string}>} One entry per unit, in
+ *     definition order, with the value formatted as a plain number string
+ *
+ * @example
+ * convertToAllUnits(1, 'kilometer', 'length')[3]; // { name: 'Meter', abbr: 'm', value: '1000' }
+ */
+export function convertToAllUnits(value, from, category, format = DEFAULT_OUTPUT_FORMAT) {
+    const units = UNIT_DEFINITIONS[category] || [];
+    return units.map((unit, toIndex) => ({
+        name: unit.name,
+        abbr: unit.abbr,
+        value: formatConvertedValue(convertValue(value, from, toIndex, category), format),
+    }));
+}
+
+/**
+ * Formats a conversion as a sentence (pure function for testing).
+ * Units with an empty abbreviation (mixed values, which name their own units) are left out.
+ *
+ * @function formatConversionText
+ * @param {string} inputText - The input value as displayed
+ * @param {{abbr: string}} fromUnit - The source unit
+ * @param {string} outputText - The converted value as displayed
+ * @param {{abbr: string}} toUnit - The target unit
+ * @returns {string} The conversion, e.g. "12 km = 7.456 mi"
+ *
+ * @example
+ * formatConversionText('12', { abbr: 'km' }, '7.456', { abbr: 'mi' }); // '12 km = 7.456 mi'
+ * formatConversionText('1.8', { abbr: 'm' }, '5 ft 10.87 in', { abbr: '' }); // '1.8 m = 5 ft 10.87 in'
+ */
+export function formatConversionText(inputText, fromUnit, outputText, toUnit) {
+    const withUnit = (text, unit) => (unit.abbr ? `${text} ${unit.abbr}` : text);
+    return `${withUnit(inputText, fromUnit)} = ${withUnit(outputText, toUnit)}`;
+}
+
+/**
+ * Returns the current conversion as a sentence, or an empty string without a result.
+ *
+ * @function getConversionText
+ * @returns {string} The conversion, e.g. "12 km = 7.456 mi"
+ */
+function getConversionText() {
+    if (!inputValue.value.trim() || !outputValue.value.trim()) return '';
+    return formatConversionText(
+        inputValue.value.trim(),
+        getSentenceUnit(inputUnit),
+        outputValue.value.trim(),
+        getSentenceUnit(outputUnit)
+    );
+}
+
+/**
+ * Updates the copy buttons: disabled without a result, and the sentence button shows
+ * the text it copies.
+ *
+ * @function updateCopyActions
+ * @returns {void}
+ */
+function updateCopyActions() {
+    const sentence = getConversionText();
+    if (copyValueButton) {
+        copyValueButton.disabled = !sentence;
+    }
+    if (copySentenceButton) {
+        copySentenceButton.disabled = !sentence;
+        copySentenceButton.textContent = sentence ? `Copy “${sentence}”` : 'Copy as text';
+    }
+}
+
+/**
+ * Copies text and briefly shows "Copied" on the button that was clicked.
+ *
+ * @function copyFromButton
+ * @param {HTMLButtonElement} button - The copy button
+ * @param {string} text - The text to copy
+ * @returns {Promise<void>}
+ */
+async function copyFromButton(button, text) {
+    if (!text || !(await copyText(text))) return;
+    const label = button.textContent;
+    button.textContent = 'Copied';
+    setTimeout(() => {
+        // Keep a label updated by a newer conversion
+        if (button.textContent === 'Copied') {
+            button.textContent = label;
+            updateCopyActions();
+        }
+    }, COPIED_FEEDBACK_DURATION);
+}
+
+/**
+ * Copies the converted value on Ctrl/Cmd+C while the converter is shown.
+ * Text selected on the page or inside a field keeps the browser's own copy behavior;
+ * without a selection the result is copied.
+ *
+ * @function handleCopy
+ * @param {ClipboardEvent} event - The copy event
+ * @returns {void}
+ */
+function handleCopy(event) {
+    const panel = converter.closest('.tabs__panel');
+    if (panel && !panel.classList.contains('tabs__panel--active')) return;
+    const result = getConversionFields().target.value;
+    if (!result) return;
+
+    const target = event.target;
+    if (target === inputValue || target === outputValue) {
+        // Copy selected text in a value field as usual
+        if (target.selectionStart !== target.selectionEnd) {
+            return;
+        }
+    } else {
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) {
+            return;
+        }
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed) return;
+    }
+
+    event.clipboardData.setData('text/plain', result);
+    event.preventDefault();
+}
+
+/**
+ * Renders the "show all units" table: the typed value in every unit of the category.
+ * The row of the typed value's unit is highlighted. Does nothing while the view is hidden.
+ *
+ * @function renderAllUnits
+ * @param {number} value - The typed value, or NaN when there is none
+ * @param {number} fromIndex - Index of the typed value's unit
+ * @returns {void}
+ */
+function renderAllUnits(value, fromIndex) {
+    if (!allUnitsTable || allUnitsTable.hidden) return;
+
+    const tbody = allUnitsTable.tBodies[0];
+    tbody.innerHTML = '';
+    const rows = isNaN(value)
+        ? UNIT_DEFINITIONS[currentCategory].map(({ name, abbr }) => ({ name, abbr, value: '' }))
+        : convertToAllUnits(value, fromIndex, currentCategory, outputFormat);
+
+    rows.forEach((row, index) => {
+        const text = formatNumberString(row.value, getLocale());
+        const tr = document.createElement('tr');
+        tr.className = 'converter__all-row';
+        if (index === fromIndex) {
+            tr.classList.add('converter__all-row--source');
+        }
+
+        const unitCell = document.createElement('th');
+        unitCell.scope = 'row';
+        unitCell.className = 'converter__all-unit';
+        unitCell.textContent = `${row.abbr} (${row.name})`;
+
+        const valueCell = document.createElement('td');
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'converter__all-copy';
+        copyButton.textContent = text;
+        copyButton.disabled = !text;
+        copyButton.title = 'Copy';
+        copyButton.setAttribute('aria-label', `Copy ${text} ${row.abbr}`);
+        copyButton.dataset.value = text;
+        valueCell.appendChild(copyButton);
+
+        tr.append(unitCell, valueCell);
+        tbody.appendChild(tr);
+    });
+}
+
+/**
+ * Shows or hides the "show all units" table.
+ *
+ * @function setShowAll
+ * @param {boolean} enabled - Whether the table is shown
+ * @returns {void}
+ */
+function setShowAll(enabled) {
+    showAllToggle.setAttribute('aria-pressed', String(enabled));
+    allUnitsTable.hidden = !enabled;
+    updateConversion();
+}
+
+/**
+ * Copies the value of a clicked row in the "show all units" table.
+ *
+ * @function handleAllUnitsClick
+ * @param {MouseEvent} event - The click event on the table
+ * @returns {void}
+ */
+function handleAllUnitsClick(event) {
+    const row = event.target.closest('.converter__all-row');
+    const copyButton = row && row.querySelector('.converter__all-copy');
+    if (copyButton && !copyButton.disabled) {
+        copyFromButton(copyButton, copyButton.dataset.value);
+    }
+}
+
+/**
+ * Converts the value of the field last typed in and shows the result in the other field.
+ *
+ * @function updateConversion
+ * @returns {void}
+ */
+function updateConversion() {
+    updateFieldModes();
+    updateCurrencyRates();
+    const { source, sourceUnit, target, targetUnit } = getConversionFields();
+    const from = getUnitSelection(sourceUnit);
+    const to = getUnitSelection(targetUnit);
+    const value = from.mixed
+        ? parseMixedValue(source.value, from.mixed, currentCategory, getLocale())
+        : parseLocaleNumber(source.value, getLocale());
+    renderAllUnits(value, from.index);
+
+    if (isNaN(value)) {
+        // The value is empty or still being typed (e.g. "-"): clear the other field
+        target.value = '';
+    } else {
+        // Round to the selected format and write it in the current locale
+        const result = convert(value, from.index, to.index);
+        target.value = formatSelectionValue(result, currentCategory, to, outputFormat);
+    }
+    updateCopyActions();
+    saveSelection();
+    conversionListeners.forEach((callback) => callback(getConversionState()));
+}
+
+/**
+ * Saves the selected category and units, so they are restored on the next visit.
+ *
+ * @function saveSelection
+ * @returns {void}
+ */
+function saveSelection() {
+    localStorage.setItem(SELECTION_KEY, JSON.stringify({
+        category: currentCategory,
+        from: inputUnit.value,
+        to: outputUnit.value,
+    }));
+}
 
-// DOM Elements
-let categorySelect;
-let inputValue;
-let inputUnit;
-let outputValue;
-let outputUnit;
+/**
+ * Reads the category and units saved by saveSelection.
+ *
+ * @function getSavedSelection
+ * @returns {{category: string, from: string, to: string}|null} The selection, or null if
+ *     none is saved or its category no longer exists
+ */
+function getSavedSelection() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SELECTION_KEY));
+        return saved && UNIT_DEFINITIONS[saved.category] ? saved : null;
+    } catch {
+        return null;
+    }
+}
 
 /**
- * Current conversion category.
- * @type {string}
+ * Returns the selected category and units, and the value of the "From" field.
+ *
+ * @function getConversionState
+ * @returns {{category: string, from: string, to: string, value: number}} The conversion;
+ *     `from` and `to` are unit ids or mixed unit values such as "mixed-0", and `value` is
+ *     NaN when the "From" field holds no number
  */
-let currentCategory = 'length';
+export function getConversionState() {
+    const from = getUnitSelection(inputUnit);
+    const value = from.mixed
+        ? parseMixedValue(inputValue.value, from.mixed, currentCategory, getLocale())
+        : parseLocaleNumber(inputValue.value, getLocale());
+    return { category: currentCategory, from: inputUnit.value, to: outputUnit.value, value };
+}
 
 /**
- * Populates unit selectors with options based on the current category.
+ * Selects a category and a pair of units, and optionally puts a value in the "From"
+ * field. Without a value, the typed value is kept if the category stays the same.
  *
- * @function populateUnitSelectors
- * @returns {void}
+ * @function setConversion
+ * @param {{category: string, from: string, to: string, value?: number}} conversion - The
+ *     conversion (see getConversionState)
+ * @returns {boolean} False if the category or one of the units no longer exists
+ *
+ * @example
+ * setConversion({ category: 'mass', from: 'kilogram', to: 'pound' });
  */
-function populateUnitSelectors() {
-    const units = UNIT_DEFINITIONS[currentCategory];
+export function setConversion({ category, from, to, value }) {
+    if (getUnitLabel(category, from) === null || getUnitLabel(category, to) === null) {
+        return false;
+    }
 
-    // Clear existing options
-    inputUnit.innerHTML = '';
-    outputUnit.innerHTML = '';
-
-    // Populate both selectors
-    units.forEach((unit, index) => {
-        const option1 = document.createElement('option');
-        option1.value = index.toString();
-        option1.textContent = `${unit.abbr} (${unit.name})`;
-        inputUnit.appendChild(option1);
-
-        const option2 = document.createElement('option');
-        option2.value = index.toString();
-        option2.textContent = `${unit.abbr} (${unit.name})`;
-        outputUnit.appendChild(option2);
-    });
+    if (category !== currentCategory) {
+        currentCategory = category;
+        categorySelect.value = category;
+        populateUnitSelectors();
+        writeFieldState(updateFieldState(readFieldState(), { type: 'reset' }));
+    }
+    inputUnit.value = from;
+    outputUnit.value = to;
 
-    // Set default selections (first and second unit)
-    if (units.length >= 2) {
-        inputUnit.value = '0';
-        outputUnit.value = '1';
-    } else if (units.length === 1) {
-        inputUnit.value = '0';
-        outputUnit.value = '0';
+    if (typeof value === 'number' && isFinite(value)) {
+        inputValue.value = formatSelectionValue(value, category, getUnitSelection(inputUnit),
+            { notation: 'significant', digits: 15 });
+        inputLocale = getLocale();
+        sourceSide = 'input';
     }
+    updateConversion();
+    return true;
 }
 
 /**
- * Converts a value from one unit to another (pure function for testing).
- * Handles special case for temperature conversions.
+ * Writes a conversion as a sentence, by default in the selected locale and result format.
  *
- * @function convertValue
- * @param {number} value - The value to convert
- * @param {number} fromIndex - Index of source unit in UNIT_DEFINITIONS[category]
- * @param {number} toIndex - Index of target unit in UNIT_DEFINITIONS[category]
- * @param {string} category - Conversion category (length, mass, temperature, volume, time)
- * @returns {number} The converted value
+ * @function formatConversion
+ * @param {{category: string, from: string, to: string, value: number}} conversion - The
+ *     conversion (see getConversionState)
+ * @param {{notation: string, digits: number}} [format] - Result format (the selected one
+ *     by default)
+ * @param {string} [locale=getLocale()] - BCP 47 locale tag for the numbers
+ * @returns {string|null} The sentence, e.g. "12 km = 7.456 mi", or null if one of its
+ *     units no longer exists
+ *
+ * @example
+ * formatConversion({ category: 'length', from: 'kilometer', to: 'mile', value: 12 });
+ * // '12 km = 7.456 mi'
  */
-export function convertValue(value, fromIndex, toIndex, category) {
-    if (isNaN(value) || value === '') {
-        return 0;
+export function formatConversion({ category, from, to, value }, format = outputFormat, locale = getLocale()) {
+    const fromUnit = resolveUnitSelection(category, from);
+    const toUnit = resolveUnitSelection(category, to);
+    if (fromUnit.index < 0 || toUnit.index < 0) {
+        return null;
     }
 
-    const units = UNIT_DEFINITIONS[category];
-    if (!units || !units[fromIndex] || !units[toIndex]) {
-        return 0;
+    const result = convertValue(value, fromUnit.index, toUnit.index, category);
+    const unitAbbr = (selection) => ({ abbr: selection.mixed ? '' : UNIT_DEFINITIONS[category][selection.index].abbr });
+    return formatConversionText(
+        formatSelectionValue(value, category, fromUnit, format, locale),
+        unitAbbr(fromUnit),
+        formatSelectionValue(result, category, toUnit, format, locale),
+        unitAbbr(toUnit)
+    );
+}
+
+/**
+ * Registers a callback that is notified after every conversion update (typing, unit or
+ * category changes, swaps and queries).
+ *
+ * @function onConversionChange
+ * @param {Function} callback - Called with the conversion (see getConversionState)
+ * @returns {void}
+ */
+export function onConversionChange(callback) {
+    conversionListeners.push(callback);
+}
+
+/**
+ * Uses a rate table for the currency category (the table is not saved). Custom
+ * currencies are merged back in at the new rates of the currencies they are pegged to;
+ * they are left out while the table lacks one of those currencies.
+ *
+ * @function applyRateTable
+ * @param {{base: string, date: string, rates: Object<string, number>}} table - The rate table
+ * @returns {void}
+ */
+export function applyRateTable(table) {
+    rateTable = table;
+    UNIT_DEFINITIONS.currency = createCurrencyUnits(table);
+    try {
+        applyCustomUnits(customUnits);
+    } catch {
+        // Keep the other custom units; only the registry needs the new currencies
+        unitRegistry = createUnitRegistry(UNIT_DEFINITIONS, CATEGORY_DIMENSIONS);
     }
+}
 
-    const fromUnit = units[fromIndex];
-    const toUnit = units[toIndex];
+/**
+ * Loads the imported rate table and the manual rates from localStorage.
+ * A missing or unreadable table leaves the default rates in place.
+ *
+ * @function loadCurrencyRates
+ * @returns {void}
+ */
+function loadCurrencyRates() {
+    const savedTable = localStorage.getItem(CURRENCY_RATES_KEY);
+    if (savedTable) {
+        try {
+            applyRateTable(parseRateTable(savedTable));
+        } catch {
+            localStorage.removeItem(CURRENCY_RATES_KEY);
+        }
+    }
 
-    // Special handling for temperature
-    if (category === 'temperature') {
-        // Convert to base unit (Celsius)
-        let celsius;
-        if (fromUnit.abbr === '°C') {
-            celsius = value;
-        } else if (fromUnit.abbr === '°F') {
-            celsius = (value - 32) * 5/9;
-        } else if (fromUnit.abbr === 'K') {
-            celsius = value - 273.15;
+    PAIR_RATES.currency = {};
+    try {
+        const overrides = JSON.parse(localStorage.getItem(CURRENCY_OVERRIDES_KEY)) || {};
+        for (const [pair, rate] of Object.entries(overrides)) {
+            if (typeof rate === 'number' && rate > 0) {
+                PAIR_RATES.currency[pair] = rate;
+            }
         }
+    } catch {
+        localStorage.removeItem(CURRENCY_OVERRIDES_KEY);
+    }
+}
 
-        // Convert from Celsius to target unit
-        if (toUnit.abbr === '°C') {
-            return celsius;
-        } else if (toUnit.abbr === '°F') {
-            return (celsius * 9/5) + 32;
-        } else if (toUnit.abbr === 'K') {
-            return celsius + 273.15;
+/**
+ * Replaces the custom units and categories in UNIT_DEFINITIONS and CATEGORY_LABELS with
+ * those of a unit pack, without saving it (see setCustomUnits). Nothing changes if the
+ * pack cannot be merged.
+ *
+ * @function applyCustomUnits
+ * @param {{categories: Array<{id: string, label: string}>, units: Array<Object>}} pack
+ *     - The unit pack
+ * @returns {void}
+ * @throws {RangeError} If the pack refers to missing units or categories, or its ids or
+ *     abbreviations clash with other units of their category
+ */
+export function applyCustomUnits(pack) {
+    const builtIn = {};
+    for (const [category, units] of Object.entries(UNIT_DEFINITIONS)) {
+        if (!customUnits.categories.some((custom) => custom.id === category)) {
+            builtIn[category] = units.filter((unit) => !unit.custom);
         }
     }
 
-    // Standard conversion: convert to base unit, then to target unit
-    const baseValue = value * fromUnit.factor;
-    return baseValue / toUnit.factor;
+    const { definitions, labels } = mergeUnitPack(builtIn, pack);
+    const problems = validateUnitDefinitions(definitions);
+    if (problems.length > 0) {
+        throw new RangeError(problems.join('; '));
+    }
+
+    customUnits.categories.forEach(({ id }) => delete CATEGORY_LABELS[id]);
+    Object.keys(UNIT_DEFINITIONS).forEach((category) => delete UNIT_DEFINITIONS[category]);
+    Object.assign(UNIT_DEFINITIONS, definitions);
+    Object.assign(CATEGORY_LABELS, labels);
+    customUnits = pack;
+    unitRegistry = createUnitRegistry(UNIT_DEFINITIONS, CATEGORY_DIMENSIONS);
 }
 
 /**
- * Converts a value from one unit to another (uses current category).
+ * Merges the saved custom units into UNIT_DEFINITIONS. A saved pack that no longer
+ * merges (e.g. a new built-in unit took its abbreviation) is kept but not used.
  *
- * @function convert
- * @param {number} value - The value to convert
- * @param {number} fromIndex - Index of source unit in UNIT_DEFINITIONS
- * @param {number} toIndex - Index of target unit in UNIT_DEFINITIONS
- * @returns {number} The converted value
+ * @function loadCustomUnits
+ * @returns {void}
  */
-function convert(value, fromIndex, toIndex) {
-    return convertValue(value, fromIndex, toIndex, currentCategory);
+function loadCustomUnits() {
+    const saved = localStorage.getItem(CUSTOM_UNITS_KEY);
+    if (!saved) {
+        return;
+    }
+    try {
+        applyCustomUnits(parseUnitPack(saved));
+    } catch {
+        // Leave the built-in units as they are
+    }
 }
 
 /**
- * Gets the byte size of a string.
+ * Returns a copy of the user's custom units and categories.
  *
- * @function getByteSize
- * @param {string} str - The string to measure
- * @returns {number} The size in bytes
+ * @function getCustomUnits
+ * @returns {{categories: Array<{id: string, label: string}>, units: Array<Object>}} The
+ *     unit pack (see utils/custom-units)
  */
-export function getByteSize(str) {
-    return new Blob([str]).size;
+export function getCustomUnits() {
+    return JSON.parse(JSON.stringify(customUnits));
 }
 
 /**
- * Converts input string to number and validates byte size.
- * Truncates the number if its string representation exceeds 8 bytes.
+ * Replaces the user's custom units and categories, saves them, and updates the
+ * converter's selectors.
  *
- * @function validateAndLimitInput
- * @returns {string} The validated input value
+ * @function setCustomUnits
+ * @param {{categories: Array<{id: string, label: string}>, units: Array<Object>}} pack
+ *     - The unit pack (see utils/custom-units)
+ * @returns {void}
+ * @throws {RangeError} If the pack cannot be merged; the current units are kept
+ *
+ * @example
+ * setCustomUnits({ categories: [], units: [{ category: 'length', id: 'pallet', name: 'Pallet', abbr: 'plt', factor: 1.2, unit: 'meter' }] });
  */
-function validateAndLimitInput() {
-    const inputString = inputValue.value.trim();
+export function setCustomUnits(pack) {
+    applyCustomUnits(pack);
+    localStorage.setItem(CUSTOM_UNITS_KEY, JSON.stringify(pack));
+    if (!categorySelect) {
+        return;
+    }
 
-    // If empty, return empty
-    if (!inputString || inputString === '' || inputString === '-' || inputString === '.') {
-        return inputString; // Allow partial input during typing
+    if (!UNIT_DEFINITIONS[currentCategory]) {
+        currentCategory = Object.keys(UNIT_DEFINITIONS)[0];
+        populateCategorySelector();
+        handleCategoryChange();
+        return;
     }
+    populateCategorySelector();
+    refreshUnitSelectors();
+    updateConversion();
+}
 
-    // Convert to number
-    const numValue = parseFloat(inputString);
+/**
+ * Formats a rate table's date for display, e.g. "Dec 31, 2024".
+ *
+ * @function formatRateDate
+ * @param {string} date - The date, as YYYY-MM-DD
+ * @returns {string} The date in the selected locale
+ */
+function formatRateDate(date) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeZone: 'UTC' })
+        .format(new Date(date));
+}
 
-    // If not a valid number yet (user might be typing), allow the string as-is if it's under 8 bytes
-    if (isNaN(numValue)) {
-        const byteSize = getByteSize(inputString);
-        if (byteSize <= 8) {
-            return inputString; // Allow partial input
-        }
-        // If invalid and too large, return previous valid value
-        return '';
+/**
+ * Shows the exchange rate between the selected currencies next to the result, with the
+ * date of the rate table (or a note that the rate was set by hand), and updates the
+ * manual rate field. Hidden for other categories.
+ *
+ * @function updateCurrencyRates
+ * @returns {void}
+ */
+function updateCurrencyRates() {
+    const isCurrency = currentCategory === 'currency';
+    if (currencyPanel) {
+        currencyPanel.hidden = !isCurrency;
+    }
+    if (!rateInfo) {
+        return;
+    }
+    rateInfo.hidden = !isCurrency;
+    if (!isCurrency) {
+        rateInfo.textContent = '';
+        return;
     }
 
-    // Convert number back to string to check byte size
-    let numString = numValue.toString();
-    let byteSize = getByteSize(numString);
-
-    // If exceeds 8 bytes, truncate decimal places
-    if (byteSize > 8) {
-        // Try reducing decimal precision
-        let precision = 10;
-        while (byteSize > 8 && precision >= 0) {
-            numString = numValue.toFixed(precision);
-            // Remove trailing zeros
-            numString = parseFloat(numString).toString();
-            byteSize = getByteSize(numString);
-            precision--;
+    const units = UNIT_DEFINITIONS.currency;
+    const from = units[getUnitSelection(inputUnit).index];
+    const to = units[getUnitSelection(outputUnit).index];
+    const pairRate = getPairRate('currency', from.id, to.id);
+    const rate = formatNumberString(formatConvertedValue(convertValue(1, from.id, to.id, 'currency'), outputFormat), getLocale());
+    const source = pairRate === null ? `rates as of ${formatRateDate(rateTable.date)}` : 'manual rate';
+    rateInfo.textContent = `1 ${from.abbr} = ${rate} ${to.abbr} · ${source}`;
+
+    if (overrideInput) {
+        if (overrideLabel) {
+            overrideLabel.textContent = `Manual rate (1 ${from.abbr} in ${to.abbr}):`;
         }
+        overrideInput.disabled = from.id === to.id;
+        // Leave the field alone while it is being typed in
+        if (document.activeElement !== overrideInput) {
+            overrideInput.value = pairRate === null
+                ? ''
+                : formatNumberString(formatConvertedValue(pairRate, DEFAULT_OUTPUT_FORMAT), getLocale());
+        }
+        overrideInput.placeholder = formatNumberString(
+            formatConvertedValue(from.factor / to.factor, DEFAULT_OUTPUT_FORMAT),
+            getLocale()
+        );
+    }
+}
 
-        // If still too large, use scientific notation
-        if (byteSize > 8) {
-            numString = numValue.toExponential(2);
-            byteSize = getByteSize(numString);
+/**
+ * Saves the manual rates to localStorage.
+ *
+ * @function saveCurrencyOverrides
+ * @returns {void}
+ */
+function saveCurrencyOverrides() {
+    localStorage.setItem(CURRENCY_OVERRIDES_KEY, JSON.stringify(PAIR_RATES.currency));
+}
 
-            // If still too large, truncate
-            if (byteSize > 8) {
-                const maxLength = 7; // Leave 1 byte for safety
-                numString = numString.substring(0, maxLength);
-            }
-        }
+/**
+ * Sets (or, when the field is emptied, removes) the manual rate between the selected
+ * currencies.
+ *
+ * @function handleOverrideInput
+ * @returns {void}
+ */
+function handleOverrideInput() {
+    const units = UNIT_DEFINITIONS.currency;
+    const fromId = units[getUnitSelection(inputUnit).index].id;
+    const toId = units[getUnitSelection(outputUnit).index].id;
+    const rate = parseLocaleNumber(overrideInput.value, getLocale());
+    if (overrideInput.value.trim() && !(rate > 0)) {
+        return;
     }
 
-    return numString;
+    delete PAIR_RATES.currency[`${fromId}:${toId}`];
+    delete PAIR_RATES.currency[`${toId}:${fromId}`];
+    if (rate > 0) {
+        PAIR_RATES.currency[`${fromId}:${toId}`] = rate;
+    }
+    saveCurrencyOverrides();
+    updateConversion();
 }
 
 /**
- * Limits output value to maximum 8 bytes.
+ * Checks whether a key may be typed into the manual rate field (pure function for
+ * testing): a rate is a positive number in the current locale, so signs are rejected.
  *
- * @function limitOutputSize
- * @param {number} value - The numeric value to format
- * @returns {string} The formatted value limited to 8 bytes
+ * @function isRateKey
+ * @param {{key: string, ctrlKey?: boolean, metaKey?: boolean}} event - The keydown event
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {boolean} True if the key may be typed
+ *
+ * @example
+ * isRateKey({ key: ',' }, 'de-DE'); // true
+ * isRateKey({ key: '-' }, 'de-DE'); // false
  */
-export function limitOutputSize(value) {
-    if (isNaN(value) || value === null || value === undefined) {
-        return '';
+export function isRateKey(event, locale) {
+    return isNumberKey(event, locale) && event.key !== '-' && event.key !== '+';
+}
+
+/**
+ * Only accepts keys that can be part of an exchange rate in the manual rate field.
+ *
+ * @function handleOverrideKeydown
+ * @param {KeyboardEvent} e - The keydown event on the manual rate field
+ * @returns {boolean|void} False when the key is rejected
+ */
+function handleOverrideKeydown(e) {
+    if (!isRateKey(e, getLocale())) {
+        e.preventDefault();
+        return false;
     }
+}
 
-    // Convert to string
-    let valueString = value.toString();
-    let byteSize = getByteSize(valueString);
-
-    // If exceeds 8 bytes, format it
-    if (byteSize > 8) {
-        // Try reducing decimal precision
-        let precision = 10;
-        while (byteSize > 8 && precision >= 0) {
-            valueString = value.toFixed(precision);
-            // Remove trailing zeros
-            valueString = parseFloat(valueString).toString();
-            byteSize = getByteSize(valueString);
-            precision--;
-        }
+/**
+ * Removes the manual rate between the selected currencies.
+ *
+ * @function resetOverride
+ * @returns {void}
+ */
+function resetOverride() {
+    overrideInput.value = '';
+    handleOverrideInput();
+}
+
+/**
+ * Imports a rate table from a JSON or CSV file, saves it for offline use, and rebuilds
+ * the currency units. The selected currencies are kept when the new table has them.
+ *
+ * @function handleRateImport
+ * @returns {Promise<void>}
+ */
+function handleRateImport() {
+    const file = rateImportInput.files[0];
+    if (!file) {
+        return Promise.resolve();
+    }
 
-        // If still too large, use scientific notation
-        if (byteSize > 8) {
-            valueString = value.toExponential(2);
-            byteSize = getByteSize(valueString);
+    return file.text()
+        .then((text) => {
+            const table = parseRateTable(text);
+            localStorage.setItem(CURRENCY_RATES_KEY, JSON.stringify(table));
+            applyRateTable(table);
 
-            // If still too large, truncate
-            if (byteSize > 8) {
-                const maxLength = 7; // Leave 1 byte for safety
-                valueString = valueString.substring(0, maxLength);
+            if (currentCategory === 'currency') {
+                refreshUnitSelectors();
+                updateConversion();
             }
+            currencyStatus.textContent =
+                `Imported ${Object.keys(table.rates).length} currencies, rates as of ${formatRateDate(table.date)}`;
+        })
+        .catch((error) => {
+            currencyStatus.textContent = `Could not import rates: ${error.message}`;
+        })
+        .finally(() => {
+            rateImportInput.value = '';
+        });
+}
+
+/**
+ * Exchanges the selected units and the values of both fields.
+ * The typed value moves with its unit, so it keeps being converted as typed.
+ *
+ * @function swapUnits
+ * @returns {void}
+ */
+function swapUnits() {
+    writeFieldState(updateFieldState(readFieldState(), { type: 'swap' }));
+    updateConversion();
+}
+
+/**
+ * Only accepts keys that can be part of a number in the current locale, unless a mixed
+ * unit is selected for the field.
+ *
+ * @function handleValueKeydown
+ * @param {KeyboardEvent} e - The keydown event on a value field
+ * @returns {boolean|void} False when the key is rejected
+ */
+function handleValueKeydown(e) {
+    const field = e.currentTarget;
+
+    // Mixed units are typed with unit names, e.g. "5 ft 11 in"
+    if (getUnitSelection(field === inputValue ? inputUnit : outputUnit).mixed) {
+        return;
+    }
+
+    // Only accept characters that can be part of a number in the current locale
+    if (!isNumberKey(e, getLocale())) {
+        e.preventDefault();
+        return false;
+    }
+}
+
+/**
+ * Reads the saved result format from localStorage.
+ *
+ * @function getSavedOutputFormat
+ * @returns {{notation: string, digits: number}} The saved format, or the default
+ */
+function getSavedOutputFormat() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OUTPUT_FORMAT_KEY));
+        if (saved && OUTPUT_NOTATIONS.includes(saved.notation) && Number.isInteger(saved.digits)) {
+            return { notation: saved.notation, digits: saved.digits };
         }
+    } catch {
+        // Corrupted value: use the default
+    }
+    return { ...DEFAULT_OUTPUT_FORMAT };
+}
+
+/**
+ * Enables the "0" digits option only for fixed decimals; the other notations need at
+ * least one significant figure.
+ *
+ * @function updateDigitOptions
+ * @returns {void}
+ */
+function updateDigitOptions() {
+    const zeroDigits = digitsSelect.querySelector('option[value="0"]');
+    if (!zeroDigits) return;
+    zeroDigits.disabled = formatSelect.value !== 'fixed';
+    if (zeroDigits.disabled && digitsSelect.value === '0') {
+        digitsSelect.value = '1';
     }
+}
 
-    return valueString;
+/**
+ * Applies the format picked in the result format controls, saves it, and reformats
+ * the result.
+ *
+ * @function handleFormatChange
+ * @returns {void}
+ */
+function handleFormatChange() {
+    updateDigitOptions();
+    outputFormat = { notation: formatSelect.value, digits: parseInt(digitsSelect.value, 10) };
+    localStorage.setItem(OUTPUT_FORMAT_KEY, JSON.stringify(outputFormat));
+    updateConversion();
 }
 
 /**
- * Updates the output value based on input value and selected units.
+ * Saves the preferred measurement system, gives it the ambiguous unit names ("gallon"),
+ * and switches the target unit to it.
  *
- * @function updateConversion
+ * @function handleSystemChange
  * @returns {void}
  */
-function updateConversion() {
-    // Validate and limit input size
-    const validatedInput = validateAndLimitInput();
-    if (inputValue.value !== validatedInput) {
-        inputValue.value = validatedInput;
+function handleSystemChange() {
+    preferredSystem = systemSelect.value;
+    if (preferredSystem) {
+        localStorage.setItem(UNIT_SYSTEM_KEY, preferredSystem);
+    } else {
+        localStorage.removeItem(UNIT_SYSTEM_KEY);
+    }
+    applySystemAliases();
+    refreshUnitSelectors();
+
+    const target = (PREFERRED_UNITS[currentCategory] || {})[preferredSystem];
+    if (target && selectUnit(outputUnit, target)) {
+        updateConversion();
+    }
+}
+
+/**
+ * Converts a query with compound units (e.g. "60 mi/gal to km/L" or "1 kg·m/s² in N")
+ * and shows the result under the query; the unit selectors are left as they are.
+ * Units whose dimensions differ are reported, e.g. "Cannot convert kg (mass) to m (length)".
+ *
+ * @function showCompoundQuery
+ * @param {string} text - The query text
+ * @returns {void}
+ */
+function showCompoundQuery(text) {
+    let result = null;
+    try {
+        result = evaluateUnitQuery(text, unitRegistry, getLocale());
+    } catch (error) {
+        queryResult.textContent = error.message;
+        queryResult.classList.add('converter__query-result--hint');
+        return;
     }
 
-    // If input is empty, clear output
-    if (!validatedInput || validatedInput === '') {
-        outputValue.value = '';
+    if (!result) {
+        queryResult.textContent = 'Type a value with units, e.g. "5 ft 11 in to cm" or "72 F to C"';
+        queryResult.classList.add('converter__query-result--hint');
+        return;
+    }
+
+    const value = formatNumberString(formatConvertedValue(result.value, outputFormat), getLocale());
+    queryResult.textContent = formatConversionText(result.quantity, { abbr: '' }, value, { abbr: result.unit });
+}
+
+/**
+ * Converts the query typed in the query box (e.g. "100 km/h in mph"): selects its
+ * category and units, puts its value in the "From" field, and shows the result
+ * under the query.
+ *
+ * @function handleQueryInput
+ * @returns {void}
+ */
+function handleQueryInput() {
+    const text = queryInput.value.trim();
+    queryResult.classList.remove('converter__query-result--hint');
+    if (!text) {
+        queryResult.textContent = '';
         return;
     }
 
-    const value = parseFloat(validatedInput);
-    const fromIndex = parseInt(inputUnit.value);
-    const toIndex = parseInt(outputUnit.value);
+    const query = parseUnitQuery(text, UNIT_DEFINITIONS, getLocale(), currentCategory);
+    if (!query) {
+        showCompoundQuery(text);
+        return;
+    }
 
-    const result = convert(value, fromIndex, toIndex);
+    if (query.category !== currentCategory) {
+        currentCategory = query.category;
+        categorySelect.value = currentCategory;
+        populateUnitSelectors();
+    }
+    const units = UNIT_DEFINITIONS[currentCategory];
+    inputUnit.value = units[query.fromIndex].id;
+    if (query.toIndex !== null) {
+        outputUnit.value = units[query.toIndex].id;
+    }
 
-    // Format result to avoid floating point issues
-    const roundedResult = Math.round(result * 1000000000) / 1000000000;
+    // Mixed quantities are added up with floating point: trim the rounding noise
+    const value = formatConvertedValue(query.value, { notation: 'significant', digits: 15 });
+    inputValue.value = formatNumberString(value, getLocale());
+    inputLocale = getLocale();
+    sourceSide = 'input';
+    updateConversion();
 
-    // Limit output to 8 bytes
-    const limitedOutput = limitOutputSize(roundedResult);
-    outputValue.value = limitedOutput;
+    queryResult.textContent = formatConversionText(
+        query.quantity,
+        { abbr: '' },
+        outputValue.value,
+        getSentenceUnit(outputUnit)
+    );
 }
 
 /**
@@ -344,8 +2131,29 @@ function updateConversion() {
 function handleCategoryChange() {
     currentCategory = categorySelect.value;
     populateUnitSelectors();
-    inputValue.value = '';
-    outputValue.value = '';
+    writeFieldState(updateFieldState(readFieldState(), { type: 'reset' }));
+    updateConversion();
+}
+
+/**
+ * Rewrites the typed value in the newly selected locale and updates the conversion.
+ *
+ * @function handleLocaleChange
+ * @param {string} locale - The new locale tag
+ * @returns {void}
+ */
+function handleLocaleChange(locale) {
+    const { source, sourceUnit } = getConversionFields();
+    const normalized = normalizeNumberString(source.value, inputLocale);
+    const previousLocale = inputLocale;
+    inputLocale = locale;
+    if (normalized !== null) {
+        source.value = formatNumberString(normalized, locale);
+    } else if (getUnitSelection(sourceUnit).mixed) {
+        // Mixed values: rewrite each number, e.g. "5 ft 10,5 in" to "5 ft 10.5 in"
+        source.value = formatNumbersInText(normalizeNumbersInText(source.value, previousLocale), locale);
+    }
+    updateConversion();
 }
 
 /**
@@ -362,92 +2170,143 @@ function handleCategoryChange() {
 export function initConverter() {
     categorySelect = document.getElementById('category-select');
     inputValue = document.getElementById('input-value');
-    inputUnit = document.getElementById('input-unit');
     outputValue = document.getElementById('output-value');
-    outputUnit = document.getElementById('output-unit');
+    converter = document.querySelector('.converter');
+    const inputUnitField = document.getElementById('input-unit');
+    const outputUnitField = document.getElementById('output-unit');
 
-    if (!categorySelect || !inputValue || !inputUnit || !outputValue || !outputUnit) {
+    if (!converter || !categorySelect || !inputValue || !inputUnitField || !outputValue || !outputUnitField) {
         return;
     }
+    inputUnit = new UnitPicker(inputUnitField);
+    outputUnit = new UnitPicker(outputUnitField);
 
-    // Populate initial unit selectors
-    populateUnitSelectors();
-
-    // Ensure input field is enabled and functional
-    inputValue.removeAttribute('readonly');
-    inputValue.removeAttribute('disabled');
-    inputValue.setAttribute('tabindex', '0');
+    // Exchange rates saved for offline use, and the user's custom units
+    loadCurrencyRates();
+    loadCustomUnits();
 
-    // Ensure output is readonly and non-editable
-    outputValue.setAttribute('readonly', 'readonly');
-    outputValue.setAttribute('tabindex', '-1');
+    // Preferred measurement system: picks the default target units
+    const savedSystem = localStorage.getItem(UNIT_SYSTEM_KEY);
+    preferredSystem = UNIT_SYSTEMS[savedSystem] ? savedSystem : '';
+    applySystemAliases();
+    systemSelect = document.getElementById('unit-system');
+    if (systemSelect) {
+        systemSelect.value = preferredSystem;
+        systemSelect.addEventListener('change', handleSystemChange);
+    }
 
-    // Prevent manual editing of output field
-    outputValue.addEventListener('keydown', (e) => {
-        e.preventDefault();
-        return false;
-    });
+    // Populate the category selector and unit selectors, restoring the last used ones
+    const savedSelection = getSavedSelection();
+    if (savedSelection) {
+        currentCategory = savedSelection.category;
+    }
+    populateCategorySelector();
+    populateUnitSelectors();
+    if (savedSelection) {
+        selectUnit(inputUnit, savedSelection.from);
+        selectUnit(outputUnit, savedSelection.to);
+    }
 
-    outputValue.addEventListener('focus', () => {
-        outputValue.blur();
-    });
+    // Values are typed and shown in the selected locale
+    inputLocale = getLocale();
+    onLocaleChange(handleLocaleChange);
 
-    outputValue.addEventListener('mousedown', (e) => {
-        e.preventDefault();
-        return false;
+    // Ensure both value fields are enabled and functional
+    [inputValue, outputValue].forEach((field) => {
+        field.removeAttribute('readonly');
+        field.removeAttribute('disabled');
+        field.setAttribute('tabindex', '0');
     });
 
-    // Event listeners
-    categorySelect.addEventListener('change', handleCategoryChange);
-
-    // Input field - allow all keyboard input with size validation
-    inputValue.addEventListener('input', (e) => {
-        // Validate and update in real-time
-        const validated = validateAndLimitInput();
-        if (inputValue.value !== validated) {
-            inputValue.value = validated;
-        }
-        updateConversion();
-    });
-    inputValue.addEventListener('keydown', (e) => {
-        // Allow navigation and editing keys
-        const allowedKeys = ['Backspace', 'Delete', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Tab', 'Enter', 'Home', 'End'];
-        if (allowedKeys.includes(e.key)) {
-            return;
-        }
+    // Copy buttons and Ctrl/Cmd+C
+    copyValueButton = converter.querySelector('.converter__copy[data-copy="value"]');
+    copySentenceButton = converter.querySelector('.converter__copy[data-copy="sentence"]');
+    if (copyValueButton) {
+        copyValueButton.addEventListener('click', () => copyFromButton(copyValueButton, getConversionFields().target.value));
+    }
+    if (copySentenceButton) {
+        copySentenceButton.addEventListener('click', () => copyFromButton(copySentenceButton, getConversionText()));
+    }
+    updateCopyActions();
+    document.addEventListener('copy', handleCopy);
 
-        // For other keys, check if the resulting value would exceed 8 bytes
-        const currentValue = inputValue.value;
-        const selectionStart = inputValue.selectionStart || 0;
-        const selectionEnd = inputValue.selectionEnd || 0;
-        const beforeSelection = currentValue.substring(0, selectionStart);
-        const afterSelection = currentValue.substring(selectionEnd);
-        const testValue = beforeSelection + e.key + afterSelection;
-
-        // First check raw string size (for partial input like "12." or "-")
-        const rawByteSize = getByteSize(testValue);
-        if (rawByteSize > 8) {
-            e.preventDefault();
-            return false;
+    // Result format controls
+    outputFormat = getSavedOutputFormat();
+    formatSelect = document.getElementById('output-format');
+    digitsSelect = document.getElementById('output-digits');
+    if (formatSelect && digitsSelect) {
+        formatSelect.value = outputFormat.notation;
+        digitsSelect.value = String(outputFormat.digits);
+        if (digitsSelect.value !== String(outputFormat.digits)) {
+            // Digits not offered by the select: fall back to the default
+            digitsSelect.value = String(DEFAULT_OUTPUT_FORMAT.digits);
         }
+        updateDigitOptions();
+        outputFormat = { notation: formatSelect.value, digits: parseInt(digitsSelect.value, 10) };
+        formatSelect.addEventListener('change', handleFormatChange);
+        digitsSelect.addEventListener('change', handleFormatChange);
+    }
 
-        // Then check if it's a valid number, check the number's string representation
-        const testNum = parseFloat(testValue);
-        if (!isNaN(testNum)) {
-            const testNumString = testNum.toString();
-            const numByteSize = getByteSize(testNumString);
+    // Event listeners
+    categorySelect.addEventListener('change', handleCategoryChange);
 
-            if (numByteSize > 8) {
-                e.preventDefault();
-                return false;
+    // Value fields - typing in either one converts towards the other
+    [['input', inputValue], ['output', outputValue]].forEach(([side, field]) => {
+        field.addEventListener('input', () => {
+            writeFieldState(updateFieldState(readFieldState(), { type: 'type', side }));
+            updateConversion();
+        });
+        field.addEventListener('keydown', handleValueKeydown);
+        field.addEventListener('change', () => {
+            if (sourceSide === side) {
+                updateConversion();
             }
-        }
+        });
     });
-    inputValue.addEventListener('keyup', updateConversion);
-    inputValue.addEventListener('change', updateConversion);
 
     // Unit selectors
     inputUnit.addEventListener('change', updateConversion);
     outputUnit.addEventListener('change', updateConversion);
+
+    // Swap button
+    swapButton = converter.querySelector('.converter__swap');
+    if (swapButton) {
+        swapButton.addEventListener('click', swapUnits);
+    }
+
+    // Free-text query box
+    queryInput = document.getElementById('converter-query');
+    queryResult = document.getElementById('converter-query-result');
+    if (queryInput && queryResult) {
+        queryInput.addEventListener('input', handleQueryInput);
+    }
+
+    // Exchange rates: rate date next to the result, manual rates and rate table import
+    rateInfo = document.getElementById('converter-rate');
+    currencyPanel = converter.querySelector('.converter__currency');
+    overrideInput = document.getElementById('currency-override');
+    overrideLabel = converter.querySelector('label[for="currency-override"]');
+    overrideResetButton = document.getElementById('currency-override-reset');
+    rateImportInput = document.getElementById('currency-import');
+    currencyStatus = document.getElementById('currency-status');
+    if (overrideInput && overrideResetButton) {
+        overrideInput.addEventListener('input', handleOverrideInput);
+        overrideInput.addEventListener('keydown', handleOverrideKeydown);
+        overrideResetButton.addEventListener('click', resetOverride);
+    }
+    if (rateImportInput && currencyStatus) {
+        rateImportInput.addEventListener('change', handleRateImport);
+    }
+    updateCurrencyRates();
+
+    // "Show all units" view
+    showAllToggle = converter.querySelector('.converter__show-all');
+    allUnitsTable = converter.querySelector('.converter__all');
+    if (showAllToggle && allUnitsTable) {
+        showAllToggle.addEventListener('click', () => {
+            setShowAll(showAllToggle.getAttribute('aria-pressed') !== 'true');
+        });
+        allUnitsTable.addEventListener('click', handleAllUnitsClick);
+    }
 }
 
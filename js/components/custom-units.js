@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Custom Units Component
+ * @description Lets the user define their own units (name, abbreviation, and how much of
+ * an existing unit one of them equals) and whole new categories. Custom units are saved
+ * in localStorage by the converter, and can be exported and imported as a JSON unit pack
+ * so a team can share them.
+ *
+ * @module components/custom-units
+ * @version 1.0.0
+ */
+
+import { formatNumberString, parseLocaleNumber } from '../utils/number-format.js';
+import { createUnitId, parseUnitPack } from '../utils/custom-units.js';
+import {
+    UNIT_DEFINITIONS,
+    formatConvertedValue,
+    getCategoryLabel,
+    getCustomUnits,
+    setCustomUnits,
+} from './converter.js';
+import { getLocale, onLocaleChange } from './locale-selector.js';
+
+/**
+ * File name of exported unit packs.
+ * @type {string}
+ * @constant
+ */
+const EXPORT_FILE_NAME = 'quantio-units.json';
+
+// DOM element references
+let form;
+let categorySelect;
+let newCategoryField;
+let newCategoryInput;
+let nameInput;
+let abbrInput;
+let relativeField;
+let factorInput;
+let referenceSelect;
+let unitList;
+let exportButton;
+let importInput;
+let status;
+
+/**
+ * Fills the category selector with the categories, and a "New category" option (empty
+ * value).
+ *
+ * @function populateCategories
+ * @returns {void}
+ */
+function populateCategories() {
+    const selected = categorySelect.value;
+    categorySelect.innerHTML = '';
+    Object.keys(UNIT_DEFINITIONS).forEach((category) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = getCategoryLabel(category);
+        categorySelect.appendChild(option);
+    });
+
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = 'New category…';
+    categorySelect.appendChild(newOption);
+
+    if ([...categorySelect.options].some((option) => option.value === selected)) {
+        categorySelect.value = selected;
+    }
+}
+
+/**
+ * Shows the fields that apply to the selected category: the new category's name, or
+ * the units a custom unit can be defined against. The first unit of a new category is
+ * its base unit, so it needs no factor.
+ *
+ * @function updateFormFields
+ * @returns {void}
+ */
+function updateFormFields() {
+    const category = categorySelect.value;
+    newCategoryField.hidden = category !== '';
+    relativeField.hidden = category === '';
+
+    referenceSelect.innerHTML = '';
+    (UNIT_DEFINITIONS[category] || [])
+        .filter((unit) => !unit.offset)
+        .forEach((unit) => {
+            const option = document.createElement('option');
+            option.value = unit.id;
+            option.textContent = `${unit.abbr} (${unit.name})`;
+            referenceSelect.appendChild(option);
+        });
+}
+
+/**
+ * Returns an id for a new unit that no unit of its category uses yet.
+ *
+ * @function getNewUnitId
+ * @param {string} category - The unit's category
+ * @param {string} name - The unit's name
+ * @returns {string} The id, e.g. "pallet" or "pallet-2"
+ */
+function getNewUnitId(category, name) {
+    const taken = (UNIT_DEFINITIONS[category] || []).map((unit) => unit.id);
+    const id = createUnitId(name) || 'unit';
+    let candidate = id;
+    for (let suffix = 2; taken.includes(candidate); suffix++) {
+        candidate = `${id}-${suffix}`;
+    }
+    return candidate;
+}
+
+/**
+ * Saves a changed unit pack and reports the outcome.
+ *
+ * @function savePack
+ * @param {{categories: Array<Object>, units: Array<Object>}} pack - The new unit pack
+ * @param {string} message - Message shown when the pack was saved
+ * @returns {boolean} True if the pack was saved
+ */
+function savePack(pack, message) {
+    try {
+        setCustomUnits(pack);
+    } catch (error) {
+        status.textContent = error.message;
+        return false;
+    }
+    status.textContent = message;
+    populateCategories();
+    updateFormFields();
+    renderUnitList();
+    return true;
+}
+
+/**
+ * Adds the unit described in the form.
+ *
+ * @function handleSubmit
+ * @param {SubmitEvent} e - The submit event
+ * @returns {void}
+ */
+function handleSubmit(e) {
+    e.preventDefault();
+    const pack = getCustomUnits();
+    const name = nameInput.value.trim();
+    const abbr = abbrInput.value.trim();
+    if (!name || !abbr) {
+        status.textContent = 'Enter a name and an abbreviation';
+        return;
+    }
+
+    let category = categorySelect.value;
+    let label = getCategoryLabel(category);
+    let unit;
+    if (category === '') {
+        label = newCategoryInput.value.trim();
+        category = createUnitId(label);
+        if (!category) {
+            status.textContent = 'Enter a name for the new category';
+            return;
+        }
+        pack.categories.push({ id: category, label });
+        unit = { category, id: getNewUnitId(category, name), name, abbr, factor: 1 };
+    } else {
+        const factor = parseLocaleNumber(factorInput.value, getLocale());
+        if (!(factor > 0)) {
+            status.textContent = `Enter how many ${referenceSelect.selectedOptions[0]?.textContent || 'units'} one ${abbr} equals`;
+            return;
+        }
+        unit = { category, id: getNewUnitId(category, name), name, abbr, factor, unit: referenceSelect.value };
+    }
+
+    pack.units.push(unit);
+    if (savePack(pack, `Added ${name} (${abbr}) to ${label}`)) {
+        form.reset();
+        categorySelect.value = category;
+        updateFormFields();
+    }
+}
+
+/**
+ * Describes a custom unit, e.g. "bbl (Barrel): 1 bbl = 42 gal · Volume".
+ *
+ * @function describeUnit
+ * @param {{category: string, name: string, abbr: string, factor: number, unit?: string}} unit
+ *     - The custom unit, as saved in the unit pack
+ * @returns {string} The description
+ */
+function describeUnit(unit) {
+    const units = UNIT_DEFINITIONS[unit.category] || [];
+    const reference = unit.unit
+        ? units.find((candidate) => candidate.id === unit.unit)
+        : units.find((candidate) => candidate.factor === 1 && !candidate.offset);
+    const factor = formatNumberString(formatConvertedValue(unit.factor), getLocale());
+    const definition = reference && reference.id !== unit.id
+        ? `1 ${unit.abbr} = ${factor} ${reference.abbr}`
+        : 'base unit';
+    return `${unit.abbr} (${unit.name}): ${definition} · ${getCategoryLabel(unit.category)}`;
+}
+
+/**
+ * Lists the custom units, each with a remove button.
+ *
+ * @function renderUnitList
+ * @returns {void}
+ */
+function renderUnitList() {
+    unitList.innerHTML = '';
+    getCustomUnits().units.forEach((unit, index) => {
+        const item = document.createElement('li');
+        item.className = 'converter__custom-item';
+
+        const text = document.createElement('span');
+        text.textContent = describeUnit(unit);
+        item.appendChild(text);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'converter__copy';
+        removeButton.dataset.index = String(index);
+        removeButton.textContent = 'Remove';
+        removeButton.setAttribute('aria-label', `Remove ${unit.name}`);
+        item.appendChild(removeButton);
+
+        unitList.appendChild(item);
+    });
+}
+
+/**
+ * Removes the custom unit whose remove button was clicked. Categories left without
+ * units are removed too.
+ *
+ * @function handleListClick
+ * @param {MouseEvent} e - The click event
+ * @returns {void}
+ */
+function handleListClick(e) {
+    const button = e.target.closest('button[data-index]');
+    if (!button) {
+        return;
+    }
+
+    const pack = getCustomUnits();
+    const [removed] = pack.units.splice(parseInt(button.dataset.index, 10), 1);
+    pack.categories = pack.categories.filter((category) =>
+        pack.units.some((unit) => unit.category === category.id)
+    );
+    savePack(pack, `Removed ${removed.name}`);
+}
+
+/**
+ * Downloads the custom units as a JSON unit pack.
+ *
+ * @function exportUnits
+ * @returns {void}
+ */
+function exportUnits() {
+    const blob = new Blob([JSON.stringify(getCustomUnits(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = EXPORT_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Adds the units and categories of an imported unit pack to the custom units. Imported
+ * entries replace custom ones with the same id.
+ *
+ * @function handleImport
+ * @returns {Promise<void>}
+ */
+function handleImport() {
+    const file = importInput.files[0];
+    if (!file) {
+        return Promise.resolve();
+    }
+
+    return file.text()
+        .then((text) => {
+            const imported = parseUnitPack(text);
+            const pack = getCustomUnits();
+            pack.categories = [
+                ...pack.categories.filter((category) =>
+                    !imported.categories.some((entry) => entry.id === category.id)),
+                ...imported.categories,
+            ];
+            pack.units = [
+                ...pack.units.filter((unit) =>
+                    !imported.units.some((entry) => entry.category === unit.category && entry.id === unit.id)),
+                ...imported.units,
+            ];
+            savePack(pack, `Imported ${imported.units.length} units from ${file.name}`);
+        })
+        .catch((error) => {
+            status.textContent = `Could not import units: ${error.message}`;
+        })
+        .finally(() => {
+            importInput.value = '';
+        });
+}
+
+/**
+ * Initializes the custom units editor. Call after initConverter, which merges the saved
+ * custom units into the unit definitions.
+ *
+ * @function initCustomUnits
+ * @returns {void}
+ */
+export function initCustomUnits() {
+    form = document.getElementById('custom-unit-form');
+    categorySelect = document.getElementById('custom-unit-category');
+    newCategoryField = document.getElementById('custom-unit-new-category');
+    newCategoryInput = document.getElementById('custom-unit-category-name');
+    nameInput = document.getElementById('custom-unit-name');
+    abbrInput = document.getElementById('custom-unit-abbr');
+    relativeField = document.getElementById('custom-unit-relative');
+    factorInput = document.getElementById('custom-unit-factor');
+    referenceSelect = document.getElementById('custom-unit-reference');
+    unitList = document.getElementById('custom-unit-list');
+    exportButton = document.getElementById('custom-unit-export');
+    importInput = document.getElementById('custom-unit-import');
+    status = document.getElementById('custom-unit-status');
+
+    if (!form || !categorySelect || !newCategoryField || !newCategoryInput || !nameInput ||
+        !abbrInput || !relativeField || !factorInput || !referenceSelect || !unitList || !status) {
+        return;
+    }
+
+    populateCategories();
+    updateFormFields();
+    renderUnitList();
+
+    categorySelect.addEventListener('change', updateFormFields);
+    form.addEventListener('submit', handleSubmit);
+    unitList.addEventListener('click', handleListClick);
+    onLocaleChange(renderUnitList);
+    if (exportButton) {
+        exportButton.addEventListener('click', exportUnits);
+    }
+    if (importInput) {
+        importInput.addEventListener('change', handleImport);
+    }
+}
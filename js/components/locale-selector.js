@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Locale Selector Component
+ * @description Lets the user choose the locale used to format and read numbers
+ * (grouping and decimal separators) in the calculator and converter.
+ * Defaults to the browser language and persists the choice in localStorage.
+ *
+ * @module components/locale-selector
+ * @version 1.0.0
+ */
+
+/**
+ * LocalStorage key for storing the number format locale.
+ * @type {string}
+ * @constant
+ */
+const LOCALE_KEY = 'quantio-locale';
+
+/**
+ * Locales offered in the selector (the browser language is added if missing).
+ * @type {Array<string>}
+ * @constant
+ * @readonly
+ */
+const LOCALES = ['en-US', 'en-GB', 'pt-BR', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'de-CH', 'en-IN'];
+
+/**
+ * Current number format locale, or null until it is first read.
+ * @type {string|null}
+ */
+let currentLocale = null;
+
+/**
+ * Callbacks run after the locale changes.
+ * @type {Array<Function>}
+ */
+const listeners = [];
+
+/**
+ * Checks whether a locale tag is supported for number formatting.
+ *
+ * @function isSupportedLocale
+ * @param {string|null} locale - BCP 47 locale tag
+ * @returns {boolean} True if Intl.NumberFormat supports the locale
+ */
+function isSupportedLocale(locale) {
+    if (!locale) return false;
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Retrieves the saved locale from localStorage or falls back to the browser language.
+ *
+ * @function getSavedLocale
+ * @returns {string} The locale tag
+ */
+function getSavedLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (isSupportedLocale(saved)) {
+        return saved;
+    }
+    const browserLocale = typeof navigator !== 'undefined' ? navigator.language : null;
+    return isSupportedLocale(browserLocale) ? browserLocale : 'en-US';
+}
+
+/**
+ * Returns the locale used to format and read numbers.
+ *
+ * @function getLocale
+ * @returns {string} The locale tag (e.g. "pt-BR")
+ */
+export function getLocale() {
+    if (currentLocale === null) {
+        currentLocale = getSavedLocale();
+    }
+    return currentLocale;
+}
+
+/**
+ * Registers a callback run after the locale changes.
+ *
+ * @function onLocaleChange
+ * @param {Function} callback - Called with the new locale tag
+ * @returns {void}
+ *
+ * @example
+ * onLocaleChange((locale) => console.log(`Numbers now use ${locale}`));
+ */
+export function onLocaleChange(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * Sets the locale, persists it, and notifies the registered callbacks.
+ *
+ * @function setLocale
+ * @param {string} locale - The new locale tag
+ * @returns {void}
+ */
+function setLocale(locale) {
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_KEY, locale);
+    listeners.forEach((callback) => callback(locale));
+}
+
+/**
+ * Returns the name of a locale in its own language, followed by a number sample.
+ *
+ * @function getLocaleLabel
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string} The label (e.g. "Deutsch (Deutschland) — 1.234,5")
+ */
+function getLocaleLabel(locale) {
+    let name = locale;
+    try {
+        name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+    } catch {
+        // Keep the tag when display names are unavailable
+    }
+    const sample = new Intl.NumberFormat(locale, { numberingSystem: 'latn' }).format(1234.5);
+    return `${name} — ${sample}`;
+}
+
+/**
+ * Initializes the locale selector.
+ * Populates the options, selects the saved (or browser) locale, and wires up changes.
+ *
+ * @function initLocaleSelector
+ * @returns {void}
+ *
+ * @example
+ * // Initialize locale selector on page load
+ * initLocaleSelector();
+ */
+export function initLocaleSelector() {
+    const select = document.getElementById('locale-select');
+    if (!select) return;
+
+    const locale = getLocale();
+    const locales = LOCALES.includes(locale) ? LOCALES : [locale, ...LOCALES];
+
+    select.innerHTML = '';
+    locales.forEach((code) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = getLocaleLabel(code);
+        select.appendChild(option);
+    });
+    select.value = locale;
+
+    select.addEventListener('change', () => setLocale(select.value));
+}
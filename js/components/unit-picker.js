@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Unit Picker Component
+ * @description Searchable unit picker following the ARIA combobox pattern (an editable
+ * combobox with list autocompletion). Typing filters the units by name, abbreviation or
+ * any other spelling ("lbs", "pounds", "metre"); the units are grouped (e.g. by
+ * measurement system) and can show a hint under their name. The list is used with the
+ * keyboard: Down and Up arrows move through the matches, Enter picks one, Escape closes
+ * the list.
+ *
+ * @module components/unit-picker
+ * @version 1.0.0
+ */
+
+/**
+ * Rates how well an option matches a search text (pure function for testing).
+ *
+ * @function matchUnitOption
+ * @param {{label: string, keywords?: string[]}} option - The option
+ * @param {string} text - The search text
+ * @returns {number} 3 if a spelling equals the text, 2 if one starts with it, 1 if one
+ *     contains it, 0 if none does (every option matches an empty text with 1)
+ *
+ * @example
+ * matchUnitOption({ label: 'lb (Pound)', keywords: ['lb', 'lbs', 'pound', 'pounds'] }, 'pounds'); // 3
+ */
+export function matchUnitOption(option, text) {
+    const query = text.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!query) {
+        return 1;
+    }
+    const spellings = [option.label, ...(option.keywords || [])].map((spelling) => spelling.toLowerCase());
+    if (spellings.includes(query)) {
+        return 3;
+    }
+    if (spellings.some((spelling) => spelling.startsWith(query))) {
+        return 2;
+    }
+    return spellings.some((spelling) => spelling.includes(query)) ? 1 : 0;
+}
+
+/**
+ * Keeps the options that match a search text (pure function for testing). Groups left
+ * without options are removed; the order of groups and options is kept.
+ *
+ * @function filterUnitOptions
+ * @param {Array<{label: string, options: Array<Object>}>} groups - The option groups
+ * @param {string} text - The search text
+ * @returns {Array<{label: string, options: Array<Object>}>} The matching options
+ *
+ * @example
+ * filterUnitOptions(getUnitOptionGroups('mass'), 'lbs');
+ * // [{ label: 'Imperial / US customary', options: [{ value: 'pound', label: 'lb (Pound)', ... }] }]
+ */
+export function filterUnitOptions(groups, text) {
+    return groups
+        .map((group) => ({ ...group, options: group.options.filter((option) => matchUnitOption(option, text) > 0) }))
+        .filter((group) => group.options.length > 0);
+}
+
+/**
+ * Number of options Page Down and Page Up move through.
+ * @type {number}
+ * @constant
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Returns the position a navigation key moves the active option to (pure function for
+ * testing). Down and Up move by one option, Page Down and Page Up by PAGE_SIZE; the
+ * first and last options are not passed.
+ *
+ * @function moveActiveIndex
+ * @param {string} key - "ArrowDown", "ArrowUp", "PageDown" or "PageUp"
+ * @param {number} index - Position of the active option, or -1 if none is active
+ * @param {number} count - Number of listed options
+ * @returns {number} The new position, or -1 if nothing is listed
+ *
+ * @example
+ * moveActiveIndex('PageDown', 5, 12); // 11
+ */
+export function moveActiveIndex(key, index, count) {
+    const steps = { ArrowDown: 1, ArrowUp: -1, PageDown: PAGE_SIZE, PageUp: -PAGE_SIZE };
+    return Math.min(Math.max(index + (steps[key] || 0), 0), count - 1);
+}
+
+/**
+ * Searchable unit picker. Works like a select: `value` is the picked option's value,
+ * and a `change` event is dispatched when the user picks another option (not when
+ * `value` is set from code).
+ *
+ * The markup is a text input with `role="combobox"`, whose `aria-controls` names the
+ * listbox, and an optional `.unit-picker__toggle` button in the same container.
+ *
+ * @class UnitPicker
+ * @extends EventTarget
+ *
+ * @example
+ * const picker = new UnitPicker(document.getElementById('input-unit'));
+ * picker.setOptions([{ label: 'Metric', options: [{ value: 'meter', label: 'm (Meter)', keywords: ['meter', 'metre'] }] }]);
+ * picker.addEventListener('change', () => console.log(picker.value));
+ */
+export class UnitPicker extends EventTarget {
+    /**
+     * Creates a unit picker for a combobox input.
+     *
+     * @param {HTMLInputElement} input - The combobox input
+     */
+    constructor(input) {
+        super();
+
+        /** @type {HTMLInputElement} */
+        this.input = input;
+
+        /** @type {HTMLElement} */
+        this.listbox = document.getElementById(input.getAttribute('aria-controls'));
+
+        /** @type {HTMLButtonElement|null} */
+        this.toggle = input.parentElement.querySelector('.unit-picker__toggle');
+
+        /**
+         * Option groups; a group without a label is shown without a heading, and an
+         * option's hint is shown under its label.
+         * @type {Array<{label: string, options: Array<{value: string, label: string, hint?: string, keywords?: string[]}>}>}
+         */
+        this.groups = [];
+
+        /**
+         * Value of the picked option, or an empty string.
+         * @type {string}
+         */
+        this.selected = '';
+
+        /**
+         * Option elements currently listed, in order.
+         * @type {HTMLElement[]}
+         */
+        this.listed = [];
+
+        /**
+         * Position of the active (highlighted) option in `listed`, or -1.
+         * @type {number}
+         */
+        this.activeIndex = -1;
+
+        this.input.addEventListener('input', () => this.open(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('focus', () => this.input.select());
+        this.input.addEventListener('blur', () => this.close());
+
+        // Keep the focus in the input while an option is clicked
+        this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.pick(option.dataset.value);
+            }
+        });
+
+        if (this.toggle) {
+            this.toggle.addEventListener('mousedown', (e) => e.preventDefault());
+            this.toggle.addEventListener('click', () => {
+                if (this.isOpen()) {
+                    this.close();
+                } else {
+                    this.input.focus();
+                    this.open('');
+                }
+            });
+        }
+    }
+
+    /**
+     * Value of the picked option. Setting a value the picker does not offer clears it.
+     * @type {string}
+     */
+    get value() {
+        return this.selected;
+    }
+
+    set value(value) {
+        this.selected = this.hasOption(value) ? value : '';
+        this.close();
+    }
+
+    /**
+     * Replaces the options. The picked value is cleared.
+     *
+     * @param {Array<{label: string, options: Array<{value: string, label: string, hint?: string, keywords?: string[]}>}>} groups
+     *     - The option groups
+     * @returns {void}
+     */
+    setOptions(groups) {
+        this.groups = groups;
+        this.value = '';
+    }
+
+    /**
+     * Checks whether the picker offers a value.
+     *
+     * @param {string} value - The option value
+     * @returns {boolean} True if one of the options has the value
+     */
+    hasOption(value) {
+        return this.groups.some((group) => group.options.some((option) => option.value === value));
+    }
+
+    /**
+     * Returns the option with a value.
+     *
+     * @param {string} value - The option value
+     * @returns {{value: string, label: string}|undefined} The option
+     */
+    getOption(value) {
+        for (const group of this.groups) {
+            const option = group.options.find((candidate) => candidate.value === value);
+            if (option) {
+                return option;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Checks whether the list is shown.
+     *
+     * @returns {boolean} True if the list is open
+     */
+    isOpen() {
+        return this.input.getAttribute('aria-expanded') === 'true';
+    }
+
+    /**
+     * Shows the options that match a search text. The best match becomes active; with
+     * no search text, the picked option does.
+     *
+     * @param {string} text - The search text
+     * @returns {void}
+     */
+    open(text) {
+        this.render(text);
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        let best = this.listed.findIndex((option) => option.dataset.value === this.selected);
+        if (text.trim()) {
+            const scores = this.listed.map((option) => matchUnitOption(this.getOption(option.dataset.value), text));
+            best = scores.indexOf(Math.max(...scores));
+        }
+        this.setActive(best === -1 ? 0 : best);
+    }
+
+    /**
+     * Hides the list and shows the picked option in the input.
+     *
+     * @returns {void}
+     */
+    close() {
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+
+        const option = this.getOption(this.selected);
+        this.input.value = option ? option.label : '';
+    }
+
+    /**
+     * Picks an option, closes the list, and dispatches `change` if the value changed.
+     *
+     * @param {string} value - The option value
+     * @returns {void}
+     */
+    pick(value) {
+        const changed = value !== this.selected;
+        this.value = value;
+        if (changed) {
+            this.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Renders the options that match a search text into the listbox.
+     *
+     * @param {string} text - The search text
+     * @returns {void}
+     */
+    render(text) {
+        this.listbox.innerHTML = '';
+        this.listed = [];
+
+        filterUnitOptions(this.groups, text).forEach((group, groupIndex) => {
+            const list = document.createElement('ul');
+            list.className = 'unit-picker__group';
+            list.setAttribute('role', group.label ? 'group' : 'presentation');
+            if (group.label) {
+                const heading = document.createElement('li');
+                heading.id = `${this.listbox.id}-group-${groupIndex}`;
+                heading.className = 'unit-picker__group-label';
+                heading.setAttribute('role', 'presentation');
+                heading.textContent = group.label;
+                list.setAttribute('aria-labelledby', heading.id);
+                list.appendChild(heading);
+            }
+
+            group.options.forEach((option) => {
+                const item = document.createElement('li');
+                item.id = `${this.listbox.id}-option-${this.listed.length}`;
+                item.className = 'unit-picker__option';
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', String(option.value === this.selected));
+                item.dataset.value = option.value;
+                item.textContent = option.label;
+                if (option.hint) {
+                    const hint = document.createElement('span');
+                    hint.className = 'unit-picker__hint';
+                    hint.textContent = option.hint;
+                    item.appendChild(hint);
+                    item.setAttribute('aria-label', `${option.label}, ${option.hint}`);
+                }
+                list.appendChild(item);
+                this.listed.push(item);
+            });
+            this.listbox.appendChild(list);
+        });
+
+        if (this.listed.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'unit-picker__empty';
+            empty.textContent = 'No matching units';
+            this.listbox.appendChild(empty);
+        }
+    }
+
+    /**
+     * Highlights a listed option and points the input's active descendant at it.
+     *
+     * @param {number} index - Position of the option in `listed`
+     * @returns {void}
+     */
+    setActive(index) {
+        if (this.activeIndex >= 0 && this.listed[this.activeIndex]) {
+            this.listed[this.activeIndex].classList.remove('unit-picker__option--active');
+        }
+        const option = this.listed[index];
+        if (!option) {
+            this.activeIndex = -1;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        this.activeIndex = index;
+        option.classList.add('unit-picker__option--active');
+        this.input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Keyboard navigation: Down/Up open the list and move through the options (Page
+     * Down/Up by ten), Enter picks the active option, Escape closes the list.
+     *
+     * @param {KeyboardEvent} e - The keydown event
+     * @returns {void}
+     */
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (e.altKey) {
+                    // Alt+Down only opens the list, Alt+Up closes it
+                    if (e.key === 'ArrowDown') {
+                        this.open('');
+                    } else {
+                        this.close();
+                    }
+                } else if (!this.isOpen()) {
+                    this.open('');
+                } else {
+                    this.setActive(moveActiveIndex(e.key, this.activeIndex, this.listed.length));
+                }
+                break;
+            case 'PageDown':
+            case 'PageUp': {
+                if (this.isOpen()) {
+                    e.preventDefault();
+                    this.setActive(moveActiveIndex(e.key, this.activeIndex, this.listed.length));
+                }
+                break;
+            }
+            case 'Enter':
+                if (this.isOpen()) {
+                    e.preventDefault();
+                    if (this.activeIndex >= 0) {
+                        this.pick(this.listed[this.activeIndex].dataset.value);
+                    }
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen()) {
+                    e.preventDefault();
+                    this.close();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+}
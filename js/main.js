@@ -13,6 +13,9 @@ import { initTabs } from './components/tabs.js';
 import { initCalculator } from './components/calculator.js';
 import { initThemeToggle } from './components/theme-toggle.js';
 import { initConverter } from './components/converter.js';
+import { initConverterFavorites } from './components/converter-favorites.js';
+import { initCustomUnits } from './components/custom-units.js';
+import { initLocaleSelector } from './components/locale-selector.js';
 
 /**
  * Initializes the application by setting up all components.
@@ -25,12 +28,18 @@ import { initConverter } from './components/converter.js';
 function init() {
     // Initialize theme first to ensure proper styling
     initThemeToggle();
+    // Initialize number format before the components that display numbers
+    initLocaleSelector();
     // Initialize tabs for navigation
     initTabs();
     // Initialize calculator functionality
     initCalculator();
     // Initialize converter functionality
     initConverter();
+    // Initialize the custom units editor (after the converter has merged them)
+    initCustomUnits();
+    // Initialize favorite unit pairs and recent conversions
+    initConverterFavorites();
 }
 
 /**
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Clipboard Helpers
+ * @description Copies text to the clipboard with the asynchronous Clipboard API, falling
+ * back to a temporary text area and `document.execCommand("copy")` where the API is
+ * unavailable (e.g. pages not served over HTTPS).
+ *
+ * @module utils/clipboard
+ * @version 1.0.0
+ */
+
+/**
+ * Copies text with a temporary, off-screen text area.
+ *
+ * @function copyWithTextArea
+ * @param {string} text - The text to copy
+ * @returns {boolean} True if the browser reported a successful copy
+ */
+function copyWithTextArea(text) {
+  const textArea = document.createElement("textarea");
+  textArea.value = text;
+  textArea.setAttribute("readonly", "");
+  textArea.style.position = "fixed";
+  textArea.style.opacity = "0";
+  document.body.appendChild(textArea);
+  textArea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand("copy");
+  } catch {
+    copied = false;
+  }
+  textArea.remove();
+  return copied;
+}
+
+/**
+ * Copies text to the clipboard.
+ *
+ * @function copyText
+ * @param {string} text - The text to copy
+ * @returns {Promise<boolean>} Resolves to true if the text was copied
+ *
+ * @example
+ * copyText("42").then((copied) => console.log(copied ? "Copied" : "Copy failed"));
+ */
+export async function copyText(text) {
+  if (typeof navigator !== "undefined" && navigator.clipboard && navigator.clipboard.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      // Permission denied or insecure context: fall back below
+    }
+  }
+  return copyWithTextArea(text);
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Currency Rate Tables
+ * @description Reads exchange rate tables and turns them into converter units. A rate
+ * table has a base currency, an "as of" date, and the number of units of each currency
+ * that one unit of the base currency buys:
+ *
+ *   JSON: { "base": "EUR", "date": "2024-12-31", "rates": { "USD": 1.0389, "GBP": 0.82918 } }
+ *
+ *   CSV:  date,currency,rate
+ *         2024-12-31,EUR,1
+ *         2024-12-31,USD,1.0389
+ *
+ * In CSV tables the base currency is the one with rate 1, and the table's date is the
+ * latest date; a currency listed on several dates keeps its latest rate.
+ *
+ * @module utils/currency
+ * @version 1.0.0
+ */
+
+/**
+ * Pattern matching an ISO 4217 currency code.
+ * @type {RegExp}
+ * @constant
+ */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Pattern matching an ISO 8601 calendar date.
+ * @type {RegExp}
+ * @constant
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks one currency code and rate of a table.
+ *
+ * @function checkRate
+ * @param {string} code - The currency code
+ * @param {*} rate - The rate
+ * @returns {void}
+ * @throws {SyntaxError} If the code is not a three-letter code
+ * @throws {RangeError} If the rate is not a positive number
+ */
+function checkRate(code, rate) {
+  if (!CURRENCY_CODE_PATTERN.test(code)) {
+    throw new SyntaxError(`Invalid currency code "${code}"`);
+  }
+  if (typeof rate !== "number" || !isFinite(rate) || rate <= 0) {
+    throw new RangeError(`Invalid rate for ${code}`);
+  }
+}
+
+/**
+ * Checks the date of a table.
+ *
+ * @function checkDate
+ * @param {*} date - The date
+ * @returns {void}
+ * @throws {SyntaxError} If the date is not written as YYYY-MM-DD
+ */
+function checkDate(date) {
+  if (typeof date !== "string" || !DATE_PATTERN.test(date) || isNaN(Date.parse(date))) {
+    throw new SyntaxError(`Invalid date "${date}", expected YYYY-MM-DD`);
+  }
+}
+
+/**
+ * Reads a JSON rate table.
+ *
+ * @function parseJsonTable
+ * @param {string} text - The JSON text
+ * @returns {{base: string, date: string, rates: Object<string, number>}} The table
+ * @throws {SyntaxError|RangeError} If the table is malformed
+ */
+function parseJsonTable(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data.rates !== "object" || Array.isArray(data.rates)) {
+    throw new SyntaxError('Missing "rates" object');
+  }
+  checkDate(data.date);
+
+  const base = String(data.base || "").toUpperCase();
+  const rates = { [base]: 1 };
+  for (const [code, rate] of Object.entries(data.rates)) {
+    checkRate(code.toUpperCase(), rate);
+    rates[code.toUpperCase()] = rate;
+  }
+  checkRate(base, rates[base]);
+  return { base, date: data.date, rates };
+}
+
+/**
+ * Reads a CSV rate table with `date`, `currency` and `rate` columns.
+ *
+ * @function parseCsvTable
+ * @param {string} text - The CSV text
+ * @returns {{base: string, date: string, rates: Object<string, number>}} The table
+ * @throws {SyntaxError|RangeError} If the table is malformed
+ */
+function parseCsvTable(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.split(",").map((cell) => cell.trim()))
+    .filter((cells) => cells.some(Boolean));
+
+  // The header is optional
+  if (rows.length > 0 && rows[0][0].toLowerCase() === "date") rows.shift();
+
+  const latest = {};
+  for (const [date, code = "", rateText = ""] of rows) {
+    checkDate(date);
+    const rate = Number(rateText);
+    checkRate(code.toUpperCase(), rateText ? rate : NaN);
+    if (!latest[code.toUpperCase()] || latest[code.toUpperCase()].date <= date) {
+      latest[code.toUpperCase()] = { date, rate };
+    }
+  }
+
+  const entries = Object.entries(latest);
+  const baseEntry = entries.find(([, entry]) => entry.rate === 1);
+  if (!baseEntry) {
+    throw new SyntaxError("Missing base currency (a currency with rate 1)");
+  }
+
+  return {
+    base: baseEntry[0],
+    date: entries.map(([, entry]) => entry.date).sort().pop(),
+    rates: Object.fromEntries(entries.map(([code, entry]) => [code, entry.rate])),
+  };
+}
+
+/**
+ * Reads a rate table written as JSON or CSV (pure function for testing).
+ *
+ * @function parseRateTable
+ * @param {string} text - The file contents
+ * @returns {{base: string, date: string, rates: Object<string, number>}} The base
+ *     currency, the "as of" date (YYYY-MM-DD), and the rate of every currency against
+ *     the base currency (the base currency itself included, with rate 1)
+ * @throws {SyntaxError} If the text is not a rate table
+ * @throws {RangeError} If a rate is not a positive number
+ *
+ * @example
+ * parseRateTable("date,currency,rate\n2024-12-31,EUR,1\n2024-12-31,USD,1.0389");
+ * // { base: "EUR", date: "2024-12-31", rates: { EUR: 1, USD: 1.0389 } }
+ */
+export function parseRateTable(text) {
+  const trimmed = String(text).trim();
+  if (!trimmed) {
+    throw new SyntaxError("Empty rate table");
+  }
+  return trimmed.startsWith("{") ? parseJsonTable(trimmed) : parseCsvTable(trimmed);
+}
+
+/**
+ * Returns the English name of a currency, or its code if the name is unknown.
+ *
+ * @function getCurrencyName
+ * @param {string} code - The currency code
+ * @returns {string} The name, e.g. "Euro"
+ */
+function getCurrencyName(code) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "currency" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Turns a rate table into converter units (pure function for testing). The base
+ * currency comes first, then the others in alphabetical order; each unit's factor is
+ * its value in the base currency.
+ *
+ * @function createCurrencyUnits
+ * @param {{base: string, rates: Object<string, number>}} table - The rate table
+ * @returns {Array<{id: string, name: string, abbr: string, factor: number}>} The units
+ *
+ * @example
+ * createCurrencyUnits({ base: "EUR", rates: { EUR: 1, USD: 1.25 } });
+ * // [{ id: "eur", name: "Euro", abbr: "EUR", factor: 1 },
+ * //  { id: "usd", name: "US Dollar", abbr: "USD", factor: 0.8 }]
+ */
+export function createCurrencyUnits(table) {
+  const codes = Object.keys(table.rates)
+    .filter((code) => code !== table.base)
+    .sort();
+  return [table.base, ...codes].map((code) => ({
+    id: code.toLowerCase(),
+    name: getCurrencyName(code),
+    abbr: code,
+    factor: 1 / table.rates[code],
+  }));
+}
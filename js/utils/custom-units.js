@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Custom Unit Packs
+ * @description Reads and merges user-defined units and categories. A unit pack lists new
+ * categories and new units; each unit is defined relative to a unit of its category
+ * ("1 bbl = 42 gal"), or to the category's base unit when no unit is named:
+ *
+ *   {
+ *     "categories": [{ "id": "cost", "label": "Internal Cost" }],
+ *     "units": [
+ *       { "category": "volume", "id": "barrel", "name": "Barrel", "abbr": "bbl",
+ *         "factor": 42, "unit": "us-gallon" },
+ *       { "category": "cost", "id": "credit", "name": "Credit", "abbr": "cr", "factor": 1 }
+ *     ]
+ *   }
+ *
+ * @module utils/custom-units
+ * @version 1.0.0
+ */
+
+/**
+ * Categories whose custom units must be defined against one of their units. Currency
+ * factors change with every rate table, so a custom currency is pegged to a listed one
+ * ("1 AED = 0.2723 USD") and follows its rate.
+ * @type {string[]}
+ * @constant
+ */
+export const PEGGED_CATEGORIES = ["currency"];
+
+/**
+ * Creates an id from a name, e.g. "pallet-euro" for "Pallet (Euro)" (pure function for
+ * testing).
+ *
+ * @function createUnitId
+ * @param {string} name - The unit or category name
+ * @returns {string} Lowercase letters and digits separated by hyphens
+ *
+ * @example
+ * createUnitId("Réaumur Degree"); // "reaumur-degree"
+ */
+export function createUnitId(name) {
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Returns a trimmed, non-empty string field of a pack entry.
+ *
+ * @function readText
+ * @param {Object} entry - The category or unit
+ * @param {string} field - The field name
+ * @param {string} what - Description of the entry, for error messages
+ * @returns {string} The text
+ * @throws {SyntaxError} If the field is missing or empty
+ */
+function readText(entry, field, what) {
+  const text = typeof entry[field] === "string" ? entry[field].trim() : "";
+  if (!text) {
+    throw new SyntaxError(`${what} has no ${field}`);
+  }
+  return text;
+}
+
+/**
+ * Reads a unit pack from JSON (pure function for testing). Missing ids are created
+ * from the names.
+ *
+ * @function parseUnitPack
+ * @param {string} text - The JSON text
+ * @returns {{categories: Array<{id: string, label: string}>,
+ *     units: Array<{category: string, id: string, name: string, abbr: string,
+ *     factor: number, unit?: string}>}} The pack
+ * @throws {SyntaxError} If the text is not a unit pack
+ * @throws {RangeError} If a factor is not a positive number
+ *
+ * @example
+ * parseUnitPack('{"units": [{"category": "length", "name": "Pallet", "abbr": "plt", "factor": 1.2, "unit": "meter"}]}');
+ * // { categories: [], units: [{ category: "length", id: "pallet", name: "Pallet", abbr: "plt", factor: 1.2, unit: "meter" }] }
+ */
+export function parseUnitPack(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new SyntaxError("A unit pack must be an object");
+  }
+  const categories = data.categories || [];
+  const units = data.units || [];
+  if (!Array.isArray(categories) || !Array.isArray(units)) {
+    throw new SyntaxError('"categories" and "units" must be lists');
+  }
+
+  return {
+    categories: categories.map((category, index) => {
+      const label = readText(category || {}, "label", `Category ${index + 1}`);
+      return { id: createUnitId(category.id || label), label };
+    }),
+    units: units.map((unit, index) => {
+      const what = `Unit ${index + 1}`;
+      const name = readText(unit || {}, "name", what);
+      const parsed = {
+        category: readText(unit, "category", what),
+        id: createUnitId(unit.id || name),
+        name,
+        abbr: readText(unit, "abbr", what),
+        factor: unit.factor,
+      };
+      if (typeof unit.factor !== "number" || !isFinite(unit.factor) || unit.factor <= 0) {
+        throw new RangeError(`${name} needs a positive factor`);
+      }
+      if (unit.unit) {
+        parsed.unit = String(unit.unit);
+      }
+      return parsed;
+    }),
+  };
+}
+
+/**
+ * Adds a unit pack to unit definitions (pure function for testing). The definitions are
+ * not changed: the result has new category lists. Added units are marked `custom: true`
+ * and their factors are converted to the category's base unit. New categories without
+ * units are left out.
+ *
+ * @function mergeUnitPack
+ * @param {Object<string, Array<Object>>} definitions - Units per category
+ * @param {{categories: Array<{id: string, label: string}>, units: Array<Object>}} pack
+ *     - The unit pack (see parseUnitPack)
+ * @returns {{definitions: Object<string, Array<Object>>, labels: Object<string, string>}}
+ *     The merged definitions, and the labels of the new categories
+ * @throws {RangeError} If a category already exists, or a unit refers to a missing
+ *     category or unit, or to a unit with an offset, or a unit of a pegged category names
+ *     no unit
+ *
+ * @example
+ * mergeUnitPack(UNIT_DEFINITIONS, pack).definitions.volume.at(-1);
+ * // { id: "barrel", name: "Barrel", abbr: "bbl", factor: 158.987..., custom: true }
+ */
+export function mergeUnitPack(definitions, pack) {
+  const merged = {};
+  for (const [category, units] of Object.entries(definitions)) {
+    merged[category] = [...units];
+  }
+
+  const labels = {};
+  for (const { id, label } of pack.categories) {
+    if (merged[id]) {
+      throw new RangeError(`Category "${label}" already exists`);
+    }
+    merged[id] = [];
+    labels[id] = label;
+  }
+
+  for (const unit of pack.units) {
+    const units = merged[unit.category];
+    if (!units) {
+      throw new RangeError(`${unit.name}: unknown category "${unit.category}"`);
+    }
+    if (PEGGED_CATEGORIES.includes(unit.category) && !unit.unit) {
+      throw new RangeError(`${unit.name}: units of "${unit.category}" must name the unit they equal`);
+    }
+
+    let factor = unit.factor;
+    if (unit.unit) {
+      const reference = units.find((candidate) => candidate.id === unit.unit);
+      if (!reference) {
+        throw new RangeError(`${unit.name}: unknown unit "${unit.unit}"`);
+      }
+      if (reference.offset) {
+        throw new RangeError(`${unit.name}: ${reference.name} has an offset`);
+      }
+      factor *= reference.factor;
+    }
+
+    units.push({ id: unit.id, name: unit.name, abbr: unit.abbr, factor, custom: true });
+  }
+
+  // New categories without units are left out
+  for (const id of Object.keys(labels)) {
+    if (merged[id].length === 0) {
+      delete merged[id];
+      delete labels[id];
+    }
+  }
+
+  return { definitions: merged, labels };
+}
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Decimal Arithmetic
+ * @description Arbitrary-precision decimal numbers backed by BigInt. A value is stored as an
+ * integer coefficient and a decimal scale (value = coefficient × 10^-scale), so decimal
+ * fractions such as 0.1 are represented exactly and large integers keep every digit.
+ * Addition, subtraction, and multiplication are exact; division rounds to a fixed number
+ * of significant digits.
+ *
+ * @module utils/decimal
+ * @version 1.0.0
+ */
+
+/**
+ * Number of significant digits kept by division (and by non-terminating results in general).
+ * @type {number}
+ * @constant
+ */
+export const DIVISION_PRECISION = 40;
+
+/**
+ * Largest number of digits an exact power may produce before falling back to
+ * floating-point evaluation.
+ * @type {number}
+ * @constant
+ */
+const MAX_EXACT_POWER_DIGITS = 1000;
+
+/**
+ * Largest decimal exponent accepted when parsing (e.g. "1e10000").
+ * @type {number}
+ * @constant
+ */
+const MAX_PARSE_EXPONENT = 10000;
+
+/**
+ * Pattern matching a decimal literal with optional sign, fraction, and exponent.
+ * @type {RegExp}
+ * @constant
+ */
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Returns 10 raised to the given power as a BigInt.
+ *
+ * @function powerOfTen
+ * @param {number} exponent - Non-negative integer exponent
+ * @returns {bigint} 10^exponent
+ */
+function powerOfTen(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Counts the decimal digits of a BigInt, ignoring its sign.
+ *
+ * @function digitCount
+ * @param {bigint} value - The integer to measure
+ * @returns {number} The number of digits
+ */
+function digitCount(value) {
+  return (value < 0n ? -value : value).toString().length;
+}
+
+/**
+ * Divides two BigInts, rounding half away from zero.
+ *
+ * @function roundedDivide
+ * @param {bigint} dividend - The dividend
+ * @param {bigint} divisor - The divisor (non-zero)
+ * @returns {bigint} The rounded quotient
+ */
+function roundedDivide(dividend, divisor) {
+  const quotient = dividend / divisor;
+  const remainder = dividend % divisor;
+  const absRemainder = remainder < 0n ? -remainder : remainder;
+  const absDivisor = divisor < 0n ? -divisor : divisor;
+
+  if (absRemainder * 2n >= absDivisor) {
+    return (dividend < 0n) !== (divisor < 0n) ? quotient - 1n : quotient + 1n;
+  }
+  return quotient;
+}
+
+/**
+ * Immutable arbitrary-precision decimal number.
+ *
+ * @class Decimal
+ *
+ * @example
+ * Decimal.parse("0.1").add(Decimal.parse("0.2")).toString(); // "0.3"
+ * Decimal.from(1).div(Decimal.from(3)).toSignificant(5);     // "0.33333"
+ */
+export class Decimal {
+  /**
+   * Creates a decimal equal to coefficient × 10^-scale.
+   * Trailing zeros are stripped so that equal values share one representation.
+   *
+   * @param {bigint} coefficient - Integer coefficient
+   * @param {number} [scale=0] - Number of decimal places (may be negative)
+   */
+  constructor(coefficient, scale = 0) {
+    let normalized = BigInt(coefficient);
+    let normalizedScale = scale;
+
+    if (normalizedScale < 0) {
+      normalized *= powerOfTen(-normalizedScale);
+      normalizedScale = 0;
+    }
+    while (normalizedScale > 0 && normalized % 10n === 0n) {
+      normalized /= 10n;
+      normalizedScale--;
+    }
+    if (normalized === 0n) {
+      normalizedScale = 0;
+    }
+
+    /** @type {bigint} */
+    this.coefficient = normalized;
+    /** @type {number} */
+    this.scale = normalizedScale;
+    Object.freeze(this);
+  }
+
+  /**
+   * Parses a decimal literal such as "-12.5", ".25", or "1.5e-7".
+   *
+   * @param {string} text - The literal to parse
+   * @returns {Decimal} The parsed value
+   * @throws {SyntaxError} If the text is not a decimal literal
+   * @throws {RangeError} If the exponent is too large
+   */
+  static parse(text) {
+    const match = DECIMAL_PATTERN.exec(String(text).trim());
+    if (!match || (!match[2] && !match[3])) {
+      throw new SyntaxError(`Invalid decimal "${text}"`);
+    }
+
+    const [, sign, integerPart, fractionPart = "", exponentPart = "0"] = match;
+    const exponent = parseInt(exponentPart, 10);
+    if (Math.abs(exponent) > MAX_PARSE_EXPONENT) {
+      throw new RangeError(`Exponent out of range in "${text}"`);
+    }
+
+    const coefficient = BigInt(`${sign}${integerPart || "0"}${fractionPart}`);
+    return new Decimal(coefficient, fractionPart.length - exponent);
+  }
+
+  /**
+   * Converts a Decimal, BigInt, finite number, or decimal string to a Decimal.
+   * Numbers are converted through their shortest string form, so 0.1 becomes exactly 0.1.
+   *
+   * @param {Decimal|bigint|number|string} value - The value to convert
+   * @returns {Decimal} The converted value
+   * @throws {RangeError} If the value is NaN or infinite
+   */
+  static from(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === "bigint") return new Decimal(value);
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) {
+        throw new RangeError(`Cannot represent ${value} as a decimal`);
+      }
+      return Decimal.parse(String(value));
+    }
+    return Decimal.parse(value);
+  }
+
+  /**
+   * Returns both coefficients scaled to a common number of decimal places.
+   *
+   * @param {Decimal} other - The other operand
+   * @returns {{a: bigint, b: bigint, scale: number}} The aligned coefficients and scale
+   */
+  align(other) {
+    const scale = Math.max(this.scale, other.scale);
+    return {
+      a: this.coefficient * powerOfTen(scale - this.scale),
+      b: other.coefficient * powerOfTen(scale - other.scale),
+      scale,
+    };
+  }
+
+  /**
+   * @param {Decimal|number|string} other - The addend
+   * @returns {Decimal} this + other
+   */
+  add(other) {
+    const { a, b, scale } = this.align(Decimal.from(other));
+    return new Decimal(a + b, scale);
+  }
+
+  /**
+   * @param {Decimal|number|string} other - The subtrahend
+   * @returns {Decimal} this - other
+   */
+  sub(other) {
+    const { a, b, scale } = this.align(Decimal.from(other));
+    return new Decimal(a - b, scale);
+  }
+
+  /**
+   * @param {Decimal|number|string} other - The multiplier
+   * @returns {Decimal} this × other
+   */
+  mul(other) {
+    const factor = Decimal.from(other);
+    return new Decimal(this.coefficient * factor.coefficient, this.scale + factor.scale);
+  }
+
+  /**
+   * Divides, rounding the quotient to the given number of significant digits.
+   *
+   * @param {Decimal|number|string} other - The divisor
+   * @param {number} [precision=DIVISION_PRECISION] - Significant digits to keep
+   * @returns {Decimal} this ÷ other
+   * @throws {RangeError} If the divisor is zero
+   */
+  div(other, precision = DIVISION_PRECISION) {
+    const divisor = Decimal.from(other);
+    if (divisor.isZero()) {
+      throw new RangeError("Division by zero");
+    }
+
+    const shift = Math.max(
+      0,
+      precision - digitCount(this.coefficient) + digitCount(divisor.coefficient)
+    );
+    const quotient = roundedDivide(this.coefficient * powerOfTen(shift), divisor.coefficient);
+    return new Decimal(quotient, this.scale - divisor.scale + shift);
+  }
+
+  /**
+   * Raises to a power. Integer exponents are computed exactly (negative ones through
+   * division); other exponents, and exact results that would be too long, fall back
+   * to floating point.
+   *
+   * @param {Decimal|number|string} exponent - The exponent
+   * @returns {Decimal} this ^ exponent
+   * @throws {RangeError} If the result is undefined or not finite (e.g. 0 ^ -1)
+   */
+  pow(exponent) {
+    const power = Decimal.from(exponent);
+
+    if (power.isInteger()) {
+      const n = Number(power.coefficient);
+      const magnitude = Math.abs(n);
+      if (digitCount(this.coefficient) * magnitude <= MAX_EXACT_POWER_DIGITS) {
+        const result = new Decimal(this.coefficient ** BigInt(magnitude), this.scale * magnitude);
+        return n < 0 ? new Decimal(1n).div(result) : result;
+      }
+    }
+
+    return Decimal.from(Math.pow(this.toNumber(), power.toNumber()));
+  }
+
+  /**
+   * @returns {Decimal} The value with its sign flipped
+   */
+  neg() {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  /**
+   * @returns {Decimal} The absolute value
+   */
+  abs() {
+    return this.coefficient < 0n ? this.neg() : this;
+  }
+
+  /**
+   * Compares with another value.
+   *
+   * @param {Decimal|number|string} other - The value to compare with
+   * @returns {number} -1, 0, or 1
+   */
+  cmp(other) {
+    const { a, b } = this.align(Decimal.from(other));
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * @returns {boolean} True if the value is zero
+   */
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  /**
+   * @returns {boolean} True if the value has no fractional part
+   */
+  isInteger() {
+    return this.scale === 0;
+  }
+
+  /**
+   * @returns {boolean} True if the value is below zero
+   */
+  isNegative() {
+    return this.coefficient < 0n;
+  }
+
+  /**
+   * Converts to the nearest JavaScript number.
+   *
+   * @returns {number} The value as a number (may be ±Infinity for huge values)
+   */
+  toNumber() {
+    return Number(`${this.coefficient}e-${this.scale}`);
+  }
+
+  /**
+   * Returns the integer part, truncating toward zero.
+   *
+   * @returns {bigint} The integer part (e.g. -2n for -2.7)
+   */
+  toBigInt() {
+    return this.coefficient / powerOfTen(this.scale);
+  }
+
+  /**
+   * Returns the exact value in plain (non-exponential) notation.
+   *
+   * @returns {string} The value, e.g. "-0.000125"
+   */
+  toString() {
+    const sign = this.coefficient < 0n ? "-" : "";
+    const digits = (this.coefficient < 0n ? -this.coefficient : this.coefficient).toString();
+
+    if (this.scale === 0) {
+      return sign + digits;
+    }
+
+    const padded = digits.padStart(this.scale + 1, "0");
+    const integerPart = padded.slice(0, padded.length - this.scale);
+    const fractionPart = padded.slice(padded.length - this.scale);
+    return `${sign}${integerPart}.${fractionPart}`;
+  }
+
+  /**
+   * Formats the value rounded to a number of significant digits, without trailing zeros.
+   * Uses exponential notation (e.g. "1.5e+21", "1e-7") when the integer part has more
+   * digits than requested or the value is smaller than 1e-6, like Number.prototype.toString.
+   *
+   * @param {number} digits - Significant digits to keep (at least 1)
+   * @returns {string} The formatted value
+   *
+   * @example
+   * Decimal.parse("3.14159").toSignificant(3);       // "3.14"
+   * Decimal.parse("123456789").toSignificant(4);     // "1.235e+8"
+   * Decimal.parse("0.00000012345").toSignificant(2); // "1.2e-7"
+   */
+  toSignificant(digits) {
+    if (this.isZero()) return "0";
+
+    const precision = Math.max(1, Math.floor(digits));
+    const length = digitCount(this.coefficient);
+    let rounded = this;
+
+    if (length > precision) {
+      const dropped = length - precision;
+      const coefficient = roundedDivide(this.coefficient, powerOfTen(dropped));
+      rounded = new Decimal(coefficient, this.scale - dropped);
+    }
+
+    const mantissa = (rounded.coefficient < 0n ? -rounded.coefficient : rounded.coefficient).toString();
+    const exponent = mantissa.length - 1 - rounded.scale;
+
+    if (exponent >= precision || exponent < -6) {
+      const sign = rounded.isNegative() ? "-" : "";
+      const fraction = mantissa.slice(1).replace(/0+$/, "");
+      const exponentSign = exponent >= 0 ? "+" : "-";
+      return `${sign}${mantissa[0]}${fraction ? `.${fraction}` : ""}e${exponentSign}${Math.abs(exponent)}`;
+    }
+    return rounded.toString();
+  }
+
+  /**
+   * Serializes to the exact plain-notation string.
+   *
+   * @returns {string} The value as a string
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
@@ -0,0 +1,491 @@
+/**
+ * @fileoverview Expression Parser
+ * @description Tokenizes and evaluates calculator expressions with operator precedence,
+ * nested parentheses, unary minus, and scientific functions. Uses a recursive descent parser
+ * that builds a small syntax tree, which is then evaluated one operation at a time.
+ * Arithmetic is exact decimal arithmetic (see utils/decimal); transcendental functions and
+ * constants are evaluated in floating point.
+ *
+ * Grammar:
+ *   expression := term (("+" | "-") term)*
+ *   term       := unary (("×" | "÷") unary)*
+ *   unary      := ("-" | "+") unary | power
+ *   power      := postfix ("^" unary)?
+ *   postfix    := primary ("!" | "²" | "⁻¹")*
+ *   primary    := number | constant | function "(" expression ")" | "(" expression ")"
+ *
+ * @module utils/expression-parser
+ * @version 1.0.0
+ */
+
+import { Decimal } from "./decimal.js";
+
+/**
+ * Aliases accepted by the tokenizer, mapped to the calculator's canonical operators.
+ * @type {Object<string, string>}
+ * @constant
+ * @readonly
+ */
+const OPERATOR_ALIASES = {
+  "+": "+",
+  "-": "-",
+  "−": "-",
+  "×": "×",
+  "*": "×",
+  "÷": "÷",
+  "/": "÷",
+  "^": "^",
+};
+
+/**
+ * Postfix operators: factorial, square, and reciprocal.
+ * @type {Array<string>}
+ * @constant
+ * @readonly
+ */
+export const POSTFIX_OPERATORS = ["!", "²", "⁻¹"];
+
+/**
+ * Supported functions. Each takes a single argument written in parentheses.
+ * @type {Array<string>}
+ * @constant
+ * @readonly
+ */
+export const FUNCTIONS = ["sin", "cos", "tan", "asin", "acos", "atan", "log", "ln", "√"];
+
+/**
+ * Supported constants and their values.
+ * @type {Object<string, number>}
+ * @constant
+ * @readonly
+ */
+export const CONSTANTS = {
+  π: Math.PI,
+  e: Math.E,
+};
+
+/**
+ * Size of one angle unit in radians, keyed by angle mode.
+ * @type {Object<string, number>}
+ * @constant
+ * @readonly
+ */
+export const ANGLE_UNITS = {
+  deg: Math.PI / 180,
+  rad: 1,
+  grad: Math.PI / 200,
+};
+
+/**
+ * Trigonometric results smaller than this are treated as exactly zero,
+ * so that e.g. sin(180°) gives 0 and tan(90°) is detected as undefined.
+ * @type {number}
+ * @constant
+ */
+const TRIG_EPSILON = 1e-12;
+
+/**
+ * Largest integer whose factorial is computed (500! already has 1135 digits).
+ * @type {number}
+ * @constant
+ */
+const MAX_FACTORIAL = 500;
+
+/**
+ * Pattern matching a number literal, including decimals and exponent notation.
+ * @type {RegExp}
+ * @constant
+ */
+const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+
+/**
+ * Pattern matching a function or constant name.
+ * @type {RegExp}
+ * @constant
+ */
+const NAME_PATTERN = /^([a-z]+|π|√)/i;
+
+/**
+ * Converts an exact result back to a number for callers that passed plain numbers.
+ *
+ * @function toFiniteNumber
+ * @param {Decimal} value - The exact result
+ * @returns {number|string} The nearest number, or 'Error' if it overflows
+ */
+function toFiniteNumber(value) {
+  const number = value.toNumber();
+  return Number.isFinite(number) ? number : "Error";
+}
+
+/**
+ * Evaluates a single operation (pure function for testing).
+ * Computes with exact decimal arithmetic: Decimal operands give a Decimal result, plain
+ * numbers give a number result (so 0.1 + 0.2 is exactly 0.3 either way).
+ *
+ * @function evaluateOperation
+ * @param {number|Decimal} firstNum - First operand
+ * @param {string} operator - Operator (+, -, ×, ÷, ^)
+ * @param {number|Decimal} secondNum - Second operand
+ * @returns {number|Decimal|string} The result or 'Error' for division by zero and undefined powers
+ */
+export function evaluateOperation(firstNum, operator, secondNum) {
+  const exact = firstNum instanceof Decimal || secondNum instanceof Decimal;
+  let result;
+
+  try {
+    const a = Decimal.from(firstNum);
+    const b = Decimal.from(secondNum);
+
+    switch (operator) {
+      case "+":
+        result = a.add(b);
+        break;
+      case "-":
+        result = a.sub(b);
+        break;
+      case "×":
+        result = a.mul(b);
+        break;
+      case "÷":
+        if (b.isZero()) return "Error";
+        result = a.div(b);
+        break;
+      case "^":
+        result = a.pow(b);
+        break;
+      default:
+        return NaN;
+    }
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return "Error";
+    }
+    throw error;
+  }
+
+  return exact ? result : toFiniteNumber(result);
+}
+
+/**
+ * Evaluates a function of one argument (pure function for testing).
+ * Trigonometric functions use the given angle mode for their input (sin, cos, tan)
+ * or output (asin, acos, atan). Arguments outside a function's domain produce 'Error'.
+ *
+ * @function evaluateFunction
+ * @param {string} name - Function name (see FUNCTIONS)
+ * @param {number} value - The argument
+ * @param {string} [angleMode="rad"] - Angle mode: 'deg', 'rad', or 'grad'
+ * @returns {number|string} The result or 'Error'
+ *
+ * @example
+ * evaluateFunction("sin", 30, "deg"); // 0.5 (approximately)
+ * evaluateFunction("tan", 90, "deg"); // "Error"
+ * evaluateFunction("log", -1);        // "Error"
+ */
+export function evaluateFunction(name, value, angleMode = "rad") {
+  const angleUnit = ANGLE_UNITS[angleMode] ?? ANGLE_UNITS.rad;
+  const snap = (result) => (Math.abs(result) < TRIG_EPSILON ? 0 : result);
+
+  switch (name) {
+    case "sin":
+      return snap(Math.sin(value * angleUnit));
+    case "cos":
+      return snap(Math.cos(value * angleUnit));
+    case "tan": {
+      const radians = value * angleUnit;
+      if (Math.abs(Math.cos(radians)) < TRIG_EPSILON) return "Error";
+      return snap(Math.tan(radians));
+    }
+    case "asin":
+      return Math.abs(value) <= 1 ? Math.asin(value) / angleUnit : "Error";
+    case "acos":
+      return Math.abs(value) <= 1 ? Math.acos(value) / angleUnit : "Error";
+    case "atan":
+      return Math.atan(value) / angleUnit;
+    case "log":
+      return value > 0 ? Math.log10(value) : "Error";
+    case "ln":
+      return value > 0 ? Math.log(value) : "Error";
+    case "√":
+      return value >= 0 ? Math.sqrt(value) : "Error";
+    default:
+      return NaN;
+  }
+}
+
+/**
+ * Evaluates a postfix operation (pure function for testing).
+ * Factorial is exact and defined for integers from 0 to 500; the reciprocal of 0 is undefined.
+ * Like evaluateOperation, Decimal operands give a Decimal result and numbers a number.
+ *
+ * @function evaluatePostfix
+ * @param {number|Decimal} value - The operand
+ * @param {string} operator - Postfix operator: '!', '²', or '⁻¹'
+ * @returns {number|Decimal|string} The result or 'Error'
+ */
+export function evaluatePostfix(value, operator) {
+  switch (operator) {
+    case "!": {
+      const operand = Decimal.from(value);
+      if (!operand.isInteger() || operand.isNegative() || operand.cmp(MAX_FACTORIAL) > 0) {
+        return "Error";
+      }
+      let result = 1n;
+      for (let i = 2n; i <= operand.coefficient; i++) {
+        result *= i;
+      }
+      return value instanceof Decimal ? new Decimal(result) : toFiniteNumber(new Decimal(result));
+    }
+    case "²":
+      return evaluateOperation(value, "×", value);
+    case "⁻¹":
+      return evaluateOperation(value instanceof Decimal ? new Decimal(1n) : 1, "÷", value);
+    default:
+      return NaN;
+  }
+}
+
+/**
+ * Splits an expression string into number, operator, parenthesis, postfix, and name tokens.
+ *
+ * @function tokenize
+ * @param {string} input - The expression to tokenize (e.g. "2 + 3 × (4 - 1)")
+ * @returns {Array<{type: string, value: string}>} The list of tokens
+ * @throws {SyntaxError} If the input contains an unrecognized character or name
+ *
+ * @example
+ * tokenize("2 × (3 + 4)");
+ * // [{type: "number", value: "2"}, {type: "operator", value: "×"}, {type: "paren", value: "("}, ...]
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const char = input[position];
+    const rest = input.slice(position);
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const numberMatch = NUMBER_PATTERN.exec(rest);
+    if (numberMatch) {
+      // Keep the literal text so no digits are lost before exact evaluation
+      tokens.push({ type: "number", value: numberMatch[0] });
+      position += numberMatch[0].length;
+      continue;
+    }
+
+    const postfix = POSTFIX_OPERATORS.find((operator) => rest.startsWith(operator));
+    if (postfix) {
+      tokens.push({ type: "postfix", value: postfix });
+      position += postfix.length;
+      continue;
+    }
+
+    const nameMatch = NAME_PATTERN.exec(rest);
+    if (nameMatch) {
+      const name = nameMatch[0];
+      if (FUNCTIONS.includes(name)) {
+        tokens.push({ type: "function", value: name });
+      } else if (name in CONSTANTS) {
+        tokens.push({ type: "constant", value: name });
+      } else {
+        throw new SyntaxError(`Unknown name "${name}" at position ${position}`);
+      }
+      position += name.length;
+      continue;
+    }
+
+    if (OPERATOR_ALIASES[char]) {
+      tokens.push({ type: "operator", value: OPERATOR_ALIASES[char] });
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: "paren", value: char });
+    } else {
+      throw new SyntaxError(`Unexpected character "${char}" at position ${position}`);
+    }
+    position++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses an expression into a syntax tree.
+ * Nodes are plain objects: `{type: "number", value}`, `{type: "constant", name}`,
+ * `{type: "unary", operator, operand}`, `{type: "binary", operator, left, right}`,
+ * `{type: "postfix", operator, operand}`, and `{type: "call", name, argument}`.
+ *
+ * @function parseExpression
+ * @param {string} input - The expression to parse
+ * @returns {Object} The root node of the syntax tree
+ * @throws {SyntaxError} If the expression is empty or malformed
+ */
+export function parseExpression(input) {
+  const tokens = tokenize(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (token, ...values) =>
+    token !== undefined && token.type === "operator" && values.includes(token.value);
+
+  function parseSum() {
+    let node = parseProduct();
+    while (isOperator(peek(), "+", "-")) {
+      const operator = tokens[index++].value;
+      node = { type: "binary", operator, left: node, right: parseProduct() };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (isOperator(peek(), "×", "÷")) {
+      const operator = tokens[index++].value;
+      node = { type: "binary", operator, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator(peek(), "+", "-")) {
+      const operator = tokens[index++].value;
+      const operand = parseUnary();
+      return operator === "-" ? { type: "unary", operator, operand } : operand;
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePostfix();
+    if (isOperator(peek(), "^")) {
+      index++;
+      // Right-associative: 2 ^ 3 ^ 2 = 2 ^ 9
+      return { type: "binary", operator: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    while (peek() && peek().type === "postfix") {
+      node = { type: "postfix", operator: tokens[index++].value, operand: node };
+    }
+    return node;
+  }
+
+  function parseGroup() {
+    const opening = tokens[index++];
+    if (!opening || opening.value !== "(") {
+      throw new SyntaxError("Expected opening parenthesis");
+    }
+    const node = parseSum();
+    const closing = tokens[index++];
+    if (!closing || closing.value !== ")") {
+      throw new SyntaxError("Missing closing parenthesis");
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (!token) {
+      throw new SyntaxError("Unexpected end of expression");
+    }
+    if (token.type === "number") {
+      index++;
+      return { type: "number", value: token.value };
+    }
+    if (token.type === "constant") {
+      index++;
+      return { type: "constant", name: token.value };
+    }
+    if (token.type === "function") {
+      index++;
+      return { type: "call", name: token.value, argument: parseGroup() };
+    }
+    if (token.type === "paren" && token.value === "(") {
+      return parseGroup();
+    }
+    throw new SyntaxError(`Unexpected token "${token.value}"`);
+  }
+
+  const tree = parseSum();
+  if (index < tokens.length) {
+    throw new SyntaxError(`Unexpected token "${tokens[index].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Evaluates a syntax tree produced by parseExpression.
+ * Stops at the first operation that yields 'Error' (e.g. division by zero).
+ *
+ * @function evaluateNode
+ * @param {Object} node - The syntax tree node to evaluate
+ * @param {string} angleMode - Angle mode used by trigonometric functions
+ * @returns {Decimal|string} The result or 'Error'
+ */
+function evaluateNode(node, angleMode) {
+  switch (node.type) {
+    case "number":
+      return Decimal.parse(node.value);
+    case "constant":
+      return Decimal.from(CONSTANTS[node.name]);
+    case "unary": {
+      const operand = evaluateNode(node.operand, angleMode);
+      return operand instanceof Decimal ? operand.neg() : operand;
+    }
+    case "postfix": {
+      const operand = evaluateNode(node.operand, angleMode);
+      return operand instanceof Decimal ? evaluatePostfix(operand, node.operator) : operand;
+    }
+    case "call": {
+      const argument = evaluateNode(node.argument, angleMode);
+      if (!(argument instanceof Decimal)) return argument;
+      const result = evaluateFunction(node.name, argument.toNumber(), angleMode);
+      return Number.isFinite(result) ? Decimal.from(result) : "Error";
+    }
+    case "binary": {
+      const left = evaluateNode(node.left, angleMode);
+      if (!(left instanceof Decimal)) return left;
+      const right = evaluateNode(node.right, angleMode);
+      if (!(right instanceof Decimal)) return right;
+      return evaluateOperation(left, node.operator, right);
+    }
+    default:
+      return "Error";
+  }
+}
+
+/**
+ * Evaluates a full expression string honoring operator precedence and parentheses.
+ * Malformed expressions, division by zero, and domain errors all produce 'Error'.
+ *
+ * @function evaluateExpression
+ * @param {string} input - The expression to evaluate
+ * @param {Object} [options={}] - Evaluation options
+ * @param {string} [options.angleMode="rad"] - Angle mode for trigonometric functions:
+ *     'deg', 'rad', or 'grad'
+ * @returns {Decimal|string} The exact result or 'Error'
+ *
+ * @example
+ * evaluateExpression("0.1 + 0.2").toString();                    // "0.3"
+ * evaluateExpression("2 + 3 × 4").toString();                    // "14"
+ * evaluateExpression("sin(90)", { angleMode: "deg" }).toString(); // "1"
+ * evaluateExpression("1 ÷ 0");                                   // "Error"
+ */
+export function evaluateExpression(input, options = {}) {
+  const { angleMode = "rad" } = options;
+  try {
+    return evaluateNode(parseExpression(input), angleMode);
+  } catch (error) {
+    if (error instanceof SyntaxError || error instanceof RangeError) {
+      return "Error";
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Locale Number Formatting
+ * @description Converts between the plain number strings used internally (e.g. "-1234.5",
+ * "1.5e+21") and their locale-specific form (e.g. "-1.234,5" in pt-BR or de-DE), using
+ * Intl.NumberFormat for grouping and separators. Formatting works on the digit string, so
+ * exact decimals keep every digit; digits are always Latin so they match the keypad.
+ *
+ * @module utils/number-format
+ * @version 1.0.0
+ */
+
+/**
+ * Pattern matching a plain number string: sign, integer digits, optional fraction
+ * (possibly empty while typing, e.g. "12."), and optional exponent.
+ * @type {RegExp}
+ * @constant
+ */
+const PLAIN_NUMBER_PATTERN = /^(-?)(\d+)(?:\.(\d*))?(e[+-]?\d+)?$/i;
+
+/**
+ * Pattern matching a canonical number after locale separators are normalized.
+ * @type {RegExp}
+ * @constant
+ */
+const CANONICAL_NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Pattern matching unsigned number literals inside a formula (e.g. "3.5" in "2 × 3.5").
+ * @type {RegExp}
+ * @constant
+ */
+const NUMBER_IN_TEXT_PATTERN = /\d+(?:\.\d*)?(?:e[+-]?\d+)?/gi;
+
+/**
+ * Creates an integer formatter for a locale, falling back to the default locale
+ * when the tag is not valid.
+ *
+ * @function createIntegerFormat
+ * @param {string} locale - BCP 47 locale tag (e.g. "de-DE")
+ * @returns {Intl.NumberFormat} The formatter
+ */
+function createIntegerFormat(locale) {
+  const options = { numberingSystem: "latn", maximumFractionDigits: 0 };
+  try {
+    return new Intl.NumberFormat(locale, options);
+  } catch {
+    return new Intl.NumberFormat(undefined, options);
+  }
+}
+
+/**
+ * Escapes a separator for use in a regular expression.
+ *
+ * @function escapeRegExp
+ * @param {string} separator - The separator
+ * @returns {string} The escaped separator
+ */
+function escapeRegExp(separator) {
+  return separator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Creates a pattern matching an integer grouped as in a locale, e.g. "1,234,567" in
+ * en-US or "12,34,567" in en-IN (the last group has three digits, the others two).
+ *
+ * @function createGroupingPattern
+ * @param {string} locale - BCP 47 locale tag
+ * @param {string} group - The locale's grouping separator
+ * @returns {RegExp} The pattern
+ */
+function createGroupingPattern(locale, group) {
+  const sizes = createIntegerFormat(locale)
+    .formatToParts(1234567)
+    .filter((part) => part.type === "integer")
+    .map((part) => part.value.length);
+  const primary = sizes[sizes.length - 1];
+  const secondary = sizes.length > 2 ? sizes[sizes.length - 2] : primary;
+  const separator = escapeRegExp(group);
+  return new RegExp(`^\\d{1,${secondary}}(?:${separator}\\d{${secondary}})*${separator}\\d{${primary}}$`);
+}
+
+/**
+ * Returns the grouping and decimal separators of a locale.
+ *
+ * @function getLocaleSeparators
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {{group: string, decimal: string}} The separators
+ *
+ * @example
+ * getLocaleSeparators("de-DE"); // { group: ".", decimal: "," }
+ * getLocaleSeparators("en-US"); // { group: ",", decimal: "." }
+ */
+export function getLocaleSeparators(locale) {
+  const parts = createIntegerFormat(locale).formatToParts(1000);
+  const group = parts.find((part) => part.type === "group");
+  let decimal = ".";
+  try {
+    const decimalPart = new Intl.NumberFormat(locale)
+      .formatToParts(1.5)
+      .find((part) => part.type === "decimal");
+    if (decimalPart) decimal = decimalPart.value;
+  } catch {
+    // Invalid locale tags keep the default separator
+  }
+  return { group: group ? group.value : "", decimal };
+}
+
+/**
+ * Formats a plain number string for a locale (pure function for testing).
+ * Adds grouping separators to the integer part and uses the locale's decimal separator,
+ * keeping every digit, a trailing decimal point, and the exponent. Text that is not a
+ * plain number (e.g. "Error") is returned unchanged.
+ *
+ * @function formatNumberString
+ * @param {string} text - Plain number string (e.g. "-1234567.5")
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string} The localized number
+ *
+ * @example
+ * formatNumberString("1234567.5", "pt-BR"); // "1.234.567,5"
+ * formatNumberString("1234567.5", "en-US"); // "1,234,567.5"
+ * formatNumberString("12.", "de-DE");       // "12,"
+ */
+export function formatNumberString(text, locale) {
+  const match = PLAIN_NUMBER_PATTERN.exec(text);
+  if (!match) return text;
+
+  const [, sign, integerPart, fractionPart, exponent = ""] = match;
+  const integer = createIntegerFormat(locale).format(BigInt(integerPart));
+  const fraction =
+    fractionPart === undefined ? "" : getLocaleSeparators(locale).decimal + fractionPart;
+  return `${sign}${integer}${fraction}${exponent}`;
+}
+
+/**
+ * Formats every number inside a formula for a locale (pure function for testing).
+ *
+ * @function formatNumbersInText
+ * @param {string} text - Text containing plain numbers (e.g. "1234.5 × 2 =")
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string} The text with localized numbers
+ *
+ * @example
+ * formatNumbersInText("1234.5 × 2 =", "de-DE"); // "1.234,5 × 2 ="
+ */
+export function formatNumbersInText(text, locale) {
+  return text.replace(NUMBER_IN_TEXT_PATTERN, (number) => formatNumberString(number, locale));
+}
+
+/**
+ * Converts a number typed in a locale to a plain number string (pure function for testing).
+ * Grouping separators are removed and the locale's decimal separator becomes ".".
+ * Grouping separators are only accepted between whole groups of the integer part
+ * ("1,234.5" but not "1,5"), so a mistyped decimal separator is rejected rather than dropped.
+ * When the locale groups with a space, any kind of space is accepted.
+ *
+ * @function normalizeNumberString
+ * @param {string} text - The localized number (e.g. "1.234,5")
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string|null} The plain number string (e.g. "1234.5"), or null if the text is
+ *     not a number
+ *
+ * @example
+ * normalizeNumberString("1.234,5", "de-DE");  // "1234.5"
+ * normalizeNumberString("1,234.5", "en-US");  // "1234.5"
+ * normalizeNumberString("1,5", "en-US");      // null
+ * normalizeNumberString("abc", "en-US");      // null
+ */
+export function normalizeNumberString(text, locale) {
+  const { group, decimal } = getLocaleSeparators(locale);
+  let normalized = String(text).trim();
+
+  if (group) {
+    if (/\s/.test(group)) {
+      normalized = normalized.replace(/\s/g, group);
+    }
+    const [integer, ...fraction] = normalized.split(decimal);
+    if (fraction.some((part) => part.includes(group))) return null;
+    const digits = integer.replace(/^[+-]/, "").replace(/e[+-]?\d+$/i, "");
+    if (digits.includes(group) && !createGroupingPattern(locale, group).test(digits)) {
+      return null;
+    }
+    normalized = [integer.split(group).join(""), ...fraction].join(decimal);
+  }
+  normalized = normalized.split(decimal).join(".").replace(/^\+/, "");
+
+  return CANONICAL_NUMBER_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Converts every number written in a locale inside a formula to a plain number string
+ * (pure function for testing), e.g. for a formula pasted from another application.
+ *
+ * @function normalizeNumbersInText
+ * @param {string} text - Text containing localized numbers (e.g. "1.234,5 × 2")
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string} The text with plain numbers (e.g. "1234.5 × 2")
+ *
+ * @example
+ * normalizeNumbersInText("1.234,5 × 2", "de-DE"); // "1234.5 × 2"
+ */
+export function normalizeNumbersInText(text, locale) {
+  const { group, decimal } = getLocaleSeparators(locale);
+  const groupPart = group ? `(?:${escapeRegExp(group)}\\d+)*` : "";
+  const pattern = new RegExp(`\\d+${groupPart}(?:${escapeRegExp(decimal)}\\d*)?`, "g");
+  return text.replace(pattern, (number) => normalizeNumberString(number, locale) ?? number);
+}
+
+/**
+ * Parses a number typed in a locale (pure function for testing).
+ *
+ * @function parseLocaleNumber
+ * @param {string} text - The localized number
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {number} The parsed number, or NaN if the text is not a number
+ *
+ * @example
+ * parseLocaleNumber("1.234,5", "pt-BR"); // 1234.5
+ */
+export function parseLocaleNumber(text, locale) {
+  const normalized = normalizeNumberString(text, locale);
+  return normalized === null ? NaN : parseFloat(normalized);
+}
+
+/**
+ * Checks whether a key may be typed into a number field in a locale (pure function for
+ * testing). Digits, the locale's separators, signs, and "e" for an exponent are accepted,
+ * as are keys that do not type a character (arrows, Backspace, Tab…) and Ctrl/Cmd
+ * shortcuts. When the locale groups with a space (e.g. a narrow no-break space in
+ * fr-FR), a regular space is accepted too.
+ *
+ * @function isNumberKey
+ * @param {{key: string, ctrlKey?: boolean, metaKey?: boolean}} event - The keydown event
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {boolean} True if the key may be typed
+ *
+ * @example
+ * isNumberKey({ key: "," }, "de-DE"); // true
+ * isNumberKey({ key: " " }, "fr-FR"); // true
+ * isNumberKey({ key: "x" }, "en-US"); // false
+ */
+export function isNumberKey(event, locale) {
+  const { key } = event;
+  if (key.length !== 1 || event.ctrlKey || event.metaKey || /[0-9eE+-]/.test(key)) {
+    return true;
+  }
+  const { group, decimal } = getLocaleSeparators(locale);
+  return key === decimal || key === group || (key === " " && /\s/.test(group));
+}
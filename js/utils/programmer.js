@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Programmer Arithmetic
+ * @description Integer arithmetic for the calculator's programmer mode. Values are BigInts
+ * confined to a word size (8, 16, 32, or 64 bits), either signed or unsigned, and every
+ * operation wraps around in two's complement like a hardware register. Numbers can be read
+ * and written in hexadecimal, decimal, octal, and binary. Expressions support the
+ * arithmetic operators and the bitwise AND, OR, XOR, NOT, and shift operators.
+ *
+ * Grammar (lowest precedence first, as in C):
+ *   or      := xor ("OR" xor)*
+ *   xor     := and ("XOR" and)*
+ *   and     := shift ("AND" shift)*
+ *   shift   := sum (("<<" | ">>") sum)*
+ *   sum     := product (("+" | "-") product)*
+ *   product := unary (("×" | "÷") unary)*
+ *   unary   := ("-" | "+" | "NOT") unary | primary
+ *   primary := number | "(" or ")"
+ *
+ * @module utils/programmer
+ * @version 1.0.0
+ */
+
+/**
+ * Number bases, keyed by the labels used in the calculator.
+ * @type {Object<string, number>}
+ * @constant
+ * @readonly
+ */
+export const BASES = {
+  hex: 16,
+  dec: 10,
+  oct: 8,
+  bin: 2,
+};
+
+/**
+ * Supported word sizes in bits.
+ * @type {Array<number>}
+ * @constant
+ * @readonly
+ */
+export const WORD_SIZES = [8, 16, 32, 64];
+
+/**
+ * Binary bitwise operators, in addition to the arithmetic operators.
+ * @type {Array<string>}
+ * @constant
+ * @readonly
+ */
+export const BITWISE_OPERATORS = ["AND", "OR", "XOR", "<<", ">>"];
+
+/**
+ * Aliases accepted by the tokenizer, mapped to the canonical operators.
+ * @type {Object<string, string>}
+ * @constant
+ * @readonly
+ */
+const OPERATOR_ALIASES = {
+  "+": "+",
+  "-": "-",
+  "−": "-",
+  "×": "×",
+  "*": "×",
+  "÷": "÷",
+  "/": "÷",
+  "&": "AND",
+  "|": "OR",
+  "~": "NOT",
+};
+
+/**
+ * Pattern matching an operator word (not followed by another letter or digit).
+ * @type {RegExp}
+ * @constant
+ */
+const WORD_PATTERN = /^(AND|OR|XOR|NOT)(?![0-9a-z])/i;
+
+/**
+ * Pattern matching the digits of a number in any supported base.
+ * @type {RegExp}
+ * @constant
+ */
+const DIGITS_PATTERN = /^[0-9a-f]+/i;
+
+/**
+ * Wraps a value to the word size using two's complement (pure function for testing).
+ *
+ * @function wrapToWordSize
+ * @param {bigint} value - The value to wrap
+ * @param {number} bits - Word size in bits
+ * @param {boolean} signed - Whether the word is signed
+ * @returns {bigint} The wrapped value
+ *
+ * @example
+ * wrapToWordSize(256n, 8, false); // 0n
+ * wrapToWordSize(255n, 8, true);  // -1n
+ * wrapToWordSize(-1n, 8, false);  // 255n
+ */
+export function wrapToWordSize(value, bits, signed) {
+  return signed ? BigInt.asIntN(bits, value) : BigInt.asUintN(bits, value);
+}
+
+/**
+ * Parses a number typed in the given base (pure function for testing).
+ * Hexadecimal, octal, and binary text is read as a bit pattern (so "FF" is -1 as a signed
+ * byte); decimal text is read as a value and may have a leading minus sign.
+ *
+ * @function parseInteger
+ * @param {string} text - The digits to parse (e.g. "FF", "-12", "1010")
+ * @param {number} radix - The base: 16, 10, 8, or 2
+ * @param {number} bits - Word size in bits
+ * @param {boolean} signed - Whether the word is signed
+ * @returns {bigint} The value
+ * @throws {SyntaxError} If the text is not a number in the given base
+ * @throws {RangeError} If the value does not fit in the word size
+ *
+ * @example
+ * parseInteger("FF", 16, 8, true);   // -1n
+ * parseInteger("FF", 16, 8, false);  // 255n
+ * parseInteger("-128", 10, 8, true); // -128n
+ */
+export function parseInteger(text, radix, bits, signed) {
+  const match = /^(-?)([0-9a-f]+)$/i.exec(String(text).trim());
+  if (!match || (match[1] && radix !== 10)) {
+    throw new SyntaxError(`Invalid number "${text}"`);
+  }
+
+  const [, sign, digits] = match;
+  let magnitude = 0n;
+  for (const digit of digits) {
+    const digitValue = parseInt(digit, 16);
+    if (digitValue >= radix) {
+      throw new SyntaxError(`Invalid digit "${digit}" in base ${radix}`);
+    }
+    magnitude = magnitude * BigInt(radix) + BigInt(digitValue);
+  }
+
+  if (radix !== 10) {
+    if (magnitude >= 1n << BigInt(bits)) {
+      throw new RangeError(`"${text}" does not fit in ${bits} bits`);
+    }
+    return wrapToWordSize(magnitude, bits, signed);
+  }
+
+  const value = sign ? -magnitude : magnitude;
+  if (wrapToWordSize(value, bits, signed) !== value) {
+    throw new RangeError(`"${text}" does not fit in ${bits} bits`);
+  }
+  return value;
+}
+
+/**
+ * Formats a value in the given base (pure function for testing).
+ * Decimal output shows the value with its sign; hexadecimal, octal, and binary output
+ * show the word's bit pattern, so negative values appear in two's complement.
+ *
+ * @function formatInteger
+ * @param {bigint} value - The value to format
+ * @param {number} radix - The base: 16, 10, 8, or 2
+ * @param {number} bits - Word size in bits
+ * @returns {string} The formatted value, with uppercase hexadecimal digits
+ *
+ * @example
+ * formatInteger(-1n, 16, 8);  // "FF"
+ * formatInteger(-1n, 10, 8);  // "-1"
+ * formatInteger(10n, 2, 8);   // "1010"
+ */
+export function formatInteger(value, radix, bits) {
+  if (radix === 10) {
+    return value.toString();
+  }
+  return BigInt.asUintN(bits, value).toString(radix).toUpperCase();
+}
+
+/**
+ * Evaluates a single integer operation with wraparound (pure function for testing).
+ * Division truncates toward zero. Right shifts are arithmetic for signed words and
+ * logical for unsigned words.
+ *
+ * @function evaluateBitwiseOperation
+ * @param {bigint} a - First operand
+ * @param {string} operator - Operator: +, -, ×, ÷, AND, OR, XOR, <<, or >>
+ * @param {bigint} b - Second operand
+ * @param {number} bits - Word size in bits
+ * @param {boolean} signed - Whether the word is signed
+ * @returns {bigint|string} The wrapped result, or 'Error' for division by zero
+ *     and negative shift amounts
+ *
+ * @example
+ * evaluateBitwiseOperation(12n, "AND", 10n, 8, false); // 8n
+ * evaluateBitwiseOperation(1n, "<<", 7n, 8, true);     // -128n
+ */
+export function evaluateBitwiseOperation(a, operator, b, bits, signed) {
+  let result;
+
+  switch (operator) {
+    case "+":
+      result = a + b;
+      break;
+    case "-":
+      result = a - b;
+      break;
+    case "×":
+      result = a * b;
+      break;
+    case "÷":
+      if (b === 0n) return "Error";
+      result = a / b;
+      break;
+    case "AND":
+      result = a & b;
+      break;
+    case "OR":
+      result = a | b;
+      break;
+    case "XOR":
+      result = a ^ b;
+      break;
+    case "<<":
+    case ">>": {
+      if (b < 0n) return "Error";
+      // Shifting by the word size or more gives the same result as shifting by the word size
+      const amount = b > BigInt(bits) ? BigInt(bits) : b;
+      result = operator === "<<" ? a << amount : a >> amount;
+      break;
+    }
+    default:
+      return "Error";
+  }
+
+  return wrapToWordSize(result, bits, signed);
+}
+
+/**
+ * Splits a programmer-mode expression into tokens.
+ * Operator words are matched before numbers, so "AND" is never read as hex digits.
+ *
+ * @function tokenizeInteger
+ * @param {string} input - The expression to tokenize (e.g. "FF AND (1 << 4)")
+ * @param {number} [radix=10] - The base numbers are written in
+ * @returns {Array<{type: string, value: string}>} The list of tokens
+ * @throws {SyntaxError} If the input contains an unrecognized character or digit
+ *
+ * @example
+ * tokenizeInteger("FF AND 0F", 16);
+ * // [{type: "number", value: "FF"}, {type: "operator", value: "AND"}, {type: "number", value: "0F"}]
+ */
+export function tokenizeInteger(input, radix = 10) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const char = input[position];
+    const rest = input.slice(position);
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const wordMatch = WORD_PATTERN.exec(rest);
+    if (wordMatch) {
+      tokens.push({ type: "operator", value: wordMatch[0].toUpperCase() });
+      position += wordMatch[0].length;
+      continue;
+    }
+
+    const digitsMatch = DIGITS_PATTERN.exec(rest);
+    if (digitsMatch) {
+      const digits = digitsMatch[0];
+      const invalid = [...digits].find((digit) => parseInt(digit, 16) >= radix);
+      if (invalid) {
+        throw new SyntaxError(`Invalid digit "${invalid}" in base ${radix} at position ${position}`);
+      }
+      tokens.push({ type: "number", value: digits.toUpperCase() });
+      position += digits.length;
+      continue;
+    }
+
+    if (rest.startsWith("<<") || rest.startsWith(">>")) {
+      tokens.push({ type: "operator", value: rest.slice(0, 2) });
+      position += 2;
+      continue;
+    }
+
+    if (OPERATOR_ALIASES[char]) {
+      tokens.push({ type: "operator", value: OPERATOR_ALIASES[char] });
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: "paren", value: char });
+    } else {
+      throw new SyntaxError(`Unexpected character "${char}" at position ${position}`);
+    }
+    position++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluates a programmer-mode expression honoring C operator precedence and parentheses.
+ * Every literal and every intermediate result is wrapped to the word size.
+ * Malformed expressions, division by zero, and negative shifts produce 'Error'.
+ *
+ * @function evaluateIntegerExpression
+ * @param {string} input - The expression to evaluate
+ * @param {Object} [options={}] - Evaluation options
+ * @param {number} [options.bits=64] - Word size in bits
+ * @param {boolean} [options.signed=true] - Whether the word is signed
+ * @param {number} [options.radix=10] - The base numbers are written in
+ * @returns {bigint|string} The result or 'Error'
+ *
+ * @example
+ * evaluateIntegerExpression("12 AND 10");                      // 8n
+ * evaluateIntegerExpression("FF + 1", { radix: 16, bits: 8 }); // 0n
+ * evaluateIntegerExpression("NOT 0", { signed: false, bits: 16 }); // 65535n
+ */
+export function evaluateIntegerExpression(input, options = {}) {
+  const { bits = 64, signed = true, radix = 10 } = options;
+  const wrap = (value) => wrapToWordSize(value, bits, signed);
+
+  let tokens;
+  try {
+    tokens = tokenizeInteger(input, radix);
+  } catch (error) {
+    if (error instanceof SyntaxError) return "Error";
+    throw error;
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOperator = (token, ...values) =>
+    token !== undefined && token.type === "operator" && values.includes(token.value);
+
+  /**
+   * Parses a left-associative chain of binary operators at one precedence level.
+   * Throws RangeError as soon as an operation fails, which ends the evaluation.
+   */
+  function parseBinary(operators, parseOperand) {
+    let value = parseOperand();
+    while (isOperator(peek(), ...operators)) {
+      const operator = tokens[index++].value;
+      const result = evaluateBitwiseOperation(value, operator, parseOperand(), bits, signed);
+      if (result === "Error") {
+        throw new RangeError(`Invalid operation "${operator}"`);
+      }
+      value = result;
+    }
+    return value;
+  }
+
+  const parseOr = () => parseBinary(["OR"], parseXor);
+  const parseXor = () => parseBinary(["XOR"], parseAnd);
+  const parseAnd = () => parseBinary(["AND"], parseShift);
+  const parseShift = () => parseBinary(["<<", ">>"], parseSum);
+  const parseSum = () => parseBinary(["+", "-"], parseProduct);
+  const parseProduct = () => parseBinary(["×", "÷"], parseUnary);
+
+  function parseUnary() {
+    if (isOperator(peek(), "+", "-", "NOT")) {
+      const operator = tokens[index++].value;
+      const operand = parseUnary();
+      if (operator === "-") return wrap(-operand);
+      if (operator === "NOT") return wrap(~operand);
+      return operand;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+
+    if (!token) {
+      throw new SyntaxError("Unexpected end of expression");
+    }
+    if (token.type === "number") {
+      return wrap(parseDigits(token.value));
+    }
+    if (token.type === "paren" && token.value === "(") {
+      const value = parseOr();
+      const closing = tokens[index++];
+      if (!closing || closing.value !== ")") {
+        throw new SyntaxError("Missing closing parenthesis");
+      }
+      return value;
+    }
+    throw new SyntaxError(`Unexpected token "${token.value}"`);
+  }
+
+  function parseDigits(digits) {
+    return [...digits].reduce(
+      (value, digit) => value * BigInt(radix) + BigInt(parseInt(digit, 16)),
+      0n
+    );
+  }
+
+  try {
+    const result = parseOr();
+    if (index < tokens.length) {
+      throw new SyntaxError(`Unexpected token "${tokens[index].value}"`);
+    }
+    return result;
+  } catch (error) {
+    if (error instanceof SyntaxError || error instanceof RangeError) {
+      return "Error";
+    }
+    throw error;
+  }
+}
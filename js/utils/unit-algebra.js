@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Unit Algebra
+ * @description Dimensional analysis for compound units such as "kg·m/s²", "mi/gal" or
+ * "kW·h". A unit is a scale factor to SI base units plus a set of dimension exponents
+ * (e.g. newton: factor 1, mass¹·length¹·time⁻²); expressions multiply, divide and raise
+ * units to powers, and two expressions convert only when their dimensions match.
+ *
+ * Grammar:
+ *   expression := product ("/" product)*
+ *   product    := factor (("·" | "*" | "×" | " ")? factor)*
+ *   factor     := (symbol | number | "(" expression ")") exponent?
+ *   exponent   := "^" "-"? digits | superscript digits (e.g. "²", "⁻¹")
+ *
+ * Products bind tighter than "/", so "kg·m/s²" is (kg·m)/(s²), "J/kg·K" is J/(kg·K),
+ * and "L/100km" is L/(100 km).
+ *
+ * @module utils/unit-algebra
+ * @version 1.0.0
+ */
+
+import { parseLocaleNumber } from "./number-format.js";
+import { splitUnitQuery } from "./unit-query.js";
+
+/**
+ * Base dimensions, in the order they are written in descriptions.
+ * Data (bytes) and angle (radians) are kept as dimensions of their own so that, for
+ * example, bytes never convert to plain numbers.
+ * @type {string[]}
+ * @constant
+ */
+export const BASE_DIMENSIONS = [
+  "mass",
+  "length",
+  "time",
+  "current",
+  "temperature",
+  "amount",
+  "luminosity",
+  "data",
+  "angle",
+];
+
+/**
+ * Superscript characters and the exponent characters they stand for.
+ * @type {Object<string, string>}
+ * @constant
+ */
+const SUPERSCRIPTS = {
+  "⁻": "-",
+  "⁰": "0",
+  "¹": "1",
+  "²": "2",
+  "³": "3",
+  "⁴": "4",
+  "⁵": "5",
+  "⁶": "6",
+  "⁷": "7",
+  "⁸": "8",
+  "⁹": "9",
+};
+
+/**
+ * Characters that multiply two factors.
+ * @type {string[]}
+ * @constant
+ */
+const MULTIPLY_OPERATORS = ["·", "⋅", "*", "×"];
+
+/**
+ * Pattern matching a number in a unit expression (e.g. "100" in "L/100km").
+ * @type {RegExp}
+ * @constant
+ */
+const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+
+/**
+ * Pattern matching a unit symbol: anything up to the next operator, space or superscript.
+ * @type {RegExp}
+ * @constant
+ */
+const SYMBOL_PATTERN = /^[^\s\d·⋅*×/()^⁻⁰¹²³⁴⁵⁶⁷⁸⁹][^\s·⋅*×/()^⁻⁰¹²³⁴⁵⁶⁷⁸⁹]*/;
+
+/**
+ * Pattern splitting a quantity into its number and unit expression (e.g. "60 mi/gal").
+ * @type {RegExp}
+ * @constant
+ */
+const QUANTITY_PATTERN = /^([-+]?(?:\d[\d.,]*|[.,]\d+)(?:e[+-]?\d+)?)\s*(\S.*)$/i;
+
+/**
+ * Returns the dimension exponents without zero entries.
+ *
+ * @function cleanDimensions
+ * @param {Object<string, number>} dimensions - Dimension exponents
+ * @returns {Object<string, number>} The non-zero exponents
+ */
+function cleanDimensions(dimensions) {
+  const clean = {};
+  for (const dimension of BASE_DIMENSIONS) {
+    if (dimensions[dimension]) clean[dimension] = dimensions[dimension];
+  }
+  return clean;
+}
+
+/**
+ * Multiplies two units, raising the second one to a power first.
+ *
+ * @function combine
+ * @param {{factor: number, dimensions: Object<string, number>}} left - First unit
+ * @param {{factor: number, dimensions: Object<string, number>}} right - Second unit
+ * @param {number} [power=1] - Power of the second unit (-1 divides)
+ * @returns {{factor: number, dimensions: Object<string, number>}} The product
+ */
+function combine(left, right, power = 1) {
+  const dimensions = { ...left.dimensions };
+  for (const [dimension, exponent] of Object.entries(right.dimensions)) {
+    dimensions[dimension] = (dimensions[dimension] || 0) + exponent * power;
+  }
+  return {
+    factor: left.factor * Math.pow(right.factor, power),
+    dimensions: cleanDimensions(dimensions),
+  };
+}
+
+/**
+ * Checks whether two sets of dimension exponents are the same (pure function for testing).
+ *
+ * @function sameDimensions
+ * @param {Object<string, number>} a - Dimension exponents
+ * @param {Object<string, number>} b - Dimension exponents
+ * @returns {boolean} True if every exponent matches
+ *
+ * @example
+ * sameDimensions({ length: 1, time: -1 }, { time: -1, length: 1 }); // true
+ */
+export function sameDimensions(a, b) {
+  return BASE_DIMENSIONS.every((dimension) => (a[dimension] || 0) === (b[dimension] || 0));
+}
+
+/**
+ * Describes dimension exponents in words (pure function for testing).
+ *
+ * @function formatDimensions
+ * @param {Object<string, number>} dimensions - Dimension exponents
+ * @returns {string} E.g. "mass·length·time⁻²", or "dimensionless"
+ *
+ * @example
+ * formatDimensions({ length: 1, time: -1 }); // "length·time⁻¹"
+ */
+export function formatDimensions(dimensions) {
+  const superscript = (exponent) =>
+    String(exponent)
+      .split("")
+      .map((char) => Object.keys(SUPERSCRIPTS).find((key) => SUPERSCRIPTS[key] === char))
+      .join("");
+  const parts = Object.entries(cleanDimensions(dimensions)).map(([dimension, exponent]) =>
+    exponent === 1 ? dimension : `${dimension}${superscript(exponent)}`
+  );
+  return parts.length > 0 ? parts.join("·") : "dimensionless";
+}
+
+/**
+ * Builds the symbol table for unit expressions from unit definitions (pure function
+ * for testing). Each unit's abbreviation and aliases map to its SI factor (its factor
+ * times the category's scale) and the category's dimensions. Categories with offset
+ * scales (temperatures) are left out: a product of units cannot carry an offset, so
+ * temperatures take part in compound units through their differences (e.g. "J/ΔK").
+ *
+ * @function createUnitRegistry
+ * @param {Object<string, Array<{abbr: string, factor: number, offset?: number, aliases?: string[]}>>} definitions
+ *     - Units per category
+ * @param {Object<string, {dimensions: Object<string, number>, scale: number}>} categoryDimensions
+ *     - Dimensions of each category, and the SI value of a unit with factor 1
+ * @returns {Map<string, {factor: number, dimensions: Object<string, number>}>} Units by symbol
+ *
+ * @example
+ * const registry = createUnitRegistry(UNIT_DEFINITIONS, CATEGORY_DIMENSIONS);
+ * registry.get("km"); // { factor: 1000, dimensions: { length: 1 } }
+ */
+export function createUnitRegistry(definitions, categoryDimensions) {
+  const registry = new Map();
+  for (const [category, units] of Object.entries(definitions)) {
+    const base = categoryDimensions[category];
+    if (!base || units.some((unit) => unit.offset)) continue;
+    for (const unit of units) {
+      const entry = { factor: unit.factor * base.scale, dimensions: cleanDimensions(base.dimensions) };
+      for (const symbol of [unit.abbr, ...(unit.aliases || [])]) {
+        if (!registry.has(symbol)) registry.set(symbol, entry);
+      }
+    }
+  }
+  return registry;
+}
+
+/**
+ * Splits a unit expression into tokens: symbols, numbers, operators, parentheses and
+ * exponents.
+ *
+ * @function tokenizeUnitExpression
+ * @param {string} text - The unit expression
+ * @returns {Array<{type: string, value: string|number}>} The tokens
+ * @throws {SyntaxError} If an exponent is malformed
+ */
+function tokenizeUnitExpression(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const rest = text.slice(position);
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (MULTIPLY_OPERATORS.includes(char)) {
+      tokens.push({ type: "multiply", value: char });
+      position++;
+    } else if (char === "/" || char === "(" || char === ")") {
+      tokens.push({ type: char, value: char });
+      position++;
+    } else if (char === "^" || char in SUPERSCRIPTS) {
+      const match =
+        char === "^" ? /^\^\s*([-+]?\d+)/.exec(rest) : /^[⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+/.exec(rest);
+      const digits = match && (char === "^" ? match[1] : [...match[0]].map((c) => SUPERSCRIPTS[c]).join(""));
+      if (!match || !/^[-+]?\d+$/.test(digits)) {
+        throw new SyntaxError(`Invalid exponent at position ${position}`);
+      }
+      tokens.push({ type: "exponent", value: parseInt(digits, 10) });
+      position += match[0].length;
+    } else if (NUMBER_PATTERN.test(rest)) {
+      const match = NUMBER_PATTERN.exec(rest);
+      tokens.push({ type: "number", value: parseFloat(match[0]) });
+      position += match[0].length;
+    } else {
+      const match = SYMBOL_PATTERN.exec(rest);
+      tokens.push({ type: "symbol", value: match[0] });
+      position += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Looks up a unit symbol. Symbols ending in digits that are not units themselves are
+ * read as powers ("m2" is m², "cm3" is cm³).
+ *
+ * @function lookupSymbol
+ * @param {string} symbol - The symbol
+ * @param {Map<string, Object>} registry - Units by symbol
+ * @returns {{factor: number, dimensions: Object<string, number>}} The unit
+ * @throws {SyntaxError} If the symbol is not a unit
+ */
+function lookupSymbol(symbol, registry) {
+  if (registry.has(symbol)) return registry.get(symbol);
+  const match = /^(.*\D)(\d+)$/.exec(symbol);
+  if (match && registry.has(match[1])) {
+    return combine({ factor: 1, dimensions: {} }, registry.get(match[1]), parseInt(match[2], 10));
+  }
+  throw new SyntaxError(`Unknown unit "${symbol}"`);
+}
+
+/**
+ * Parses a unit expression into its SI factor and dimensions (pure function for testing).
+ * An expression that is a unit symbol itself (e.g. "km/h" or "fl oz") is looked up
+ * directly.
+ *
+ * @function parseUnitExpression
+ * @param {string} text - The unit expression, e.g. "kg·m/s²"
+ * @param {Map<string, Object>} registry - Units by symbol (see createUnitRegistry)
+ * @returns {{factor: number, dimensions: Object<string, number>}} The unit
+ * @throws {SyntaxError} If the expression is empty, malformed or has unknown units
+ *
+ * @example
+ * parseUnitExpression("kg·m/s²", registry); // { factor: 1, dimensions: { mass: 1, length: 1, time: -2 } }
+ */
+export function parseUnitExpression(text, registry) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new SyntaxError("Empty unit expression");
+  }
+  if (registry.has(trimmed)) {
+    return registry.get(trimmed);
+  }
+
+  const tokens = tokenizeUnitExpression(trimmed);
+  let index = 0;
+
+  const startsFactor = (token) =>
+    token && (token.type === "symbol" || token.type === "number" || token.type === "(");
+
+  const parseFactor = () => {
+    const token = tokens[index++];
+    let unit;
+    if (!token) {
+      throw new SyntaxError("Unexpected end of unit expression");
+    } else if (token.type === "symbol") {
+      unit = lookupSymbol(token.value, registry);
+    } else if (token.type === "number") {
+      unit = { factor: token.value, dimensions: {} };
+    } else if (token.type === "(") {
+      unit = parseExpression();
+      if (!tokens[index] || tokens[index].type !== ")") {
+        throw new SyntaxError("Missing closing parenthesis");
+      }
+      index++;
+    } else {
+      throw new SyntaxError(`Unexpected "${token.value}"`);
+    }
+
+    if (tokens[index] && tokens[index].type === "exponent") {
+      unit = combine({ factor: 1, dimensions: {} }, unit, tokens[index++].value);
+    }
+    return unit;
+  };
+
+  const parseProduct = () => {
+    let unit = parseFactor();
+    while (tokens[index] && (tokens[index].type === "multiply" || startsFactor(tokens[index]))) {
+      if (tokens[index].type === "multiply") index++;
+      unit = combine(unit, parseFactor());
+    }
+    return unit;
+  };
+
+  const parseExpression = () => {
+    let unit = parseProduct();
+    while (tokens[index] && tokens[index].type === "/") {
+      index++;
+      unit = combine(unit, parseProduct(), -1);
+    }
+    return unit;
+  };
+
+  const unit = parseExpression();
+  if (index < tokens.length) {
+    throw new SyntaxError(`Unexpected "${tokens[index].value}"`);
+  }
+  return unit;
+}
+
+/**
+ * Converts a value between two unit expressions (pure function for testing).
+ *
+ * @function convertUnitExpression
+ * @param {number} value - The value to convert
+ * @param {string} from - Source unit expression, e.g. "mi/gal"
+ * @param {string} to - Target unit expression, e.g. "km/L"
+ * @param {Map<string, Object>} registry - Units by symbol (see createUnitRegistry)
+ * @returns {number} The converted value
+ * @throws {SyntaxError} If an expression cannot be parsed
+ * @throws {TypeError} If the expressions have different dimensions (e.g. "kg" and "m")
+ *
+ * @example
+ * convertUnitExpression(1, "kWh", "MJ", registry); // 3.6
+ */
+export function convertUnitExpression(value, from, to, registry) {
+  const source = parseUnitExpression(from, registry);
+  const target = parseUnitExpression(to, registry);
+  if (!sameDimensions(source.dimensions, target.dimensions)) {
+    throw new TypeError(
+      `Cannot convert ${from.trim()} (${formatDimensions(source.dimensions)}) ` +
+        `to ${to.trim()} (${formatDimensions(target.dimensions)})`
+    );
+  }
+  return (value * source.factor) / target.factor;
+}
+
+/**
+ * Evaluates a free-text query with compound units, such as "60 mi/gal to km/L" or
+ * "1 kW·h in MJ" (pure function for testing).
+ *
+ * @function evaluateUnitQuery
+ * @param {string} query - The query: a number and a unit expression, a separator
+ *     ("to", "in", "=", "->"), and a target unit expression
+ * @param {Map<string, Object>} registry - Units by symbol (see createUnitRegistry)
+ * @param {string} [locale="en-US"] - BCP 47 locale tag for the number
+ * @returns {{quantity: string, value: number, unit: string}|null} The quantity as typed,
+ *     the converted value and the target unit; or null if the query has no number, or a
+ *     unit expression cannot be parsed
+ * @throws {TypeError} If both sides parse but their dimensions differ
+ *
+ * @example
+ * evaluateUnitQuery("60 mi/gal to km/L", registry); // { quantity: "60 mi/gal", value: 25.5..., unit: "km/L" }
+ */
+export function evaluateUnitQuery(query, registry, locale = "en-US") {
+  let incompatible = null;
+
+  for (const { quantityText, targetText } of splitUnitQuery(query)) {
+    const match = QUANTITY_PATTERN.exec(quantityText.trim());
+    const value = match ? parseLocaleNumber(match[1], locale) : NaN;
+    if (isNaN(value) || !targetText.trim()) continue;
+
+    try {
+      return {
+        quantity: quantityText.trim().replace(/\s+/g, " "),
+        value: convertUnitExpression(value, match[2], targetText, registry),
+        unit: targetText.trim(),
+      };
+    } catch (error) {
+      // Another separator may split the query into convertible parts
+      if (!(error instanceof TypeError)) continue;
+      incompatible = incompatible || error;
+    }
+  }
+
+  if (incompatible) throw incompatible;
+  return null;
+}
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Unit Conversion Queries
+ * @description Parses free-text conversion queries such as "5 ft 11 in to cm",
+ * "100 km/h in mph" or "72 F to C" against a set of unit definitions. Units are matched by
+ * abbreviation, name (singular or plural, "metre" or "meter"), and their `aliases`; the
+ * category is the one that contains every unit of the query.
+ *
+ * @module utils/unit-query
+ * @version 1.0.0
+ */
+
+import { normalizeNumberString } from "./number-format.js";
+
+/**
+ * Words and symbols that separate the quantity from the target unit.
+ * @type {RegExp}
+ * @constant
+ */
+const SEPARATOR_PATTERN = /(?<=\s)(?:to|in|into|as)(?=\s)|=|->|→/gi;
+
+/**
+ * Pattern matching a number at the start of a token, e.g. "5", "1,5" or "72" in "72F".
+ * @type {RegExp}
+ * @constant
+ */
+const LEADING_NUMBER_PATTERN = /^([-+]?(?:\d[\d.,]*|[.,]\d+)(?:e[+-]?\d+)?)(.*)$/i;
+
+/**
+ * Lookup tables built for each set of unit definitions, with the unit lists they were
+ * built from (categories whose units are replaced, such as currencies, rebuild them).
+ * @type {WeakMap<Object, {exact: Map, folded: Map, lists: Array<Array<Object>>}>}
+ */
+const lookupCache = new WeakMap();
+
+/**
+ * Returns the plural of a unit name, e.g. "feet" for "foot" and "kilometers per hour"
+ * for "kilometer per hour".
+ *
+ * @function pluralize
+ * @param {string} name - The lowercase unit name
+ * @returns {string} The plural
+ */
+function pluralize(name) {
+  const words = name.split(" ");
+  // "meter per second" pluralizes the first word, "square meter" the last one
+  const index = words.includes("per") ? words.indexOf("per") - 1 : words.length - 1;
+  const word = words[index];
+  let plural;
+  if (word === "foot") {
+    plural = "feet";
+  } else if (/(?:ch|sh|s|x)$/.test(word)) {
+    plural = `${word}es`;
+  } else if (/[^aeiou]y$/.test(word)) {
+    plural = `${word.slice(0, -1)}ies`;
+  } else {
+    plural = `${word}s`;
+  }
+  return [...words.slice(0, index), plural, ...words.slice(index + 1)].join(" ");
+}
+
+/**
+ * Returns the case-insensitive spellings a unit is matched by (pure function for
+ * testing).
+ *
+ * @function getFoldedKeys
+ * @param {{name: string, abbr: string, aliases?: string[]}} unit - The unit
+ * @returns {string[]} Lowercase keys
+ *
+ * @example
+ * getFoldedKeys({ name: "Meter", abbr: "m" }); // ["m", "meter", "meters", "metre", "metres"]
+ */
+export function getFoldedKeys(unit) {
+  const name = unit.name.toLowerCase();
+  const names = [name, pluralize(name)];
+  const keys = [unit.abbr, ...(unit.aliases || [])].map((key) => key.toLowerCase());
+
+  // "°C" can be typed as "C", "delta °F" as "delta F", "m²" as "m2", "µs" as "us"
+  keys.push(
+    ...keys.map((key) =>
+      key.replace(/°(?=\p{L})/gu, "").replace(/²/g, "2").replace(/³/g, "3").replace(/µ/g, "u")
+    )
+  );
+  // British spellings: "metre", "litre"
+  names.push(...names.map((key) => key.replace(/meter/g, "metre").replace(/liter/g, "litre")));
+
+  return [...new Set([...keys, ...names, ...names.map((key) => key.replace(/-/g, " "))])];
+}
+
+/**
+ * Builds (once per definitions object) the tables mapping unit spellings to units.
+ * `exact` holds case-sensitive abbreviations and aliases; `folded` holds lowercase
+ * spellings, abbreviations and names.
+ *
+ * @function getLookup
+ * @param {Object<string, Array<Object>>} definitions - Units per category
+ * @returns {{exact: Map<string, Array>, folded: Map<string, Array>}} The lookup tables
+ */
+function getLookup(definitions) {
+  const lists = Object.values(definitions);
+  const cached = lookupCache.get(definitions);
+  if (
+    cached &&
+    cached.lists.length === lists.length &&
+    cached.lists.every((units, index) => units === lists[index])
+  ) {
+    return cached;
+  }
+
+  const exact = new Map();
+  const folded = new Map();
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    const entries = map.get(key);
+    if (!entries.some((e) => e.category === entry.category && e.index === entry.index)) {
+      entries.push(entry);
+    }
+  };
+
+  for (const [category, units] of Object.entries(definitions)) {
+    units.forEach((unit, index) => {
+      const entry = { category, index };
+      [unit.abbr, ...(unit.aliases || [])].forEach((key) => add(exact, key, entry));
+      getFoldedKeys(unit).forEach((key) => add(folded, key, entry));
+    });
+  }
+
+  const lookup = { exact, folded, lists };
+  lookupCache.set(definitions, lookup);
+  return lookup;
+}
+
+/**
+ * Finds the units a piece of text can refer to (pure function for testing).
+ * Case-sensitive abbreviations win over other spellings, so "mm" stays millimeters
+ * and "MB" megabytes.
+ *
+ * @function findUnits
+ * @param {string} text - Unit text, e.g. "ft", "inches" or "km/h"
+ * @param {Object<string, Array<Object>>} definitions - Units per category
+ * @returns {Array<{category: string, index: number}>} Matching units, possibly empty
+ *
+ * @example
+ * findUnits("feet", UNIT_DEFINITIONS); // [{ category: "length", index: 8 }]
+ */
+export function findUnits(text, definitions) {
+  const key = text.trim().replace(/\s+/g, " ");
+  if (!key) return [];
+  const { exact, folded } = getLookup(definitions);
+  return exact.get(key) || folded.get(key.toLowerCase()) || [];
+}
+
+/**
+ * Parses a number written in a locale or with a "." decimal point.
+ *
+ * @function parseQueryNumber
+ * @param {string} text - The number text
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {number} The number, or NaN
+ */
+function parseQueryNumber(text, locale) {
+  const normalized = normalizeNumberString(text, locale);
+  return normalized === null ? NaN : parseFloat(normalized);
+}
+
+/**
+ * Splits a quantity such as "5 ft 11 in" or "72F" into number and unit terms.
+ *
+ * @function parseTerms
+ * @param {string} text - The quantity text
+ * @param {string} locale - BCP 47 locale tag for the numbers
+ * @returns {Array<{value: number, unit: string}>|null} The terms, or null if the text
+ *     is not a list of numbers each followed by a unit
+ */
+function parseTerms(text, locale) {
+  const terms = [];
+  for (const token of text.trim().split(/\s+/)) {
+    const match = LEADING_NUMBER_PATTERN.exec(token);
+    const value = match ? parseQueryNumber(match[1], locale) : NaN;
+    if (!isNaN(value)) {
+      terms.push({ value, unit: match[2] });
+    } else if (terms.length > 0) {
+      // Unit words after a number, e.g. "nautical miles"
+      const term = terms[terms.length - 1];
+      term.unit = term.unit ? `${term.unit} ${token}` : token;
+    } else {
+      return null;
+    }
+  }
+  return terms.length > 0 && terms.every((term) => term.unit) ? terms : null;
+}
+
+/**
+ * Picks the category that contains every unit of a query.
+ *
+ * @function pickCategory
+ * @param {Array<Array<{category: string, index: number}>>} matches - Candidates per unit
+ * @param {Object<string, Array<Object>>} definitions - Units per category
+ * @param {string} [preferredCategory] - Category to use when several fit
+ * @returns {string|null} The category, or null if no category has every unit
+ */
+function pickCategory(matches, definitions, preferredCategory) {
+  const categories = Object.keys(definitions).filter((category) =>
+    matches.every((candidates) => candidates.some((entry) => entry.category === category))
+  );
+  if (categories.includes(preferredCategory)) return preferredCategory;
+  return categories[0] || null;
+}
+
+/**
+ * Parses a quantity, optionally followed by a target unit.
+ *
+ * @function parseQueryParts
+ * @param {string} quantityText - The quantity, e.g. "5 ft 11 in"
+ * @param {string|null} targetText - The target unit, or null
+ * @param {Object<string, Array<Object>>} definitions - Units per category
+ * @param {string} locale - BCP 47 locale tag for the numbers
+ * @param {string} [preferredCategory] - Category to use when several fit
+ * @returns {Object|null} The parsed query (see parseUnitQuery), or null
+ */
+function parseQueryParts(quantityText, targetText, definitions, locale, preferredCategory) {
+  const terms = parseTerms(quantityText, locale);
+  if (!terms) return null;
+
+  const matches = terms.map((term) => findUnits(term.unit, definitions));
+  const targetMatches = targetText === null ? null : findUnits(targetText, definitions);
+  const category = pickCategory(
+    targetMatches ? [...matches, targetMatches] : matches,
+    definitions,
+    preferredCategory
+  );
+  if (!category) return null;
+
+  const units = definitions[category];
+  const indexIn = (candidates) => candidates.find((entry) => entry.category === category).index;
+  const indexes = matches.map(indexIn);
+
+  // Mixed quantities ("5 ft 11 in") are added up in the last unit; units with an
+  // offset (temperatures) cannot be added
+  const fromIndex = indexes[indexes.length - 1];
+  let value = terms[0].value;
+  if (terms.length > 1) {
+    if (indexes.some((index) => units[index].offset)) return null;
+    value = terms.reduce(
+      (sum, term, i) => sum + (term.value * units[indexes[i]].factor) / units[fromIndex].factor,
+      0
+    );
+  }
+
+  return {
+    category,
+    value,
+    fromIndex,
+    toIndex: targetMatches ? indexIn(targetMatches) : null,
+    quantity: quantityText.trim().replace(/\s+/g, " "),
+  };
+}
+
+/**
+ * Splits a query at each separator word or symbol, trying the last one first, so
+ * "12 in in cm" splits into "12 in" and "cm" before "12" and "in cm" (pure function for
+ * testing).
+ *
+ * @function splitUnitQuery
+ * @param {string} query - The query text
+ * @returns {Array<{quantityText: string, targetText: string}>} The ways to split the
+ *     query, possibly empty
+ *
+ * @example
+ * splitUnitQuery("60 mi/gal to km/L"); // [{ quantityText: "60 mi/gal ", targetText: " km/L" }]
+ */
+export function splitUnitQuery(query) {
+  const text = query.trim();
+  return [...text.matchAll(SEPARATOR_PATTERN)].reverse().map((separator) => ({
+    quantityText: text.slice(0, separator.index),
+    targetText: text.slice(separator.index + separator[0].length),
+  }));
+}
+
+/**
+ * Parses a free-text conversion query (pure function for testing).
+ * The query is a quantity (one or more numbers, each followed by a unit) and optionally
+ * "to", "in", "into", "as", "=" or "->" and a target unit. Mixed quantities such as
+ * "5 ft 11 in" are added up in their last unit.
+ *
+ * @function parseUnitQuery
+ * @param {string} query - The query text
+ * @param {Object<string, Array<Object>>} definitions - Units per category (UNIT_DEFINITIONS)
+ * @param {string} [locale="en-US"] - BCP 47 locale tag for the numbers
+ * @param {string} [preferredCategory] - Category to use when the units fit several
+ * @returns {{category: string, value: number, fromIndex: number, toIndex: number|null,
+ *     quantity: string}|null} The category, the value in the unit at `fromIndex`, the
+ *     target unit (null without one), and the quantity as typed; or null if the query
+ *     cannot be parsed
+ *
+ * @example
+ * parseUnitQuery("5 ft 11 in to cm", UNIT_DEFINITIONS);
+ * // { category: "length", value: 71, fromIndex: 7, toIndex: 1, quantity: "5 ft 11 in" }
+ */
+export function parseUnitQuery(query, definitions, locale = "en-US", preferredCategory) {
+  const text = query.trim();
+  if (!text) return null;
+
+  for (const { quantityText, targetText } of splitUnitQuery(text)) {
+    const parsed = parseQueryParts(quantityText, targetText, definitions, locale, preferredCategory);
+    if (parsed) return parsed;
+  }
+
+  // No target unit: just the quantity
+  return parseQueryParts(text, null, definitions, locale, preferredCategory);
+}
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for calculator history logic
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import {
+  MAX_HISTORY_ENTRIES,
+  addHistoryEntry,
+  parseHistory,
+} from "../js/components/calculator-history.js";
+
+describe("addHistoryEntry", () => {
+  it("adds the newest entry first", () => {
+    const list = [{ expression: "1 + 1", result: "2" }];
+    const result = addHistoryEntry(list, { expression: "2 × 3", result: "6" });
+    expect(result.length).toBe(2);
+    expect(result[0].expression).toBe("2 × 3");
+    expect(result[1].expression).toBe("1 + 1");
+  });
+
+  it("does not modify the original list", () => {
+    const list = [];
+    addHistoryEntry(list, { expression: "1 + 1", result: "2" });
+    expect(list.length).toBe(0);
+  });
+
+  it("drops the oldest entries beyond the limit", () => {
+    let list = [];
+    for (let i = 0; i < 5; i++) {
+      list = addHistoryEntry(list, { expression: `${i} + 0`, result: `${i}` }, 3);
+    }
+    expect(list.length).toBe(3);
+    expect(list[0].result).toBe("4");
+    expect(list[2].result).toBe("2");
+  });
+
+  it("uses MAX_HISTORY_ENTRIES by default", () => {
+    let list = [];
+    for (let i = 0; i < MAX_HISTORY_ENTRIES + 10; i++) {
+      list = addHistoryEntry(list, { expression: "1 + 1", result: "2" });
+    }
+    expect(list.length).toBe(MAX_HISTORY_ENTRIES);
+  });
+});
+
+describe("parseHistory", () => {
+  it("returns an empty list for missing or malformed data", () => {
+    expect(parseHistory(null)).toEqual([]);
+    expect(parseHistory("")).toEqual([]);
+    expect(parseHistory("not json")).toEqual([]);
+    expect(parseHistory('{"expression":"1"}')).toEqual([]);
+  });
+
+  it("keeps only well-formed entries", () => {
+    const raw = JSON.stringify([
+      { expression: "2 + 2", result: "4" },
+      { expression: "3 + 3" },
+      null,
+      { expression: 5, result: "5" },
+    ]);
+    expect(parseHistory(raw)).toEqual([{ expression: "2 + 2", result: "4" }]);
+  });
+});
@@ -1,12 +1,16 @@
 /**
- * Unit tests for calculator component logic
+ * Unit tests for calculator logic and the headless calculator engine
  */
 
 import { describe, it, expect } from "./test-runner.js";
+import { evaluateOperation } from "../js/utils/expression-parser.js";
 import {
-  evaluateOperation,
-  mapKeyToValue,
-} from "../js/components/calculator.js";
+  CalculatorEngine,
+  findLastOperation,
+  mapKeyToCommand,
+  applyMemoryOperation,
+} from "../js/components/calculator-engine.js";
+import { getCalculatorKey } from "../js/components/calculator.js";
 
 describe("evaluateOperation", () => {
   it("adds two numbers", () => {
@@ -38,54 +42,535 @@ describe("evaluateOperation", () => {
     expect(evaluateOperation(0, "÷", 0)).toBe("Error");
   });
 
+  it("raises to a power", () => {
+    expect(evaluateOperation(2, "^", 3)).toBe(8);
+    expect(evaluateOperation(9, "^", 0.5)).toBe(3);
+    expect(evaluateOperation(0, "^", -1)).toBe("Error");
+  });
+
   it("returns NaN for unknown operator", () => {
     expect(evaluateOperation(1, "%", 2)).toBeNaN();
     expect(evaluateOperation(1, "x", 2)).toBeNaN();
   });
 });
 
-describe("mapKeyToValue", () => {
-  it("maps number keys to string values", () => {
-    expect(mapKeyToValue("0")).toBe("0");
-    expect(mapKeyToValue("5")).toBe("5");
-    expect(mapKeyToValue("9")).toBe("9");
+describe("mapKeyToCommand", () => {
+  it("maps number keys to digit commands", () => {
+    expect(mapKeyToCommand("0")).toEqual({ action: "digit", value: "0" });
+    expect(mapKeyToCommand("5")).toEqual({ action: "digit", value: "5" });
+    expect(mapKeyToCommand("9")).toEqual({ action: "digit", value: "9" });
   });
 
   it("maps operator keys", () => {
-    expect(mapKeyToValue("+")).toBe("+");
-    expect(mapKeyToValue("-")).toBe("-");
-    expect(mapKeyToValue("*")).toBe("×");
-    expect(mapKeyToValue("/")).toBe("÷");
+    expect(mapKeyToCommand("+")).toEqual({ action: "operator", value: "+" });
+    expect(mapKeyToCommand("-")).toEqual({ action: "operator", value: "-" });
+    expect(mapKeyToCommand("*")).toEqual({ action: "operator", value: "×" });
+    expect(mapKeyToCommand("/")).toEqual({ action: "operator", value: "÷" });
   });
 
-  it("maps comma to decimal point", () => {
-    expect(mapKeyToValue(",")).toBe(".");
+  it("maps period and comma to the decimal point", () => {
+    expect(mapKeyToCommand(".")).toEqual({ action: "decimal" });
+    expect(mapKeyToCommand(",")).toEqual({ action: "decimal" });
   });
 
   it("maps Enter and = to equals", () => {
-    expect(mapKeyToValue("Enter")).toBe("=");
-    expect(mapKeyToValue("=")).toBe("=");
+    expect(mapKeyToCommand("Enter")).toEqual({ action: "equals" });
+    expect(mapKeyToCommand("=")).toEqual({ action: "equals" });
   });
 
   it("maps Escape, C, Delete to clear", () => {
-    expect(mapKeyToValue("Escape")).toBe("C");
-    expect(mapKeyToValue("c")).toBe("C");
-    expect(mapKeyToValue("C")).toBe("C");
-    expect(mapKeyToValue("Delete")).toBe("C");
+    expect(mapKeyToCommand("Escape")).toEqual({ action: "clear" });
+    expect(mapKeyToCommand("c")).toEqual({ action: "clear" });
+    expect(mapKeyToCommand("C")).toEqual({ action: "clear" });
+    expect(mapKeyToCommand("Delete")).toEqual({ action: "clear" });
+  });
+
+  it("maps parentheses", () => {
+    expect(mapKeyToCommand("(")).toEqual({ action: "parenthesis", value: "(" });
+    expect(mapKeyToCommand(")")).toEqual({ action: "parenthesis", value: ")" });
+  });
+
+  it("maps power, factorial, and percent keys", () => {
+    expect(mapKeyToCommand("^")).toEqual({ action: "operator", value: "^" });
+    expect(mapKeyToCommand("!")).toEqual({ action: "postfix", value: "!" });
+    expect(mapKeyToCommand("%")).toEqual({ action: "percent" });
   });
 
   it("maps Backspace", () => {
-    expect(mapKeyToValue("Backspace")).toBe("Backspace");
+    expect(mapKeyToCommand("Backspace")).toEqual({ action: "backspace" });
   });
 
   it("maps x and X to multiplication", () => {
-    expect(mapKeyToValue("x")).toBe("×");
-    expect(mapKeyToValue("X")).toBe("×");
+    expect(mapKeyToCommand("x")).toEqual({ action: "operator", value: "×" });
+    expect(mapKeyToCommand("X")).toEqual({ action: "operator", value: "×" });
   });
 
   it("returns null for unmapped keys", () => {
-    expect(mapKeyToValue("a")).toBeNull();
-    expect(mapKeyToValue("F1")).toBeNull();
-    expect(mapKeyToValue(" ")).toBeNull();
+    expect(mapKeyToCommand("a")).toBeNull();
+    expect(mapKeyToCommand("F1")).toBeNull();
+    expect(mapKeyToCommand(" ")).toBeNull();
+  });
+});
+
+describe("mapKeyToCommand - memory shortcuts", () => {
+  it("maps Alt shortcuts to memory operations", () => {
+    expect(mapKeyToCommand("l", true)).toEqual({ action: "memory", value: "MC" });
+    expect(mapKeyToCommand("r", true)).toEqual({ action: "memory", value: "MR" });
+    expect(mapKeyToCommand("p", true)).toEqual({ action: "memory", value: "M+" });
+    expect(mapKeyToCommand("q", true)).toEqual({ action: "memory", value: "M−" });
+    expect(mapKeyToCommand("M", true)).toEqual({ action: "memory", value: "MS" });
+  });
+
+  it("ignores other keys while Alt is held", () => {
+    expect(mapKeyToCommand("c", true)).toBeNull();
+    expect(mapKeyToCommand("5", true)).toBeNull();
+  });
+
+  it("does not map memory letters without Alt", () => {
+    expect(mapKeyToCommand("m")).toBeNull();
+    expect(mapKeyToCommand("r")).toBeNull();
+  });
+});
+
+describe("getCalculatorKey", () => {
+  it("leaves Ctrl/Cmd shortcuts to the browser", () => {
+    expect(getCalculatorKey({ key: "r", ctrlKey: true }, true)).toBeNull();
+    expect(getCalculatorKey({ key: "p", metaKey: true }, true)).toBeNull();
+    expect(getCalculatorKey({ key: "l", ctrlKey: true }, true)).toBeNull();
+  });
+
+  it("ignores every key while the calculator is hidden", () => {
+    expect(getCalculatorKey({ key: "r", ctrlKey: true }, false)).toBeNull();
+    expect(getCalculatorKey({ key: "7" }, false)).toBeNull();
+    expect(getCalculatorKey({ key: "r", code: "KeyR", altKey: true }, false)).toBeNull();
+  });
+
+  it("passes plain keys and reads Alt shortcuts from the physical key", () => {
+    expect(getCalculatorKey({ key: "7", code: "Digit7" }, true)).toEqual({ key: "7", altKey: false });
+    expect(getCalculatorKey({ key: "®", code: "KeyR", altKey: true }, true)).toEqual({ key: "r", altKey: true });
+  });
+
+  it("treats AltGr characters as plain keys", () => {
+    const event = { key: "|", code: "IntlBackslash", ctrlKey: true, altKey: true, getModifierState: (name) => name === "AltGraph" };
+    expect(getCalculatorKey(event, true)).toEqual({ key: "|", altKey: false });
+  });
+
+  it("does not press memory recall for Ctrl+R", () => {
+    const engine = new CalculatorEngine();
+    engine.press("m", { altKey: true });
+    expect(engine.press("r", { ctrlKey: true })).toBe(false);
+  });
+});
+
+describe("mapKeyToCommand - decimal separator", () => {
+  it("maps only the locale's decimal separator to the decimal point", () => {
+    expect(mapKeyToCommand(",", false, false, ",")).toEqual({ action: "decimal" });
+    expect(mapKeyToCommand(".", false, false, ",")).toBeNull();
+    expect(mapKeyToCommand(".", false, false, ".")).toEqual({ action: "decimal" });
+    expect(mapKeyToCommand(",", false, false, ".")).toBeNull();
+  });
+});
+
+describe("mapKeyToCommand - programmer mode", () => {
+  it("maps letters a-f to hexadecimal digits", () => {
+    expect(mapKeyToCommand("a", false, true)).toEqual({ action: "digit", value: "A" });
+    expect(mapKeyToCommand("C", false, true)).toEqual({ action: "digit", value: "C" });
+    expect(mapKeyToCommand("f", false, true)).toEqual({ action: "digit", value: "F" });
+  });
+
+  it("maps bitwise operator keys", () => {
+    expect(mapKeyToCommand("&", false, true)).toEqual({ action: "bitwise", value: "AND" });
+    expect(mapKeyToCommand("|", false, true)).toEqual({ action: "bitwise", value: "OR" });
+    expect(mapKeyToCommand("^", false, true)).toEqual({ action: "bitwise", value: "XOR" });
+    expect(mapKeyToCommand("~", false, true)).toEqual({ action: "not" });
+    expect(mapKeyToCommand("<", false, true)).toEqual({ action: "bitwise", value: "<<" });
+    expect(mapKeyToCommand(">", false, true)).toEqual({ action: "bitwise", value: ">>" });
+  });
+
+  it("falls back to the standard key bindings", () => {
+    expect(mapKeyToCommand("1", false, true)).toEqual({ action: "digit", value: "1" });
+    expect(mapKeyToCommand("Escape", false, true)).toEqual({ action: "clear" });
+    expect(mapKeyToCommand("g", false, true)).toBeNull();
+  });
+
+  it("keeps the memory shortcuts while Alt is held", () => {
+    expect(mapKeyToCommand("c", true, true)).toBeNull();
+    expect(mapKeyToCommand("m", true, true)).toEqual({ action: "memory", value: "MS" });
+  });
+});
+
+describe("applyMemoryOperation", () => {
+  it("stores a value with MS", () => {
+    expect(applyMemoryOperation(null, "MS", 7)).toBe(7);
+    expect(applyMemoryOperation(3, "MS", 7)).toBe(7);
+  });
+
+  it("adds and subtracts with M+ and M−", () => {
+    expect(applyMemoryOperation(null, "M+", 5)).toBe(5);
+    expect(applyMemoryOperation(5, "M+", 2.5)).toBe(7.5);
+    expect(applyMemoryOperation(null, "M−", 4)).toBe(-4);
+    expect(applyMemoryOperation(10, "M−", 4)).toBe(6);
+  });
+
+  it("clears memory with MC", () => {
+    expect(applyMemoryOperation(10, "MC", 0)).toBeNull();
+  });
+
+  it("leaves memory unchanged for MR", () => {
+    expect(applyMemoryOperation(10, "MR", 3)).toBe(10);
+    expect(applyMemoryOperation(null, "MR", 3)).toBeNull();
+  });
+});
+
+/**
+ * Creates an engine and presses a sequence of keys on it.
+ * @param {Array<string>} keys - Keys as in KeyboardEvent.key
+ * @param {Object} [options] - Engine options
+ * @returns {CalculatorEngine} The engine
+ */
+function pressKeys(keys, options) {
+  const engine = new CalculatorEngine(options);
+  keys.forEach((key) => engine.press(key));
+  return engine;
+}
+
+/**
+ * Creates an engine and presses a sequence of keys and buttons on it.
+ * @param {Array<string|Array<string>>} steps - Keys, or [action, value] for buttons
+ *     without a key (e.g. ["sign"] or ["postfix", "²"])
+ * @returns {CalculatorEngine} The engine
+ */
+function pressSteps(steps) {
+  const engine = new CalculatorEngine();
+  steps.forEach((step) => (Array.isArray(step) ? engine.execute(...step) : engine.press(step)));
+  return engine;
+}
+
+describe("CalculatorEngine - key sequences", () => {
+  it("evaluates with operator precedence", () => {
+    const engine = pressKeys(["2", "+", "3", "*", "4", "Enter"]);
+    expect(engine.getState().display).toBe("14");
+    expect(engine.getState().expression).toBe("2 + 3 × 4 =");
+  });
+
+  it("evaluates parentheses and closes open groups on equals", () => {
+    expect(pressKeys(["(", "2", "+", "3", ")", "*", "4", "="]).getState().display).toBe("20");
+    expect(pressKeys(["2", "*", "(", "3", "+", "4", "Enter"]).getState().display).toBe("14");
+  });
+
+  it("computes exact decimals", () => {
+    expect(pressKeys(["0", ".", "1", "+", "0", ".", "2", "="]).getState().display).toBe("0.3");
+  });
+
+  it("replaces a pending operator and accepts a unary minus", () => {
+    expect(pressKeys(["6", "+", "*", "2", "="]).getState().display).toBe("12");
+    expect(pressKeys(["6", "*", "-", "2", "="]).getState().display).toBe("-12");
+  });
+
+  it("shows Error for division by zero", () => {
+    expect(pressKeys(["1", "/", "0", "="]).getState().display).toBe("Error");
+  });
+
+  it("edits input with backspace and clear", () => {
+    expect(pressKeys(["1", "2", "3", "Backspace"]).getState().display).toBe("12");
+    const engine = pressKeys(["1", "+", "2", "Escape"]);
+    expect(engine.getState().display).toBe("0");
+    expect(engine.getState().expression).toBe("");
+  });
+
+  it("keeps a negated operand whole under postfix operators and powers", () => {
+    const square = pressSteps(["3", ["sign"], ["postfix", "²"], "="]);
+    expect(square.getState().display).toBe("9");
+    expect(square.getState().expression).toBe("(-3)² =");
+    expect(pressSteps(["3", ["sign"], "!", "="]).getState().display).toBe("Error");
+    expect(pressSteps(["2", ["sign"], "^", "2", "="]).getState().display).toBe("4");
+    expect(pressSteps(["5", "+", "3", ["sign"], ["postfix", "²"], "="]).getState().display).toBe("14");
+  });
+
+  it("applies factorial and percent", () => {
+    expect(pressKeys(["5", "!", "="]).getState().display).toBe("120");
+    expect(pressKeys(["5", "0", "%"]).getState().display).toBe("0.5");
+  });
+
+  it("starts a new formula after a result", () => {
+    expect(pressKeys(["2", "+", "2", "=", "7", "*", "2", "="]).getState().display).toBe("14");
+  });
+
+  it("ignores unmapped keys", () => {
+    const engine = new CalculatorEngine();
+    expect(engine.press("F1")).toBe(false);
+    expect(engine.press("7")).toBe(true);
+  });
+
+  it("enters the decimal point with the locale's separator key", () => {
+    const engine = pressKeys(["1", ".", ",", "5"], { decimalSeparator: "," });
+    expect(engine.getState().display).toBe("1.5");
+  });
+
+  it("rejects input that does not fit", () => {
+    const engine = pressKeys(["1", "2", "3", "4"], { fits: (text) => text.length <= 3 });
+    expect(engine.getState().display).toBe("123");
+  });
+});
+
+describe("findLastOperation", () => {
+  it("returns the last binary operator and its operand", () => {
+    expect(findLastOperation(["5", "+", "3"])).toEqual(["+", "3"]);
+    expect(findLastOperation(["2", "+", "3", "×", "4"])).toEqual(["×", "4"]);
+    expect(findLastOperation(["2", "×", "-", "3"])).toEqual(["×", "-", "3"]);
+  });
+
+  it("keeps a parenthesized operand whole", () => {
+    expect(findLastOperation(["2", "×", "(", "1", "+", "2", ")"])).toEqual(["×", "(", "1", "+", "2", ")"]);
+  });
+
+  it("returns null without a top-level binary operator", () => {
+    expect(findLastOperation(["5", "!"])).toBeNull();
+    expect(findLastOperation(["(", "1", "+", "2", ")"])).toBeNull();
+  });
+});
+
+describe("CalculatorEngine - repeated equals", () => {
+  it("repeats the last operation", () => {
+    const engine = pressKeys(["5", "+", "3", "="]);
+    expect(engine.getState().display).toBe("8");
+    engine.press("=");
+    expect(engine.getState().display).toBe("11");
+    engine.press("=");
+    expect(engine.getState().display).toBe("14");
+    expect(engine.getState().expression).toBe("11 + 3 =");
+  });
+
+  it("repeats the operator with the highest position in the formula", () => {
+    expect(pressKeys(["2", "+", "3", "*", "4", "=", "="]).getState().display).toBe("56");
+    expect(pressKeys(["1", "0", "-", "4", "=", "=", "="]).getState().display).toBe("-2");
+  });
+
+  it("repeats with a negative first operand or a negative result", () => {
+    const power = pressSteps(["2", ["sign"], "^", "2", "=", "="]);
+    expect(power.getState().display).toBe("16");
+    expect(power.getState().expression).toBe("4 ^ 2 =");
+    expect(pressSteps(["3", ["sign"], "+", "1", "=", "="]).getState().display).toBe("-1");
+    const difference = pressKeys(["5", "-", "8", "=", "="]);
+    expect(difference.getState().display).toBe("-11");
+    expect(difference.getState().expression).toBe("(-3) - 8 =");
+  });
+
+  it("applies the last operation to a newly typed number", () => {
+    expect(pressKeys(["2", "+", "2", "=", "7", "="]).getState().display).toBe("9");
+  });
+
+  it("does nothing after clear or a calculation error", () => {
+    expect(pressKeys(["5", "+", "3", "=", "Escape", "="]).getState().display).toBe("0");
+    expect(pressKeys(["1", "/", "0", "=", "="]).getState().display).toBe("Error");
+  });
+
+  it("records each repeated calculation", () => {
+    const engine = pressKeys(["5", "*", "2", "="]);
+    const results = [];
+    engine.addEventListener("calculate", (event) => results.push(event.detail.result));
+    ["=", "="].forEach((key) => engine.press(key));
+    expect(results.join(",")).toBe("20,40");
+  });
+});
+
+describe("CalculatorEngine - percent", () => {
+  it("takes a percentage of the first operand after + and −", () => {
+    const engine = pressKeys(["2", "0", "0", "+", "1", "0", "%"]);
+    expect(engine.getState().display).toBe("20");
+    engine.press("=");
+    expect(engine.getState().display).toBe("220");
+    expect(pressKeys(["2", "0", "0", "-", "1", "0", "%", "="]).getState().display).toBe("180");
+  });
+
+  it("uses the whole pending formula as the first operand", () => {
+    expect(pressKeys(["5", "0", "*", "2", "+", "1", "0", "%", "="]).getState().display).toBe("110");
+  });
+
+  it("uses the operand inside an open group", () => {
+    expect(pressKeys(["2", "*", "(", "5", "0", "+", "1", "0", "%", "="]).getState().display).toBe("110");
+  });
+
+  it("divides by 100 after × and ÷ or on its own", () => {
+    expect(pressKeys(["2", "0", "0", "*", "1", "0", "%", "="]).getState().display).toBe("20");
+    expect(pressKeys(["5", "0", "/", "1", "0", "%", "="]).getState().display).toBe("500");
+    expect(pressKeys(["5", "0", "%"]).getState().display).toBe("0.5");
+  });
+
+  it("repeats a percentage addition with =", () => {
+    expect(pressKeys(["2", "0", "0", "+", "1", "0", "%", "=", "="]).getState().display).toBe("240");
+  });
+});
+
+describe("CalculatorEngine - memory", () => {
+  it("stores, adds to, and recalls memory with Ctrl shortcuts", () => {
+    const engine = pressKeys(["5"]);
+    engine.press("m", { altKey: true });
+    ["Escape", "3"].forEach((key) => engine.press(key));
+    engine.press("p", { altKey: true });
+    expect(String(engine.getState().memory)).toBe("8");
+    ["Escape", "2", "*"].forEach((key) => engine.press(key));
+    engine.press("r", { altKey: true });
+    engine.press("=");
+    expect(engine.getState().display).toBe("16");
+  });
+
+  it("clears memory with MC", () => {
+    const engine = new CalculatorEngine({ memory: null });
+    engine.execute("digit", "4");
+    engine.execute("memory", "MS");
+    engine.execute("memory", "MC");
+    expect(engine.getState().memory).toBeNull();
+  });
+});
+
+describe("CalculatorEngine - programmer mode", () => {
+  it("evaluates bitwise key sequences", () => {
+    const engine = new CalculatorEngine();
+    engine.setProgrammerMode(true);
+    ["1", "2", "&", "1", "0", "Enter"].forEach((key) => engine.press(key));
+    expect(engine.getState().display).toBe("8");
+  });
+
+  it("enters hexadecimal digits and shows every base", () => {
+    const engine = new CalculatorEngine();
+    engine.setProgrammerMode(true);
+    engine.setNumberBase("hex");
+    ["f", "f"].forEach((key) => engine.press(key));
+    const state = engine.getState();
+    expect(state.display).toBe("FF");
+    expect(state.bases.dec).toBe("255");
+    expect(state.bases.bin).toBe("11111111");
+  });
+
+  it("rejects commands unavailable in the current mode", () => {
+    const engine = new CalculatorEngine();
+    engine.setProgrammerMode(true);
+    engine.setNumberBase("bin");
+    expect(engine.execute("digit", "2")).toBe(false);
+    expect(engine.execute("decimal")).toBe(false);
+    expect(engine.execute("digit", "1")).toBe(true);
+  });
+
+  it("opens a group after a mode switch without multiplying by the blank display", () => {
+    const engine = new CalculatorEngine();
+    engine.setProgrammerMode(true);
+    ["(", "5", "+", "3", ")", "="].forEach((key) => engine.press(key));
+    expect(engine.getState().display).toBe("8");
+    expect(engine.getState().expression).toBe("(5 + 3) =");
+    engine.setProgrammerMode(false);
+    ["(", "2", ")", "="].forEach((key) => engine.press(key));
+    expect(engine.getState().display).toBe("16");
+  });
+});
+
+describe("CalculatorEngine - events and instances", () => {
+  it("dispatches change events with the new state", () => {
+    const engine = new CalculatorEngine();
+    const displays = [];
+    engine.addEventListener("change", (event) => displays.push(event.detail.display));
+    ["4", "2"].forEach((key) => engine.press(key));
+    expect(displays.join(",")).toBe("4,42");
+  });
+
+  it("dispatches calculate events for completed calculations", () => {
+    const engine = new CalculatorEngine();
+    const calculations = [];
+    engine.addEventListener("calculate", (event) => calculations.push(event.detail));
+    ["3", "*", "3", "Enter"].forEach((key) => engine.press(key));
+    expect(calculations).toEqual([
+      { expression: "3 × 3", result: "9", programmerMode: false, numberBase: "dec" },
+    ]);
+  });
+
+  it("keeps separate state per instance", () => {
+    const first = pressKeys(["1", "+"]);
+    const second = pressKeys(["9"]);
+    first.press("2");
+    first.press("=");
+    expect(first.getState().display).toBe("3");
+    expect(second.getState().display).toBe("9");
+  });
+
+  it("runs commands registered on one instance only", () => {
+    const first = new CalculatorEngine();
+    const second = new CalculatorEngine();
+    first.registerCommand("answer", () => first.loadValue("42"));
+    expect(first.execute("answer")).toBe(true);
+    expect(second.execute("answer")).toBe(false);
+    expect(first.getState().display).toBe("42");
+  });
+});
+
+describe("CalculatorEngine - paste", () => {
+  it("loads a pasted number", () => {
+    const engine = new CalculatorEngine();
+    expect(engine.paste(" 42.5 ")).toBe(true);
+    expect(engine.getState().display).toBe("42.5");
+    engine.press("+");
+    engine.press("1");
+    engine.press("=");
+    expect(engine.getState().display).toBe("43.5");
+  });
+
+  it("loads a pasted expression and ignores a trailing equals sign", () => {
+    const engine = new CalculatorEngine();
+    expect(engine.paste("2 * (3 + 4) =")).toBe(true);
+    engine.press("=");
+    expect(engine.getState().display).toBe("14");
+  });
+
+  it("rejects text that is not a number or formula", () => {
+    const engine = pressKeys(["7"]);
+    expect(engine.paste("hello")).toBe(false);
+    expect(engine.paste("")).toBe(false);
+    expect(engine.getState().display).toBe("7");
+  });
+
+  it("reads pasted values in the current base in programmer mode", () => {
+    const engine = new CalculatorEngine();
+    engine.setProgrammerMode(true);
+    engine.setNumberBase("hex");
+    expect(engine.paste("ff")).toBe(true);
+    expect(engine.getState().bases.dec).toBe("255");
+  });
+});
+
+describe("CalculatorEngine - history recall", () => {
+  const HEX = { programmerMode: true, numberBase: "hex" };
+  const DECIMAL = { programmerMode: false, numberBase: "dec" };
+
+  it("converts a recalled result to the current mode and base", () => {
+    const engine = new CalculatorEngine();
+    expect(engine.loadValue("100", HEX)).toBe(true);
+    expect(engine.getState().display).toBe("256");
+
+    engine.setProgrammerMode(true);
+    engine.setNumberBase("hex");
+    expect(engine.loadValue("11", DECIMAL)).toBe(true);
+    expect(engine.getState().display).toBe("B");
+  });
+
+  it("converts a recalled programmer formula to the current base", () => {
+    const engine = new CalculatorEngine();
+    engine.setProgrammerMode(true);
+    expect(engine.loadExpression("FF + 1", HEX)).toBe(true);
+    engine.press("=");
+    expect(engine.getState().display).toBe("256");
+    expect(engine.getState().expression).toBe("255 + 1 =");
+  });
+
+  it("refuses a formula from the other mode and leaves the calculator unchanged", () => {
+    const engine = pressKeys(["2", "+", "3"]);
+    expect(engine.loadExpression("FF + 1", HEX)).toBe(false);
+    expect(engine.getState().display).toBe("3");
+    expect(engine.getState().expression).toBe("2 +");
+  });
+
+  it("ignores values that are not numbers in their notation", () => {
+    const engine = pressKeys(["7"]);
+    expect(engine.loadValue("FF")).toBe(false);
+    expect(engine.loadValue("Error")).toBe(false);
+    expect(engine.getState().display).toBe("7");
   });
 });
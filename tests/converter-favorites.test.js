@@ -0,0 +1,77 @@
+/**
+ * Unit tests for favorite unit pairs and recent conversions
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import {
+  MAX_RECENT_CONVERSIONS,
+  addRecentConversion,
+  parseConversions,
+  toggleFavoritePair,
+} from "../js/components/converter-favorites.js";
+
+const KG_TO_LB = { category: "mass", from: "kilogram", to: "pound" };
+const C_TO_F = { category: "temperature", from: "celsius", to: "fahrenheit" };
+
+describe("addRecentConversion", () => {
+  it("adds the newest conversion first", () => {
+    const list = addRecentConversion([{ ...C_TO_F, value: 20 }], { ...KG_TO_LB, value: 5 });
+    expect(list).toEqual([{ ...KG_TO_LB, value: 5 }, { ...C_TO_F, value: 20 }]);
+  });
+
+  it("moves a repeated conversion to the front", () => {
+    let list = [];
+    list = addRecentConversion(list, { ...KG_TO_LB, value: 5 });
+    list = addRecentConversion(list, { ...C_TO_F, value: 20 });
+    list = addRecentConversion(list, { ...KG_TO_LB, value: 5 });
+    expect(list).toEqual([{ ...KG_TO_LB, value: 5 }, { ...C_TO_F, value: 20 }]);
+  });
+
+  it("keeps conversions of the same pair with other values", () => {
+    const list = addRecentConversion([{ ...KG_TO_LB, value: 5 }], { ...KG_TO_LB, value: 6 });
+    expect(list.length).toBe(2);
+  });
+
+  it("drops the oldest conversions beyond the limit", () => {
+    let list = [];
+    for (let i = 0; i < MAX_RECENT_CONVERSIONS + 5; i++) {
+      list = addRecentConversion(list, { ...KG_TO_LB, value: i });
+    }
+    expect(list.length).toBe(MAX_RECENT_CONVERSIONS);
+    expect(list[0].value).toBe(MAX_RECENT_CONVERSIONS + 4);
+  });
+});
+
+describe("toggleFavoritePair", () => {
+  it("pins a new pair at the end, without its value", () => {
+    const list = toggleFavoritePair([KG_TO_LB], { ...C_TO_F, value: 20 });
+    expect(list).toEqual([KG_TO_LB, C_TO_F]);
+  });
+
+  it("unpins a pair that is already a favorite", () => {
+    expect(toggleFavoritePair([KG_TO_LB, C_TO_F], KG_TO_LB)).toEqual([C_TO_F]);
+  });
+
+  it("treats the reverse pair as a different favorite", () => {
+    const reverse = { category: "mass", from: "pound", to: "kilogram" };
+    expect(toggleFavoritePair([KG_TO_LB], reverse).length).toBe(2);
+  });
+});
+
+describe("parseConversions", () => {
+  it("returns an empty list for missing or malformed data", () => {
+    expect(parseConversions(null)).toEqual([]);
+    expect(parseConversions("not json")).toEqual([]);
+    expect(parseConversions('{"category":"mass"}')).toEqual([]);
+  });
+
+  it("keeps only entries with a category and units", () => {
+    const raw = JSON.stringify([KG_TO_LB, { category: "mass", from: "gram" }, null, "kg"]);
+    expect(parseConversions(raw)).toEqual([KG_TO_LB]);
+  });
+
+  it("keeps numeric values and drops other fields", () => {
+    const raw = JSON.stringify([{ ...KG_TO_LB, value: 5, extra: true }, { ...C_TO_F, value: "20" }]);
+    expect(parseConversions(raw)).toEqual([{ ...KG_TO_LB, value: 5 }, C_TO_F]);
+  });
+});
@@ -3,24 +3,292 @@
  */
 
 import { describe, it, expect } from "./test-runner.js";
+import { parseUnitQuery } from "../js/utils/unit-query.js";
 import {
+  CATEGORY_LABELS,
+  DEFAULT_OUTPUT_FORMAT,
+  DEFAULT_RATE_TABLE,
+  MIXED_UNITS,
   UNIT_DEFINITIONS,
+  applyCustomUnits,
+  applyRateTable,
+  convertToAllUnits,
   convertValue,
-  getByteSize,
-  limitOutputSize,
+  formatConversion,
+  formatConversionText,
+  formatConvertedValue,
+  formatMixedValue,
+  getDefaultUnits,
+  getFieldRoles,
+  PAIR_RATES,
+  PREFERRED_UNITS,
+  getCategoryLabel,
+  getPairRate,
+  getUnitIndex,
+  getUnitLabel,
+  getUnitOptionGroups,
+  isRateKey,
+  parseMixedValue,
+  updateFieldState,
+  withSystemAliases,
+  validateUnitDefinitions,
 } from "../js/components/converter.js";
 
-describe("getByteSize", () => {
-  it("returns byte size of string", () => {
-    expect(getByteSize("")).toBe(0);
-    expect(getByteSize("a")).toBe(1);
-    expect(getByteSize("123")).toBe(3);
-    expect(getByteSize("0")).toBe(1);
+describe("convertValue - unit ids", () => {
+  it("accepts unit ids", () => {
+    expect(convertValue(1, "kilometer", "meter", "length")).toBe(1000);
+    expect(convertValue(100, "celsius", "fahrenheit", "temperature")).toBe(212);
   });
 
-  it("counts UTF-8 bytes for multi-byte characters", () => {
-    expect(getByteSize("°")).toBeGreaterThanOrEqual(1);
-    expect(getByteSize("m³")).toBeGreaterThanOrEqual(2);
+  it("accepts ids and indexes together", () => {
+    expect(convertValue(1, "mile", 6, "length")).toBeCloseTo(1.609344, 10);
+  });
+
+  it("returns 0 for unknown units", () => {
+    expect(convertValue(1, "furlong", "meter", "length")).toBe(0);
+    expect(convertValue(1, 99, 0, "length")).toBe(0);
+  });
+});
+
+describe("getUnitIndex", () => {
+  it("finds units by id or index", () => {
+    expect(getUnitIndex("length", "kilometer")).toBe(6);
+    expect(getUnitIndex("length", 6)).toBe(6);
+  });
+
+  it("returns -1 for unknown units and categories", () => {
+    expect(getUnitIndex("length", "furlong")).toBe(-1);
+    expect(getUnitIndex("length", "6")).toBe(-1);
+    expect(getUnitIndex("length", 12)).toBe(-1);
+    expect(getUnitIndex("flow", "meter")).toBe(-1);
+  });
+});
+
+describe("getUnitLabel", () => {
+  it("returns the abbreviation of units and the parts of mixed units", () => {
+    expect(getUnitLabel("mass", "kilogram")).toBe("kg");
+    expect(getUnitLabel("length", "mixed-0")).toBe("ft + in");
+  });
+
+  it("returns null for unknown units and categories", () => {
+    expect(getUnitLabel("mass", "furlong")).toBeNull();
+    expect(getUnitLabel("length", "mixed-9")).toBeNull();
+    expect(getUnitLabel("flow", "meter")).toBeNull();
+  });
+});
+
+describe("getUnitOptionGroups", () => {
+  it("groups units by measurement system, then mixed units", () => {
+    const groups = getUnitOptionGroups("length");
+    expect(groups.map((group) => group.label)).toEqual([
+      "Metric (SI)",
+      "Imperial / US customary",
+      "Other",
+      "Mixed units",
+    ]);
+    expect(groups[2].options[0].value).toBe("nautical-mile");
+    expect(groups[3].options[0].value).toBe("mixed-0");
+  });
+
+  it("finds units by name, plural, alias and British spelling", () => {
+    const [pound] = getUnitOptionGroups("mass")[1].options.filter((option) => option.value === "pound");
+    expect(pound.label).toBe("lb (Pound)");
+    expect(pound.keywords.includes("lbs")).toBe(true);
+    expect(pound.keywords.includes("pounds")).toBe(true);
+    expect(getUnitOptionGroups("length")[0].options[3].keywords.includes("metre")).toBe(true);
+  });
+
+  it("hints at each unit's systems and note", () => {
+    const volume = getUnitOptionGroups("volume").flatMap((group) => group.options);
+    expect(volume.find((option) => option.value === "imperial-gallon").hint).toBe("Imperial");
+    const month = getUnitOptionGroups("time")[0].options.find((option) => option.value === "month");
+    expect(month.hint).toBe("Gregorian average: 30.436875 days");
+  });
+
+  it("leaves out headings in categories without systems", () => {
+    expect(getUnitOptionGroups("data").map((group) => group.label)).toEqual([""]);
+    expect(getUnitOptionGroups("time").map((group) => group.label)).toEqual(["", "Mixed units"]);
+  });
+});
+
+describe("getDefaultUnits", () => {
+  it("converts to the preferred system's unit", () => {
+    expect(getDefaultUnits("volume", "imperial")).toEqual({ from: "liter", to: "imperial-gallon" });
+    expect(getDefaultUnits("volume", "us")).toEqual({ from: "liter", to: "us-gallon" });
+    expect(getDefaultUnits("length", "metric")).toEqual({ from: "foot", to: "meter" });
+  });
+
+  it("uses the first two units without a preference or a preferred unit", () => {
+    expect(getDefaultUnits("length")).toEqual({ from: "millimeter", to: "centimeter" });
+    expect(getDefaultUnits("time", "us")).toEqual({ from: "nanosecond", to: "microsecond" });
+  });
+
+  it("prefers units of the right system", () => {
+    for (const [category, units] of Object.entries(PREFERRED_UNITS)) {
+      for (const [system, id] of Object.entries(units)) {
+        const unit = UNIT_DEFINITIONS[category].find((candidate) => candidate.id === id);
+        expect(unit.systems.includes(system)).toBe(true);
+      }
+    }
+  });
+});
+
+describe("withSystemAliases", () => {
+  const gallons = (system) => {
+    const definitions = withSystemAliases(UNIT_DEFINITIONS, system);
+    const query = parseUnitQuery("2 gallons to l", definitions);
+    return definitions[query.category][query.fromIndex].id;
+  };
+
+  it("reads gallons and pints as US units without an imperial preference", () => {
+    expect(gallons("")).toBe("us-gallon");
+    expect(gallons("metric")).toBe("us-gallon");
+    expect(gallons("us")).toBe("us-gallon");
+  });
+
+  it("reads gallons and pints as imperial units with an imperial preference", () => {
+    expect(gallons("imperial")).toBe("imperial-gallon");
+    const definitions = withSystemAliases(UNIT_DEFINITIONS, "imperial");
+    const query = parseUnitQuery("1 pint to fluid ounces", definitions);
+    expect(convertValue(query.value, query.fromIndex, query.toIndex, query.category)).toBeCloseTo(20, 12);
+  });
+
+  it("reads tons as short tons, or as long tons with an imperial preference", () => {
+    const tons = (system) => {
+      const definitions = withSystemAliases(UNIT_DEFINITIONS, system);
+      const query = parseUnitQuery("1 ton to kg", definitions);
+      return definitions[query.category][query.fromIndex].id;
+    };
+    expect(tons("")).toBe("short-ton");
+    expect(tons("us")).toBe("short-ton");
+    expect(tons("imperial")).toBe("long-ton");
+    const query = parseUnitQuery("3 tons to lb", UNIT_DEFINITIONS);
+    expect(convertValue(query.value, query.fromIndex, query.toIndex, query.category)).toBeCloseTo(6000, 9);
+  });
+
+  it("leaves the definitions and unaffected units as they are", () => {
+    const definitions = withSystemAliases(UNIT_DEFINITIONS, "imperial");
+    expect(UNIT_DEFINITIONS.volume.find((unit) => unit.id === "us-gallon").aliases).toEqual(["gallon", "gallons"]);
+    expect(definitions.volume.find((unit) => unit.id === "us-gallon").aliases).toEqual([]);
+    expect(definitions.volume[0]).toBe(UNIT_DEFINITIONS.volume[0]);
+    expect(definitions.length).toBe(UNIT_DEFINITIONS.length);
+  });
+});
+
+describe("validateUnitDefinitions", () => {
+  it("accepts the built-in units", () => {
+    expect(validateUnitDefinitions(UNIT_DEFINITIONS)).toEqual([]);
+  });
+
+  it("reports unknown measurement systems", () => {
+    const problems = validateUnitDefinitions({ length: [{ id: "league", abbr: "lea", systems: ["roman"] }] });
+    expect(problems).toEqual(['length: lea has unknown system "roman"']);
+  });
+
+  it("reports missing and duplicate ids and abbreviations", () => {
+    const problems = validateUnitDefinitions({
+      length: [
+        { id: "meter", abbr: "m" },
+        { id: "meter", abbr: "M" },
+        { abbr: "ft" },
+        { id: "metre", abbr: "m" },
+      ],
+      mass: [{ id: "meter", abbr: "m" }],
+    });
+    expect(problems).toEqual([
+      'length: duplicate id "meter"',
+      "length: unit 2 (ft) has no id",
+      'length: duplicate abbreviation "m"',
+    ]);
+  });
+});
+
+describe("convertValue - currency", () => {
+  const category = "currency";
+
+  it("converts with the rate table", () => {
+    expect(convertValue(1, "eur", "usd", category)).toBeCloseTo(1.0389, 10);
+    expect(convertValue(1.0389, "usd", "eur", category)).toBeCloseTo(1, 10);
+  });
+
+  it("uses manual rates for a pair in both directions", () => {
+    PAIR_RATES.currency = { "eur:usd": 1.25 };
+    expect(getPairRate(category, "eur", "usd")).toBe(1.25);
+    expect(getPairRate(category, "usd", "eur")).toBe(0.8);
+    expect(getPairRate(category, "eur", "gbp")).toBeNull();
+    expect(convertValue(2, "eur", "usd", category)).toBe(2.5);
+    expect(convertValue(5, "usd", "eur", category)).toBe(4);
+    PAIR_RATES.currency = {};
+  });
+});
+
+describe("updateFieldState", () => {
+  const typed = {
+    sourceSide: "input",
+    values: { input: "26.2", output: "42.16" },
+    units: { input: "mile", output: "kilometer" },
+  };
+
+  it("converts from the field typed in last", () => {
+    const state = updateFieldState(typed, { type: "type", side: "output" });
+    expect(state.sourceSide).toBe("output");
+    expect(state.values).toEqual(typed.values);
+    expect(getFieldRoles(state.sourceSide)).toEqual({ source: "output", target: "input" });
+    expect(getFieldRoles("input")).toEqual({ source: "input", target: "output" });
+  });
+
+  it("swaps units and values, keeping the typed value as the source", () => {
+    const swapped = updateFieldState(typed, { type: "swap" });
+    expect(swapped).toEqual({
+      sourceSide: "output",
+      values: { input: "42.16", output: "26.2" },
+      units: { input: "kilometer", output: "mile" },
+    });
+    expect(swapped.values[getFieldRoles(swapped.sourceSide).source]).toBe("26.2");
+    expect(updateFieldState(swapped, { type: "swap" })).toEqual(typed);
+  });
+
+  it("clears the values and converts from the input again on a category change", () => {
+    const fromOutput = updateFieldState(typed, { type: "type", side: "output" });
+    expect(updateFieldState(fromOutput, { type: "reset" })).toEqual({
+      sourceSide: "input",
+      values: { input: "", output: "" },
+      units: typed.units,
+    });
+  });
+});
+
+describe("applyRateTable", () => {
+  it("keeps custom currencies pegged to the new rates", () => {
+    applyCustomUnits({
+      categories: [],
+      units: [{ category: "currency", id: "aed", name: "UAE Dirham", abbr: "AED", factor: 0.25, unit: "usd" }],
+    });
+    applyRateTable({ base: "USD", date: "2025-06-30", rates: { USD: 1, EUR: 0.8 } });
+    expect(getUnitLabel("currency", "aed")).toBe("AED");
+    expect(convertValue(4, "aed", "usd", "currency")).toBeCloseTo(1, 12);
+    expect(convertValue(4, "aed", "eur", "currency")).toBeCloseTo(0.8, 12);
+
+    applyRateTable({ base: "EUR", date: "2025-06-30", rates: { EUR: 1, GBP: 0.85 } });
+    expect(getUnitLabel("currency", "aed")).toBeNull();
+
+    applyCustomUnits({ categories: [], units: [] });
+    applyRateTable(DEFAULT_RATE_TABLE);
+    expect(getUnitLabel("currency", "usd")).toBe("USD");
+  });
+});
+
+describe("isRateKey", () => {
+  it("accepts the keys of a positive number in the locale", () => {
+    expect(isRateKey({ key: "1" }, "de-DE")).toBe(true);
+    expect(isRateKey({ key: "," }, "de-DE")).toBe(true);
+    expect(isRateKey({ key: "Backspace" }, "de-DE")).toBe(true);
+  });
+
+  it("rejects signs and other characters", () => {
+    expect(isRateKey({ key: "-" }, "en-US")).toBe(false);
+    expect(isRateKey({ key: "+" }, "en-US")).toBe(false);
+    expect(isRateKey({ key: "x" }, "en-US")).toBe(false);
   });
 });
 
@@ -56,6 +324,32 @@ describe("convertValue - mass", () => {
     const result = convertValue(28.3495, 3, 8, category);
     expect(result).toBeCloseTo(1, 2);
   });
+
+  it("tells long (imperial) tons from short (US) tons", () => {
+    expect(convertValue(1, "long-ton", "pound", category)).toBeCloseTo(2240, 9);
+    expect(convertValue(1, "short-ton", "pound", category)).toBeCloseTo(2000, 9);
+  });
+});
+
+describe("convertValue - US and imperial volumes", () => {
+  const category = "volume";
+
+  it("converts imperial units to liters", () => {
+    expect(convertValue(1, "imperial-gallon", "liter", category)).toBe(4.54609);
+    expect(convertValue(1, "imperial-pint", "milliliter", category)).toBeCloseTo(568.26125, 9);
+    expect(convertValue(20, "imperial-fluid-ounce", "imperial-pint", category)).toBeCloseTo(1, 12);
+  });
+
+  it("uses the exact US customary definitions", () => {
+    expect(convertValue(1, "us-gallon", "liter", category)).toBe(3.785411784);
+    expect(convertValue(1, "us-gallon", "us-fluid-ounce", category)).toBeCloseTo(128, 12);
+    expect(convertValue(1, "us-gallon", "us-cup", category)).toBeCloseTo(16, 12);
+    expect(convertValue(1, "us-quart", "us-pint", category)).toBeCloseTo(2, 12);
+  });
+
+  it("converts between US and imperial gallons", () => {
+    expect(convertValue(1, "imperial-gallon", "us-gallon", category)).toBeCloseTo(1.20095, 5);
+  });
 });
 
 describe("convertValue - temperature", () => {
@@ -80,6 +374,26 @@ describe("convertValue - temperature", () => {
   it("converts Kelvin to Celsius", () => {
     expect(convertValue(273.15, 2, 0, category)).toBeCloseTo(0, 2);
   });
+
+  it("converts Rankine, Réaumur and Delisle", () => {
+    expect(convertValue(100, 0, 3, category)).toBeCloseTo(671.67, 10);
+    expect(convertValue(491.67, 3, 1, category)).toBeCloseTo(32, 10);
+    expect(convertValue(100, 0, 4, category)).toBe(80);
+    expect(convertValue(100, 0, 5, category)).toBe(0);
+    expect(convertValue(150, 5, 0, category)).toBe(0);
+    expect(convertValue(0, 5, 1, category)).toBeCloseTo(212, 10);
+  });
+});
+
+describe("convertValue - temperature difference", () => {
+  const category = "temperatureDifference";
+
+  it("scales differences without offsets", () => {
+    expect(convertValue(10, 0, 1, category)).toBeCloseTo(18, 10);
+    expect(convertValue(9, 1, 2, category)).toBeCloseTo(5, 10);
+    expect(convertValue(10, 0, 3, category)).toBeCloseTo(18, 10);
+    expect(convertValue(10, 0, 4, category)).toBe(8);
+  });
 });
 
 describe("convertValue - volume", () => {
@@ -104,33 +418,336 @@ describe("convertValue - time", () => {
   });
 });
 
-describe("limitOutputSize", () => {
+describe("convertValue - area", () => {
+  const category = "area";
+
+  it("converts hectares and square meters", () => {
+    expect(convertValue(1, 3, 2, category)).toBe(10000);
+    expect(convertValue(1, 4, 3, category)).toBe(100);
+  });
+
+  it("converts acres and square feet", () => {
+    expect(convertValue(1, 8, 6, category)).toBeCloseTo(43560, 6);
+    expect(convertValue(1, 9, 8, category)).toBeCloseTo(640, 6);
+  });
+});
+
+describe("convertValue - speed", () => {
+  const category = "speed";
+
+  it("converts km/h to m/s", () => {
+    expect(convertValue(36, 1, 0, category)).toBeCloseTo(10, 9);
+  });
+
+  it("converts mph and knots to km/h", () => {
+    expect(convertValue(100, 1, 3, category)).toBeCloseTo(62.1371, 4);
+    expect(convertValue(1, 4, 1, category)).toBeCloseTo(1.852, 9);
+  });
+});
+
+describe("convertValue - pressure", () => {
+  const category = "pressure";
+
+  it("converts atmospheres to pascals and bars", () => {
+    expect(convertValue(1, 6, 0, category)).toBe(101325);
+    expect(convertValue(1, 6, 5, category)).toBeCloseTo(1.01325, 9);
+  });
+
+  it("converts bars to psi and mmHg", () => {
+    expect(convertValue(1, 5, 7, category)).toBeCloseTo(14.5038, 4);
+    expect(convertValue(1, 6, 8, category)).toBeCloseTo(760, 3);
+  });
+});
+
+describe("convertValue - energy", () => {
+  const category = "energy";
+
+  it("converts kilowatt-hours to megajoules", () => {
+    expect(convertValue(1, 4, 2, category)).toBe(3.6);
+  });
+
+  it("converts kilocalories to kilojoules and BTU", () => {
+    expect(convertValue(1, 6, 1, category)).toBe(4.184);
+    expect(convertValue(1, 6, 7, category)).toBeCloseTo(3.96567, 5);
+  });
+});
+
+describe("convertValue - power", () => {
+  const category = "power";
+
+  it("converts horsepower to watts", () => {
+    expect(convertValue(1, 3, 0, category)).toBeCloseTo(745.7, 1);
+    expect(convertValue(1, 4, 0, category)).toBe(735.49875);
+  });
+
+  it("converts kilowatts to BTU per hour", () => {
+    expect(convertValue(1, 1, 5, category)).toBeCloseTo(3412.14, 2);
+  });
+});
+
+describe("convertValue - force", () => {
+  const category = "force";
+
+  it("converts kilogram-force and pound-force to newtons", () => {
+    expect(convertValue(1, 3, 0, category)).toBe(9.80665);
+    expect(convertValue(1, 4, 0, category)).toBeCloseTo(4.44822, 5);
+  });
+
+  it("converts newtons to dynes", () => {
+    expect(convertValue(1, 0, 2, category)).toBeCloseTo(100000, 6);
+  });
+});
+
+describe("convertValue - data storage", () => {
+  const category = "data";
+
+  it("converts bits and bytes", () => {
+    expect(convertValue(8, 0, 1, category)).toBe(1);
+    expect(convertValue(100, 4, 5, category)).toBe(12.5);
+  });
+
+  it("distinguishes SI and IEC prefixes", () => {
+    expect(convertValue(1, 11, 3, category)).toBe(1.024);
+    expect(convertValue(1, 15, 7, category)).toBe(1.073741824);
+    expect(convertValue(1, 17, 16, category)).toBe(1024);
+  });
+});
+
+describe("convertValue - angle", () => {
+  const category = "angle";
+
+  it("converts degrees to radians and gradians", () => {
+    expect(convertValue(180, 2, 0, category)).toBeCloseTo(Math.PI, 12);
+    expect(convertValue(90, 2, 3, category)).toBeCloseTo(100, 9);
+  });
+
+  it("converts turns, arcminutes and arcseconds to degrees", () => {
+    expect(convertValue(1, 6, 2, category)).toBeCloseTo(360, 9);
+    expect(convertValue(60, 4, 2, category)).toBeCloseTo(1, 12);
+    expect(convertValue(3600, 5, 2, category)).toBeCloseTo(1, 12);
+  });
+});
+
+describe("convertValue - frequency", () => {
+  const category = "frequency";
+
+  it("converts between hertz prefixes", () => {
+    expect(convertValue(2.4, 3, 2, category)).toBe(2400);
+    expect(convertValue(1, 2, 0, category)).toBe(1000000);
+  });
+
+  it("converts rpm and radians per second to hertz", () => {
+    expect(convertValue(60, 4, 0, category)).toBe(1);
+    expect(convertValue(2 * Math.PI, 5, 0, category)).toBeCloseTo(1, 12);
+  });
+});
+
+describe("formatConvertedValue", () => {
+  it("returns empty string for invalid input", () => {
+    expect(formatConvertedValue(NaN)).toBe("");
+    expect(formatConvertedValue(Infinity)).toBe("");
+    expect(formatConvertedValue(undefined)).toBe("");
+  });
+
+  it("keeps exact values such as 1609.344 by default", () => {
+    expect(DEFAULT_OUTPUT_FORMAT).toEqual({ notation: "significant", digits: 10 });
+    expect(formatConvertedValue(1609.344)).toBe("1609.344");
+    expect(formatConvertedValue(123456789012345)).toBe("123456789000000");
+    expect(formatConvertedValue(0.1 + 0.2)).toBe("0.3");
+  });
+
+  it("rounds to significant figures and drops trailing zeros", () => {
+    const format = { notation: "significant", digits: 3 };
+    expect(formatConvertedValue(1609.344, format)).toBe("1610");
+    expect(formatConvertedValue(0.000123456, format)).toBe("0.000123");
+    expect(formatConvertedValue(2.5, format)).toBe("2.5");
+  });
+
+  it("writes fixed decimals", () => {
+    expect(formatConvertedValue(1609.344, { notation: "fixed", digits: 2 })).toBe("1609.34");
+    expect(formatConvertedValue(2.5, { notation: "fixed", digits: 3 })).toBe("2.500");
+    expect(formatConvertedValue(2.5, { notation: "fixed", digits: 0 })).toBe("3");
+    expect(formatConvertedValue(-0.0001, { notation: "fixed", digits: 2 })).toBe("0.00");
+  });
+
+  it("writes scientific notation", () => {
+    const format = { notation: "scientific", digits: 4 };
+    expect(formatConvertedValue(1609.344, format)).toBe("1.609e+3");
+    expect(formatConvertedValue(-0.00042, format)).toBe("-4.200e-4");
+    expect(formatConvertedValue(0, format)).toBe("0.000e+0");
+  });
+
+  it("writes engineering notation with exponents that are multiples of three", () => {
+    const format = { notation: "engineering", digits: 4 };
+    expect(formatConvertedValue(1609.344, format)).toBe("1.609e+3");
+    expect(formatConvertedValue(16093.44, format)).toBe("16.09e+3");
+    expect(formatConvertedValue(160934.4, format)).toBe("160.9e+3");
+    expect(formatConvertedValue(0.00042, format)).toBe("420.0e-6");
+    expect(formatConvertedValue(-42, { notation: "engineering", digits: 1 })).toBe("-40e+0");
+    expect(formatConvertedValue(999.96, format)).toBe("1.000e+3");
+  });
+});
+
+describe("formatMixedValue", () => {
+  const feetAndInches = MIXED_UNITS.length[0];
+  const days = MIXED_UNITS.time[0];
+
+  it("splits lengths into feet and inches", () => {
+    const inches = convertValue(1.8, 3, 7, "length");
+    const format = { notation: "fixed", digits: 1 };
+    expect(formatMixedValue(inches, feetAndInches, "length", format)).toBe("5 ft 10.9 in");
+    expect(formatMixedValue(-71, feetAndInches, "length")).toBe("-5 ft 11 in");
+  });
+
+  it("splits seconds into days, hours, minutes and seconds", () => {
+    expect(formatMixedValue(5000, days, "time")).toBe("1 h 23 min 20 s");
+    expect(formatMixedValue(90061, days, "time")).toBe("1 d 1 h 1 min 1 s");
+    expect(formatMixedValue(0, days, "time")).toBe("0 s");
+  });
+
+  it("splits mass into stone and pounds, and pounds and ounces", () => {
+    const format = { notation: "fixed", digits: 2 };
+    expect(formatMixedValue(convertValue(80, 6, 9, "mass"), MIXED_UNITS.mass[0], "mass", format)).toBe(
+      "12 st 8.37 lb"
+    );
+    expect(formatMixedValue(40, MIXED_UNITS.mass[1], "mass")).toBe("2 lb 8 oz");
+  });
+
+  it("carries into larger units when the last part rounds up", () => {
+    const format = { notation: "fixed", digits: 0 };
+    expect(formatMixedValue(71.9999, feetAndInches, "length", format)).toBe("6 ft");
+    expect(formatMixedValue(3599.9, days, "time", format)).toBe("1 h");
+  });
+
+  it("writes numbers in the given locale", () => {
+    expect(formatMixedValue(12345 * 12 + 7.5, feetAndInches, "length", undefined, "de-DE")).toBe(
+      "12.345 ft 7,5 in"
+    );
+  });
+
   it("returns empty string for invalid input", () => {
-    expect(limitOutputSize(NaN)).toBe("");
-    expect(limitOutputSize(null)).toBe("");
-    expect(limitOutputSize(undefined)).toBe("");
+    expect(formatMixedValue(NaN, feetAndInches, "length")).toBe("");
+  });
+});
+
+describe("parseMixedValue", () => {
+  const feetAndInches = MIXED_UNITS.length[0];
+  const days = MIXED_UNITS.time[0];
+
+  it("parses values with units", () => {
+    expect(parseMixedValue("5 ft 11 in", feetAndInches, "length")).toBe(71);
+    expect(parseMixedValue("1 h 20 s", days, "time")).toBe(3620);
+    expect(parseMixedValue("11 st 4 lb", MIXED_UNITS.mass[0], "mass")).toBe(158);
   });
 
-  it("returns string representation for small numbers", () => {
-    expect(limitOutputSize(0)).toBe("0");
-    expect(limitOutputSize(42)).toBe("42");
-    expect(limitOutputSize(3.14)).toBe("3.14");
+  it("reads a plain number in the largest unit", () => {
+    expect(parseMixedValue("5.5", feetAndInches, "length")).toBe(66);
+    expect(parseMixedValue("5,5", feetAndInches, "length", "de-DE")).toBe(66);
   });
 
-  it("limits output to 8 bytes for large numbers", () => {
-    const bigNumber = 123456789012345;
-    const result = limitOutputSize(bigNumber);
-    expect(getByteSize(result)).toBeLessThanOrEqual(8);
+  it("reads colon-separated numbers as the smallest units", () => {
+    expect(parseMixedValue("1:23:20", days, "time")).toBe(5000);
+    expect(parseMixedValue("2:03:00:00", days, "time")).toBe(183600);
+  });
+
+  it("returns NaN for values it cannot read", () => {
+    expect(parseMixedValue("", days, "time")).toBeNaN();
+    expect(parseMixedValue("5 kg", feetAndInches, "length")).toBeNaN();
+    expect(parseMixedValue("1:2:3:4:5", days, "time")).toBeNaN();
+    expect(parseMixedValue("5 ft to cm", feetAndInches, "length")).toBeNaN();
+  });
+});
+
+describe("MIXED_UNITS", () => {
+  it("only uses units of their category", () => {
+    for (const [category, mixedUnits] of Object.entries(MIXED_UNITS)) {
+      const abbrs = UNIT_DEFINITIONS[category].map((unit) => unit.abbr);
+      for (const mixedUnit of mixedUnits) {
+        for (const abbr of mixedUnit.units) {
+          expect(abbrs.includes(abbr)).toBe(true);
+        }
+      }
+    }
+  });
+});
+
+describe("convertToAllUnits", () => {
+  it("converts a value to every unit of the category", () => {
+    const rows = convertToAllUnits(1, 6, "length");
+    expect(rows.length).toBe(UNIT_DEFINITIONS.length.length);
+    expect(rows[3]).toEqual({ name: "Meter", abbr: "m", value: "1000" });
+    expect(rows[6].value).toBe("1");
+    expect(rows[10].value).toBe("0.6213711922");
+  });
+
+  it("uses the result format", () => {
+    const rows = convertToAllUnits(100, 0, "temperature", { notation: "fixed", digits: 2 });
+    expect(rows.map((row) => row.value)).toEqual([
+      "100.00", "212.00", "373.15", "671.67", "80.00", "0.00",
+    ]);
+  });
+
+  it("accepts a unit id", () => {
+    expect(convertToAllUnits(1, "kilometer", "length")[3].value).toBe("1000");
+  });
+
+  it("returns no rows for an unknown category", () => {
+    expect(convertToAllUnits(1, 0, "unknown")).toEqual([]);
+  });
+});
+
+describe("formatConversionText", () => {
+  it("joins values and unit abbreviations into a sentence", () => {
+    const units = UNIT_DEFINITIONS.length;
+    expect(formatConversionText("12", units[6], "7.456", units[10])).toBe("12 km = 7.456 mi");
+  });
+
+  it("leaves out the unit of mixed values", () => {
+    expect(formatConversionText("1.8", { abbr: "m" }, "5 ft 10.9 in", { abbr: "" })).toBe(
+      "1.8 m = 5 ft 10.9 in"
+    );
+  });
+
+  it("keeps localized values as displayed", () => {
+    const units = UNIT_DEFINITIONS.mass;
+    expect(formatConversionText("1.000,5", units[1], "1", units[0])).toBe(
+      `1.000,5 ${units[1].abbr} = 1 ${units[0].abbr}`
+    );
+  });
+});
+
+describe("formatConversion", () => {
+  it("writes a saved conversion as a sentence", () => {
+    const format = { notation: "significant", digits: 4 };
+    expect(formatConversion({ category: "length", from: "kilometer", to: "mile", value: 12 }, format, "en-US")).toBe(
+      "12 km = 7.456 mi"
+    );
+    expect(formatConversion({ category: "length", from: "mixed-0", to: "centimeter", value: 71 }, format, "de-DE")).toBe(
+      "5 ft 11 in = 180,3 cm"
+    );
+  });
+
+  it("returns null when a unit no longer exists", () => {
+    const conversion = { category: "length", from: "furlong", to: "mile", value: 1 };
+    expect(formatConversion(conversion, DEFAULT_OUTPUT_FORMAT, "en-US")).toBeNull();
   });
 });
 
 describe("UNIT_DEFINITIONS", () => {
-  it("has all five categories", () => {
-    expect(UNIT_DEFINITIONS).toHaveProperty("length");
-    expect(UNIT_DEFINITIONS).toHaveProperty("mass");
-    expect(UNIT_DEFINITIONS).toHaveProperty("temperature");
-    expect(UNIT_DEFINITIONS).toHaveProperty("volume");
-    expect(UNIT_DEFINITIONS).toHaveProperty("time");
+  it("has all categories", () => {
+    const categories = [
+      "length", "mass", "temperature", "temperatureDifference", "volume", "time", "area", "speed",
+      "pressure", "energy", "power", "force", "data", "angle", "frequency", "currency",
+    ];
+    expect(Object.keys(UNIT_DEFINITIONS)).toEqual(categories);
+  });
+
+  it("has a label for every category", () => {
+    for (const category of Object.keys(UNIT_DEFINITIONS)) {
+      expect(CATEGORY_LABELS).toHaveProperty(category);
+    }
+    expect(getCategoryLabel("data")).toBe("Data Storage");
+    expect(getCategoryLabel("flow")).toBe("Flow");
   });
 
   it("each unit has name and abbr", () => {
@@ -138,11 +755,10 @@ describe("UNIT_DEFINITIONS", () => {
       const units = UNIT_DEFINITIONS[category];
       expect(Array.isArray(units)).toBe(true);
       for (const unit of units) {
+        expect(unit).toHaveProperty("id");
         expect(unit).toHaveProperty("name");
         expect(unit).toHaveProperty("abbr");
-        if (category !== "temperature") {
-          expect(unit).toHaveProperty("factor");
-        }
+        expect(unit).toHaveProperty("factor");
       }
     }
   });
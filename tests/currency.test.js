@@ -0,0 +1,61 @@
+/**
+ * Unit tests for exchange rate tables
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import { createCurrencyUnits, parseRateTable } from "../js/utils/currency.js";
+
+const expectError = (fn, type) => {
+  let caught = null;
+  try {
+    fn();
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught instanceof type).toBe(true);
+};
+
+describe("parseRateTable", () => {
+  it("reads JSON tables", () => {
+    const table = parseRateTable('{"base": "EUR", "date": "2024-12-31", "rates": {"USD": 1.0389, "gbp": 0.82918}}');
+    expect(table).toEqual({
+      base: "EUR",
+      date: "2024-12-31",
+      rates: { EUR: 1, USD: 1.0389, GBP: 0.82918 },
+    });
+  });
+
+  it("reads CSV tables, with or without a header", () => {
+    const csv = "date,currency,rate\n2024-12-31,EUR,1\n2024-12-31,USD,1.0389\n";
+    expect(parseRateTable(csv)).toEqual({
+      base: "EUR",
+      date: "2024-12-31",
+      rates: { EUR: 1, USD: 1.0389 },
+    });
+    expect(parseRateTable("2024-12-31,USD,1\r\n2024-12-31,JPY,157.2").base).toBe("USD");
+  });
+
+  it("keeps the latest rate of each currency", () => {
+    const table = parseRateTable("2024-12-30,EUR,1\n2024-12-31,USD,1.04\n2024-12-30,USD,1.03");
+    expect(table.date).toBe("2024-12-31");
+    expect(table.rates.USD).toBe(1.04);
+  });
+
+  it("rejects malformed tables", () => {
+    expectError(() => parseRateTable(""), SyntaxError);
+    expectError(() => parseRateTable('{"base": "EUR", "rates": {"USD": 1.1}}'), SyntaxError);
+    expectError(() => parseRateTable("2024-12-31,USD,1.1"), SyntaxError);
+    expectError(() => parseRateTable("31/12/2024,EUR,1"), SyntaxError);
+    expectError(() => parseRateTable("2024-12-31,EUR,1\n2024-12-31,DOLLAR,1.1"), SyntaxError);
+    expectError(() => parseRateTable("2024-12-31,EUR,1\n2024-12-31,USD,-1"), RangeError);
+  });
+});
+
+describe("createCurrencyUnits", () => {
+  it("lists the base currency first and the others by code", () => {
+    const units = createCurrencyUnits({ base: "EUR", rates: { USD: 1.25, EUR: 1, CHF: 0.5 } });
+    expect(units.map((unit) => unit.abbr)).toEqual(["EUR", "CHF", "USD"]);
+    expect(units[2]).toEqual({ id: "usd", name: "US Dollar", abbr: "USD", factor: 0.8 });
+    expect(units[1].factor).toBe(2);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for custom unit packs
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import { createUnitId, mergeUnitPack, parseUnitPack } from "../js/utils/custom-units.js";
+import { UNIT_DEFINITIONS } from "../js/components/converter.js";
+
+const expectError = (fn, type) => {
+  let caught = null;
+  try {
+    fn();
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught instanceof type).toBe(true);
+};
+
+const BARREL = { category: "volume", id: "barrel", name: "Barrel", abbr: "bbl", factor: 42, unit: "us-gallon" };
+
+describe("createUnitId", () => {
+  it("creates kebab-case ids from names", () => {
+    expect(createUnitId("Pallet (Euro)")).toBe("pallet-euro");
+    expect(createUnitId("Réaumur Degree")).toBe("reaumur-degree");
+    expect(createUnitId("  ")).toBe("");
+  });
+});
+
+describe("parseUnitPack", () => {
+  it("reads categories and units, creating missing ids", () => {
+    const pack = parseUnitPack(JSON.stringify({
+      categories: [{ label: "Internal Cost" }],
+      units: [{ category: "internal-cost", name: "Credit", abbr: "cr", factor: 1 }, BARREL],
+    }));
+    expect(pack).toEqual({
+      categories: [{ id: "internal-cost", label: "Internal Cost" }],
+      units: [
+        { category: "internal-cost", id: "credit", name: "Credit", abbr: "cr", factor: 1 },
+        BARREL,
+      ],
+    });
+    expect(parseUnitPack("{}")).toEqual({ categories: [], units: [] });
+  });
+
+  it("rejects malformed packs", () => {
+    expectError(() => parseUnitPack("not json"), SyntaxError);
+    expectError(() => parseUnitPack("[]"), SyntaxError);
+    expectError(() => parseUnitPack('{"units": {}}'), SyntaxError);
+    expectError(() => parseUnitPack('{"units": [{"category": "length", "abbr": "x", "factor": 1}]}'), SyntaxError);
+  });
+
+  it("rejects factors that are not positive numbers", () => {
+    expectError(() => parseUnitPack('{"units": [{"category": "length", "name": "X", "abbr": "x", "factor": 0}]}'), RangeError);
+    expectError(() => parseUnitPack('{"units": [{"category": "length", "name": "X", "abbr": "x", "factor": "2"}]}'), RangeError);
+  });
+});
+
+describe("mergeUnitPack", () => {
+  it("converts factors to the category's base unit", () => {
+    const { definitions } = mergeUnitPack(UNIT_DEFINITIONS, { categories: [], units: [BARREL] });
+    const barrel = definitions.volume[definitions.volume.length - 1];
+    expect(barrel.id).toBe("barrel");
+    expect(barrel.custom).toBe(true);
+    expect(barrel.factor).toBeCloseTo(158.987294928, 9);
+  });
+
+  it("does not change the given definitions", () => {
+    const count = UNIT_DEFINITIONS.volume.length;
+    mergeUnitPack(UNIT_DEFINITIONS, { categories: [], units: [BARREL] });
+    expect(UNIT_DEFINITIONS.volume.length).toBe(count);
+  });
+
+  it("adds new categories with their labels, leaving out empty ones", () => {
+    const { definitions, labels } = mergeUnitPack(UNIT_DEFINITIONS, {
+      categories: [{ id: "cost", label: "Internal Cost" }, { id: "empty", label: "Empty" }],
+      units: [
+        { category: "cost", id: "credit", name: "Credit", abbr: "cr", factor: 1 },
+        { category: "cost", id: "kilocredit", name: "Kilocredit", abbr: "kcr", factor: 1000, unit: "credit" },
+      ],
+    });
+    expect(labels).toEqual({ cost: "Internal Cost" });
+    expect(definitions.cost[1].factor).toBe(1000);
+    expect(definitions.empty).toBe(undefined);
+  });
+
+  it("rejects units it cannot place", () => {
+    const merge = (pack) => () => mergeUnitPack(UNIT_DEFINITIONS, { categories: [], ...pack });
+    expectError(merge({ categories: [{ id: "length", label: "Length" }] }), RangeError);
+    expectError(merge({ units: [{ ...BARREL, category: "cost" }] }), RangeError);
+    expectError(merge({ units: [{ ...BARREL, unit: "hogshead" }] }), RangeError);
+    expectError(merge({ units: [{ ...BARREL, category: "temperature", unit: "fahrenheit" }] }), RangeError);
+    expectError(merge({ units: [{ ...BARREL, category: "currency", unit: undefined }] }), RangeError);
+  });
+
+  it("pegs custom currencies to a listed currency", () => {
+    const dirham = { category: "currency", id: "aed", name: "UAE Dirham", abbr: "AED", factor: 0.25, unit: "usd" };
+    const { definitions } = mergeUnitPack(UNIT_DEFINITIONS, { categories: [], units: [dirham] });
+    const usd = definitions.currency.find((unit) => unit.id === "usd");
+    expect(definitions.currency.at(-1).factor).toBe(0.25 * usd.factor);
+  });
+});
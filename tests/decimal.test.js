@@ -0,0 +1,133 @@
+/**
+ * Unit tests for arbitrary-precision decimal arithmetic
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import { Decimal, DIVISION_PRECISION } from "../js/utils/decimal.js";
+
+const d = (text) => Decimal.parse(text);
+
+describe("Decimal.parse", () => {
+  it("reads integers, fractions, and exponents", () => {
+    expect(d("42").toString()).toBe("42");
+    expect(d("-12.50").toString()).toBe("-12.5");
+    expect(d(".25").toString()).toBe("0.25");
+    expect(d("1.5e3").toString()).toBe("1500");
+    expect(d("1e-7").toString()).toBe("0.0000001");
+  });
+
+  it("normalizes equal values to one representation", () => {
+    expect(d("1.000").scale).toBe(0);
+    expect(d("-0.0").toString()).toBe("0");
+  });
+
+  it("rejects invalid text", () => {
+    let error = null;
+    try {
+      d("1.2.3");
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof SyntaxError).toBe(true);
+  });
+
+  it("rejects out-of-range exponents", () => {
+    let error = null;
+    try {
+      d("1e100000");
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof RangeError).toBe(true);
+  });
+});
+
+describe("Decimal.from", () => {
+  it("converts numbers through their shortest string form", () => {
+    expect(Decimal.from(0.1).toString()).toBe("0.1");
+    expect(Decimal.from(-3).toString()).toBe("-3");
+    expect(Decimal.from(12n).toString()).toBe("12");
+  });
+
+  it("rejects non-finite numbers", () => {
+    let error = null;
+    try {
+      Decimal.from(Infinity);
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof RangeError).toBe(true);
+  });
+});
+
+describe("Decimal arithmetic", () => {
+  it("adds and subtracts exactly", () => {
+    expect(d("0.1").add(d("0.2")).toString()).toBe("0.3");
+    expect(d("1").sub(d("0.9")).toString()).toBe("0.1");
+    expect(d("99999999999999999999").add(1).toString()).toBe("100000000000000000000");
+  });
+
+  it("multiplies exactly", () => {
+    expect(d("1.1").mul(d("1.1")).toString()).toBe("1.21");
+    expect(d("-0.5").mul(4).toString()).toBe("-2");
+  });
+
+  it("divides to the requested precision", () => {
+    expect(d("1").div(4).toString()).toBe("0.25");
+    expect(d("2").div(3, 5).toString()).toBe("0.66667");
+    expect(d("1").div(3).toString().length).toBe(DIVISION_PRECISION + 2);
+  });
+
+  it("throws on division by zero", () => {
+    let error = null;
+    try {
+      d("1").div(0);
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof RangeError).toBe(true);
+  });
+
+  it("raises to integer powers exactly", () => {
+    expect(d("2").pow(100).toString()).toBe("1267650600228229401496703205376");
+    expect(d("0.1").pow(3).toString()).toBe("0.001");
+    expect(d("2").pow(-2).toString()).toBe("0.25");
+  });
+
+  it("falls back to floating point for fractional powers", () => {
+    expect(d("2").pow(d("0.5")).toNumber()).toBeCloseTo(Math.SQRT2, 12);
+  });
+
+  it("compares values", () => {
+    expect(d("0.3").cmp(d("0.30"))).toBe(0);
+    expect(d("-1").cmp(0)).toBe(-1);
+    expect(d("2.5").cmp(2)).toBe(1);
+  });
+});
+
+describe("Decimal.toBigInt", () => {
+  it("truncates toward zero", () => {
+    expect(d("2.7").toBigInt()).toBe(2n);
+    expect(d("-2.7").toBigInt()).toBe(-2n);
+    expect(d("12345678901234567890").toBigInt()).toBe(12345678901234567890n);
+  });
+});
+
+describe("Decimal.toSignificant", () => {
+  it("rounds to significant digits", () => {
+    expect(d("3.14159").toSignificant(3)).toBe("3.14");
+    expect(d("2.5").toSignificant(1)).toBe("3");
+    expect(d("-2.5").toSignificant(1)).toBe("-3");
+  });
+
+  it("uses exponential notation for large and tiny values", () => {
+    expect(d("123456789").toSignificant(4)).toBe("1.235e+8");
+    expect(d("0.00000012345").toSignificant(2)).toBe("1.2e-7");
+    expect(d("1e21").toSignificant(12)).toBe("1e+21");
+  });
+
+  it("keeps plain notation for values that fit", () => {
+    expect(d("0.000001").toSignificant(12)).toBe("0.000001");
+    expect(d("1234").toSignificant(12)).toBe("1234");
+  });
+});
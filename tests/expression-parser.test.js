@@ -0,0 +1,230 @@
+/**
+ * Unit tests for the calculator expression parser
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import {
+  tokenize,
+  parseExpression,
+  evaluateExpression,
+  evaluateFunction,
+  evaluatePostfix,
+} from "../js/utils/expression-parser.js";
+
+describe("tokenize", () => {
+  it("splits numbers, operators and parentheses", () => {
+    expect(tokenize("2 × (3 + 4)")).toEqual([
+      { type: "number", value: "2" },
+      { type: "operator", value: "×" },
+      { type: "paren", value: "(" },
+      { type: "number", value: "3" },
+      { type: "operator", value: "+" },
+      { type: "number", value: "4" },
+      { type: "paren", value: ")" },
+    ]);
+  });
+
+  it("keeps the literal text of numbers", () => {
+    expect(tokenize("0.5")).toEqual([{ type: "number", value: "0.5" }]);
+    expect(tokenize(".25")).toEqual([{ type: "number", value: ".25" }]);
+    expect(tokenize("1e-7")).toEqual([{ type: "number", value: "1e-7" }]);
+    expect(tokenize("12345678901234567890")).toEqual([
+      { type: "number", value: "12345678901234567890" },
+    ]);
+  });
+
+  it("reads functions, constants and postfix operators", () => {
+    expect(tokenize("sin(π) + 3!").map((t) => t.type)).toEqual([
+      "function",
+      "paren",
+      "constant",
+      "paren",
+      "operator",
+      "number",
+      "postfix",
+    ]);
+    expect(tokenize("2⁻¹ + √(4)²").map((t) => t.value)).toEqual([
+      "2",
+      "⁻¹",
+      "+",
+      "√",
+      "(",
+      "4",
+      ")",
+      "²",
+    ]);
+  });
+
+  it("throws SyntaxError for unknown names", () => {
+    let error = null;
+    try {
+      tokenize("foo(2)");
+    } catch (err) {
+      error = err;
+    }
+    expect(error instanceof SyntaxError).toBe(true);
+  });
+
+  it("normalizes ASCII operator aliases", () => {
+    expect(tokenize("6*2/3").map((t) => t.value)).toEqual(["6", "×", "2", "÷", "3"]);
+  });
+});
+
+describe("parseExpression", () => {
+  it("builds a tree that respects precedence", () => {
+    const tree = parseExpression("2 + 3 × 4");
+    expect(tree.type).toBe("binary");
+    expect(tree.operator).toBe("+");
+    expect(tree.right.operator).toBe("×");
+  });
+
+  it("throws SyntaxError for malformed input", () => {
+    const malformed = ["", "2 +", "(2 + 3", "2 + 3)", "2 $ 3", "× 2"];
+    for (const input of malformed) {
+      let error = null;
+      try {
+        parseExpression(input);
+      } catch (err) {
+        error = err;
+      }
+      expect(error instanceof SyntaxError).toBe(true);
+    }
+  });
+});
+
+describe("evaluateExpression", () => {
+  it("applies operator precedence", () => {
+    expect(String(evaluateExpression("2 + 3 × 4"))).toBe("14");
+    expect(String(evaluateExpression("10 - 6 ÷ 2"))).toBe("7");
+    expect(String(evaluateExpression("8 ÷ 4 × 2"))).toBe("4");
+    expect(String(evaluateExpression("10 - 4 - 3"))).toBe("3");
+  });
+
+  it("evaluates nested parentheses", () => {
+    expect(String(evaluateExpression("(2 + 3) × 4"))).toBe("20");
+    expect(String(evaluateExpression("((1 + 2) × (3 + 4)) ÷ 7"))).toBe("3");
+  });
+
+  it("handles unary minus", () => {
+    expect(String(evaluateExpression("-5 + 2"))).toBe("-3");
+    expect(String(evaluateExpression("2 × -3"))).toBe("-6");
+    expect(String(evaluateExpression("-(1 - 4)"))).toBe("3");
+    expect(String(evaluateExpression("5 - -3"))).toBe("8");
+  });
+
+  it('returns "Error" for division by zero', () => {
+    expect(evaluateExpression("1 ÷ 0")).toBe("Error");
+    expect(evaluateExpression("2 + 1 ÷ (3 - 3)")).toBe("Error");
+  });
+
+  it('returns "Error" for malformed expressions', () => {
+    expect(evaluateExpression("2 + ")).toBe("Error");
+    expect(evaluateExpression("(2 + 3")).toBe("Error");
+    expect(evaluateExpression("Error + 1")).toBe("Error");
+  });
+});
+
+describe("evaluateExpression - exact decimals", () => {
+  it("adds decimal fractions exactly", () => {
+    expect(String(evaluateExpression("0.1 + 0.2"))).toBe("0.3");
+    expect(String(evaluateExpression("1.1 × 1.1"))).toBe("1.21");
+    expect(String(evaluateExpression("0.3 - 0.1"))).toBe("0.2");
+  });
+
+  it("keeps every digit of large integers", () => {
+    expect(String(evaluateExpression("12345678901234567890 + 1"))).toBe("12345678901234567891");
+    expect(String(evaluateExpression("2 ^ 64"))).toBe("18446744073709551616");
+    expect(String(evaluateExpression("25!"))).toBe("15511210043330985984000000");
+  });
+
+  it("keeps tiny values instead of rounding them to zero", () => {
+    expect(String(evaluateExpression("1e-12 + 0"))).toBe("0.000000000001");
+    expect(String(evaluateExpression("1e-12 × 1e-12"))).toBe("0.000000000000000000000001");
+  });
+
+  it("rounds non-terminating division to 40 significant digits", () => {
+    expect(String(evaluateExpression("1 ÷ 3"))).toBe("0." + "3".repeat(40));
+    expect(String(evaluateExpression("1 ÷ 3 × 3"))).toBe("0." + "9".repeat(40));
+  });
+});
+
+describe("evaluateExpression - scientific", () => {
+  it("evaluates powers right-associatively and above unary minus", () => {
+    expect(String(evaluateExpression("2 ^ 10"))).toBe("1024");
+    expect(String(evaluateExpression("2 ^ 3 ^ 2"))).toBe("512");
+    expect(String(evaluateExpression("-2 ^ 2"))).toBe("-4");
+    expect(String(evaluateExpression("2 ^ -1"))).toBe("0.5");
+    expect(String(evaluateExpression("2 × 3 ^ 2"))).toBe("18");
+  });
+
+  it("evaluates postfix operators", () => {
+    expect(String(evaluateExpression("5!"))).toBe("120");
+    expect(String(evaluateExpression("3² + 4²"))).toBe("25");
+    expect(String(evaluateExpression("4⁻¹"))).toBe("0.25");
+    expect(String(evaluateExpression("(1 + 2)!"))).toBe("6");
+  });
+
+  it("evaluates functions and constants", () => {
+    expect(String(evaluateExpression("√(16) + ln(e)"))).toBe("5");
+    expect(String(evaluateExpression("log(1000)"))).toBe("3");
+    expect(evaluateExpression("2 × π").toNumber()).toBeCloseTo(6.283185307, 9);
+  });
+
+  it("uses the angle mode for trigonometric functions", () => {
+    expect(String(evaluateExpression("sin(90)", { angleMode: "deg" }))).toBe("1");
+    expect(String(evaluateExpression("cos(200)", { angleMode: "grad" }))).toBe("-1");
+    expect(String(evaluateExpression("sin(π ÷ 2)"))).toBe("1");
+    expect(String(evaluateExpression("asin(1)", { angleMode: "deg" }))).toBe("90");
+  });
+
+  it('returns "Error" for domain errors', () => {
+    expect(evaluateExpression("log(-5)")).toBe("Error");
+    expect(evaluateExpression("√(-1)")).toBe("Error");
+    expect(evaluateExpression("tan(90)", { angleMode: "deg" })).toBe("Error");
+    expect(evaluateExpression("(-8) ^ (1 ÷ 3)")).toBe("Error");
+    expect(evaluateExpression("2.5!")).toBe("Error");
+  });
+});
+
+describe("evaluateFunction", () => {
+  it("computes trigonometric functions in each angle mode", () => {
+    expect(evaluateFunction("sin", 30, "deg")).toBeCloseTo(0.5, 12);
+    expect(evaluateFunction("sin", 180, "deg")).toBe(0);
+    expect(evaluateFunction("tan", 45, "deg")).toBeCloseTo(1, 12);
+    expect(evaluateFunction("cos", 100, "grad")).toBe(0);
+    expect(evaluateFunction("cos", 0, "rad")).toBe(1);
+  });
+
+  it("rejects arguments outside the domain", () => {
+    expect(evaluateFunction("tan", 90, "deg")).toBe("Error");
+    expect(evaluateFunction("tan", 270, "deg")).toBe("Error");
+    expect(evaluateFunction("tan", 100, "grad")).toBe("Error");
+    expect(evaluateFunction("asin", 2, "deg")).toBe("Error");
+    expect(evaluateFunction("acos", -1.5, "rad")).toBe("Error");
+    expect(evaluateFunction("log", 0)).toBe("Error");
+    expect(evaluateFunction("ln", -1)).toBe("Error");
+    expect(evaluateFunction("√", -4)).toBe("Error");
+  });
+
+  it("returns inverse trigonometric results in the angle mode", () => {
+    expect(evaluateFunction("atan", 1, "deg")).toBeCloseTo(45, 12);
+    expect(evaluateFunction("acos", 0, "grad")).toBeCloseTo(100, 12);
+  });
+});
+
+describe("evaluatePostfix", () => {
+  it("computes factorials of non-negative integers", () => {
+    expect(evaluatePostfix(0, "!")).toBe(1);
+    expect(evaluatePostfix(10, "!")).toBe(3628800);
+  });
+
+  it('returns "Error" for invalid factorials', () => {
+    expect(evaluatePostfix(-1, "!")).toBe("Error");
+    expect(evaluatePostfix(1.5, "!")).toBe("Error");
+    expect(evaluatePostfix(501, "!")).toBe("Error");
+  });
+
+  it('returns "Error" for the reciprocal of zero', () => {
+    expect(evaluatePostfix(0, "⁻¹")).toBe("Error");
+  });
+});
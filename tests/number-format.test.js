@@ -0,0 +1,130 @@
+/**
+ * Unit tests for locale number formatting
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import {
+  formatNumberString,
+  formatNumbersInText,
+  getLocaleSeparators,
+  isNumberKey,
+  normalizeNumberString,
+  normalizeNumbersInText,
+  parseLocaleNumber,
+} from "../js/utils/number-format.js";
+
+describe("getLocaleSeparators", () => {
+  it("returns the grouping and decimal separators", () => {
+    expect(getLocaleSeparators("en-US")).toEqual({ group: ",", decimal: "." });
+    expect(getLocaleSeparators("de-DE")).toEqual({ group: ".", decimal: "," });
+    expect(getLocaleSeparators("pt-BR")).toEqual({ group: ".", decimal: "," });
+  });
+});
+
+describe("formatNumberString", () => {
+  it("groups thousands and uses the locale's decimal separator", () => {
+    expect(formatNumberString("1234567.5", "en-US")).toBe("1,234,567.5");
+    expect(formatNumberString("1234567.5", "pt-BR")).toBe("1.234.567,5");
+    expect(formatNumberString("-1234.25", "de-DE")).toBe("-1.234,25");
+  });
+
+  it("keeps every digit of long numbers", () => {
+    expect(formatNumberString("12345678901234567890.123456789", "en-US")).toBe(
+      "12,345,678,901,234,567,890.123456789"
+    );
+  });
+
+  it("follows the locale's grouping rules", () => {
+    expect(formatNumberString("1234567", "en-IN")).toBe("12,34,567");
+  });
+
+  it("keeps partial input and exponents", () => {
+    expect(formatNumberString("12.", "de-DE")).toBe("12,");
+    expect(formatNumberString("1.50", "de-DE")).toBe("1,50");
+    expect(formatNumberString("1.5e+21", "de-DE")).toBe("1,5e+21");
+  });
+
+  it("returns other text unchanged", () => {
+    expect(formatNumberString("Error", "de-DE")).toBe("Error");
+    expect(formatNumberString("FF", "en-US")).toBe("FF");
+  });
+});
+
+describe("formatNumbersInText", () => {
+  it("formats each number in a formula", () => {
+    expect(formatNumbersInText("1234.5 × -2000 =", "de-DE")).toBe("1.234,5 × -2.000 =");
+    expect(formatNumbersInText("sin(π ÷ 2)", "de-DE")).toBe("sin(π ÷ 2)");
+  });
+});
+
+describe("normalizeNumberString", () => {
+  it("reads numbers written in the locale", () => {
+    expect(normalizeNumberString("1.234,5", "de-DE")).toBe("1234.5");
+    expect(normalizeNumberString("1,234.5", "en-US")).toBe("1234.5");
+    expect(normalizeNumberString("-0,25", "pt-BR")).toBe("-0.25");
+  });
+
+  it("accepts any space as a grouping separator when the locale groups with spaces", () => {
+    expect(normalizeNumberString("1 234,5", "fr-FR")).toBe("1234.5");
+  });
+
+  it("returns null for text that is not a number", () => {
+    expect(normalizeNumberString("abc", "en-US")).toBeNull();
+    expect(normalizeNumberString("-", "en-US")).toBeNull();
+    expect(normalizeNumberString("1,2,3.4.5", "en-US")).toBeNull();
+  });
+
+  it("accepts grouping separators only between whole groups", () => {
+    expect(normalizeNumberString("12,345.6", "en-US")).toBe("12345.6");
+    expect(normalizeNumberString("1,234,567", "en-US")).toBe("1234567");
+    expect(normalizeNumberString("12,34,567.5", "en-IN")).toBe("1234567.5");
+    expect(normalizeNumberString("1,5", "en-US")).toBeNull();
+    expect(normalizeNumberString("1,23,4", "en-US")).toBeNull();
+    expect(normalizeNumberString("1.5,3", "en-US")).toBeNull();
+    expect(normalizeNumberString("1.5", "de-DE")).toBeNull();
+  });
+});
+
+describe("normalizeNumbersInText", () => {
+  it("normalizes every number in a formula", () => {
+    expect(normalizeNumbersInText("1.234,5 × 2,5", "de-DE")).toBe("1234.5 × 2.5");
+    expect(normalizeNumbersInText("1,234.5 + 2", "en-US")).toBe("1234.5 + 2");
+  });
+
+  it("leaves text without numbers unchanged", () => {
+    expect(normalizeNumbersInText("sin(π)", "fr-FR")).toBe("sin(π)");
+  });
+});
+
+describe("parseLocaleNumber", () => {
+  it("parses localized numbers", () => {
+    expect(parseLocaleNumber("1.234,5", "pt-BR")).toBe(1234.5);
+    expect(parseLocaleNumber("1e3", "de-DE")).toBe(1000);
+  });
+
+  it("returns NaN for invalid input", () => {
+    expect(parseLocaleNumber("", "en-US")).toBeNaN();
+  });
+});
+
+describe("isNumberKey", () => {
+  it("accepts digits, signs, exponents and the locale's separators", () => {
+    expect(isNumberKey({ key: "7" }, "en-US")).toBe(true);
+    expect(isNumberKey({ key: "e" }, "en-US")).toBe(true);
+    expect(isNumberKey({ key: "-" }, "en-US")).toBe(true);
+    expect(isNumberKey({ key: "," }, "de-DE")).toBe(true);
+    expect(isNumberKey({ key: "." }, "de-DE")).toBe(true);
+  });
+
+  it("accepts a regular space when the locale groups with a space", () => {
+    expect(isNumberKey({ key: " " }, "fr-FR")).toBe(true);
+    expect(isNumberKey({ key: " " }, "en-US")).toBe(false);
+  });
+
+  it("rejects other characters but not editing keys or shortcuts", () => {
+    expect(isNumberKey({ key: "x" }, "en-US")).toBe(false);
+    expect(isNumberKey({ key: "'" }, "en-US")).toBe(false);
+    expect(isNumberKey({ key: "Backspace" }, "en-US")).toBe(true);
+    expect(isNumberKey({ key: "a", ctrlKey: true }, "en-US")).toBe(true);
+  });
+});
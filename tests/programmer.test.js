@@ -0,0 +1,176 @@
+/**
+ * Unit tests for programmer-mode integer arithmetic
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import {
+  wrapToWordSize,
+  parseInteger,
+  formatInteger,
+  evaluateBitwiseOperation,
+  tokenizeInteger,
+  evaluateIntegerExpression,
+} from "../js/utils/programmer.js";
+
+describe("wrapToWordSize", () => {
+  it("wraps unsigned values modulo 2^bits", () => {
+    expect(wrapToWordSize(256n, 8, false)).toBe(0n);
+    expect(wrapToWordSize(-1n, 8, false)).toBe(255n);
+    expect(wrapToWordSize(-1n, 64, false)).toBe(18446744073709551615n);
+  });
+
+  it("wraps signed values in two's complement", () => {
+    expect(wrapToWordSize(127n, 8, true)).toBe(127n);
+    expect(wrapToWordSize(128n, 8, true)).toBe(-128n);
+    expect(wrapToWordSize(65535n, 16, true)).toBe(-1n);
+  });
+});
+
+describe("parseInteger", () => {
+  it("reads hexadecimal, octal, and binary text as bit patterns", () => {
+    expect(parseInteger("FF", 16, 8, false)).toBe(255n);
+    expect(parseInteger("ff", 16, 8, true)).toBe(-1n);
+    expect(parseInteger("777", 8, 16, false)).toBe(511n);
+    expect(parseInteger("1010", 2, 8, false)).toBe(10n);
+  });
+
+  it("reads signed decimal values", () => {
+    expect(parseInteger("-128", 10, 8, true)).toBe(-128n);
+    expect(parseInteger("255", 10, 8, false)).toBe(255n);
+  });
+
+  it("rejects digits outside the base", () => {
+    let error = null;
+    try {
+      parseInteger("12", 2, 8, false);
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof SyntaxError).toBe(true);
+  });
+
+  it("rejects values that do not fit in the word", () => {
+    const errors = [
+      ["100", 16, 8, false],
+      ["128", 10, 8, true],
+      ["-1", 10, 8, false],
+    ].map((args) => {
+      try {
+        parseInteger(...args);
+        return null;
+      } catch (e) {
+        return e;
+      }
+    });
+    expect(errors.every((error) => error instanceof RangeError)).toBe(true);
+  });
+});
+
+describe("formatInteger", () => {
+  it("formats decimal values with their sign", () => {
+    expect(formatInteger(-5n, 10, 8)).toBe("-5");
+    expect(formatInteger(42n, 10, 64)).toBe("42");
+  });
+
+  it("formats other bases as two's complement bit patterns", () => {
+    expect(formatInteger(-5n, 16, 8)).toBe("FB");
+    expect(formatInteger(-1n, 16, 32)).toBe("FFFFFFFF");
+    expect(formatInteger(10n, 2, 8)).toBe("1010");
+    expect(formatInteger(8n, 8, 8)).toBe("10");
+  });
+});
+
+describe("evaluateBitwiseOperation", () => {
+  it("applies AND, OR, and XOR", () => {
+    expect(evaluateBitwiseOperation(12n, "AND", 10n, 8, false)).toBe(8n);
+    expect(evaluateBitwiseOperation(12n, "OR", 10n, 8, false)).toBe(14n);
+    expect(evaluateBitwiseOperation(12n, "XOR", 10n, 8, false)).toBe(6n);
+  });
+
+  it("shifts left with wraparound", () => {
+    expect(evaluateBitwiseOperation(1n, "<<", 7n, 8, false)).toBe(128n);
+    expect(evaluateBitwiseOperation(1n, "<<", 7n, 8, true)).toBe(-128n);
+    expect(evaluateBitwiseOperation(1n, "<<", 8n, 8, false)).toBe(0n);
+    expect(evaluateBitwiseOperation(1n, "<<", 1000n, 64, false)).toBe(0n);
+  });
+
+  it("shifts right arithmetically when signed and logically when unsigned", () => {
+    expect(evaluateBitwiseOperation(-128n, ">>", 1n, 8, true)).toBe(-64n);
+    expect(evaluateBitwiseOperation(128n, ">>", 1n, 8, false)).toBe(64n);
+  });
+
+  it("wraps arithmetic results", () => {
+    expect(evaluateBitwiseOperation(255n, "+", 1n, 8, false)).toBe(0n);
+    expect(evaluateBitwiseOperation(0n, "-", 1n, 16, false)).toBe(65535n);
+    expect(evaluateBitwiseOperation(127n, "+", 1n, 8, true)).toBe(-128n);
+  });
+
+  it("truncates division toward zero", () => {
+    expect(evaluateBitwiseOperation(7n, "÷", 2n, 8, true)).toBe(3n);
+    expect(evaluateBitwiseOperation(-7n, "÷", 2n, 8, true)).toBe(-3n);
+  });
+
+  it("returns Error for division by zero and negative shifts", () => {
+    expect(evaluateBitwiseOperation(1n, "÷", 0n, 8, true)).toBe("Error");
+    expect(evaluateBitwiseOperation(1n, "<<", -1n, 8, true)).toBe("Error");
+  });
+});
+
+describe("tokenizeInteger", () => {
+  it("reads operator words before hexadecimal digits", () => {
+    expect(tokenizeInteger("FF AND 0F", 16)).toEqual([
+      { type: "number", value: "FF" },
+      { type: "operator", value: "AND" },
+      { type: "number", value: "0F" },
+    ]);
+  });
+
+  it("reads shifts, symbols, and NOT", () => {
+    const values = tokenizeInteger("NOT(1 << 2) & 3 | 4", 10).map((token) => token.value);
+    expect(values).toEqual(["NOT", "(", "1", "<<", "2", ")", "AND", "3", "OR", "4"]);
+  });
+
+  it("rejects digits outside the base", () => {
+    let error = null;
+    try {
+      tokenizeInteger("1F", 10);
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof SyntaxError).toBe(true);
+  });
+});
+
+describe("evaluateIntegerExpression", () => {
+  it("follows C operator precedence", () => {
+    expect(evaluateIntegerExpression("1 + 2 << 3")).toBe(24n);
+    expect(evaluateIntegerExpression("6 AND 3 OR 8")).toBe(10n);
+    expect(evaluateIntegerExpression("1 OR 6 XOR 4 AND 12")).toBe(3n);
+    expect(evaluateIntegerExpression("2 + 3 × 4")).toBe(14n);
+  });
+
+  it("applies NOT within the word size", () => {
+    expect(evaluateIntegerExpression("NOT 0", { bits: 8, signed: false })).toBe(255n);
+    expect(evaluateIntegerExpression("NOT 0", { bits: 8, signed: true })).toBe(-1n);
+    expect(evaluateIntegerExpression("NOT(5)", { bits: 16, signed: false })).toBe(65530n);
+  });
+
+  it("reads numbers in the given base", () => {
+    expect(evaluateIntegerExpression("FF + 1", { radix: 16, bits: 8, signed: false })).toBe(0n);
+    expect(evaluateIntegerExpression("F0 OR 0F", { radix: 16, bits: 8, signed: false })).toBe(255n);
+    expect(evaluateIntegerExpression("101 XOR 11", { radix: 2 })).toBe(6n);
+  });
+
+  it("wraps 64-bit results", () => {
+    expect(evaluateIntegerExpression("9223372036854775807 + 1")).toBe(-9223372036854775808n);
+    expect(evaluateIntegerExpression("0 - 1", { signed: false })).toBe(18446744073709551615n);
+  });
+
+  it("returns Error for invalid expressions", () => {
+    expect(evaluateIntegerExpression("1 ÷ 0")).toBe("Error");
+    expect(evaluateIntegerExpression("1 << -1")).toBe("Error");
+    expect(evaluateIntegerExpression("(1 + 2")).toBe("Error");
+    expect(evaluateIntegerExpression("1.5")).toBe("Error");
+    expect(evaluateIntegerExpression("2 AND")).toBe("Error");
+  });
+});
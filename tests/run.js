@@ -8,6 +8,17 @@ import { runAndRender } from "./test-runner.js";
 // Import test files so they register their suites
 import "./calculator.test.js";
 import "./converter.test.js";
+import "./expression-parser.test.js";
+import "./calculator-history.test.js";
+import "./decimal.test.js";
+import "./programmer.test.js";
+import "./number-format.test.js";
+import "./unit-query.test.js";
+import "./unit-algebra.test.js";
+import "./currency.test.js";
+import "./custom-units.test.js";
+import "./converter-favorites.test.js";
+import "./unit-picker.test.js";
 
 // Run tests and render results
 runAndRender("test-results");
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for dimensional analysis of compound units
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import {
+  CATEGORY_DIMENSIONS,
+  UNIT_DEFINITIONS,
+  convertValue,
+} from "../js/components/converter.js";
+import {
+  convertUnitExpression,
+  createUnitRegistry,
+  evaluateUnitQuery,
+  formatDimensions,
+  parseUnitExpression,
+  sameDimensions,
+} from "../js/utils/unit-algebra.js";
+import { splitUnitQuery } from "../js/utils/unit-query.js";
+
+const registry = createUnitRegistry(UNIT_DEFINITIONS, CATEGORY_DIMENSIONS);
+
+const expectError = (fn, type) => {
+  let caught = null;
+  try {
+    fn();
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught instanceof type).toBe(true);
+  return caught;
+};
+
+describe("createUnitRegistry", () => {
+  it("gives every unit with a factor its SI factor and dimensions", () => {
+    expect(registry.get("km")).toEqual({ factor: 1000, dimensions: { length: 1 } });
+    expect(registry.get("kg")).toEqual({ factor: 1, dimensions: { mass: 1 } });
+    expect(registry.get("N")).toEqual({ factor: 1, dimensions: { mass: 1, length: 1, time: -2 } });
+    expect(registry.get("L").factor).toBeCloseTo(0.001, 10);
+  });
+
+  it("registers aliases and leaves out temperature scales with offsets", () => {
+    expect(registry.get("kph")).toEqual(registry.get("km/h"));
+    expect(registry.has("°C")).toBe(false);
+    expect(registry.has("K")).toBe(false);
+    expect(registry.get("ΔK")).toEqual({ factor: 1, dimensions: { temperature: 1 } });
+  });
+
+  it("keeps the existing categories consistent with convertValue", () => {
+    for (const [category, units] of Object.entries(UNIT_DEFINITIONS)) {
+      if (!CATEGORY_DIMENSIONS[category] || units.some((unit) => unit.offset)) continue;
+      units.forEach((unit, index) => {
+        // Relative comparison: values range from 1e-19 J to 7e9 mg
+        const converted = convertUnitExpression(7, unit.abbr, units[0].abbr, registry);
+        expect(converted / convertValue(7, index, 0, category)).toBeCloseTo(1, 12);
+      });
+    }
+  });
+});
+
+describe("parseUnitExpression", () => {
+  it("multiplies, divides and raises units to powers", () => {
+    expect(parseUnitExpression("kg·m/s²", registry)).toEqual({
+      factor: 1,
+      dimensions: { mass: 1, length: 1, time: -2 },
+    });
+    expect(parseUnitExpression("m*s^-1", registry).dimensions).toEqual({ length: 1, time: -1 });
+    expect(parseUnitExpression("km⁻¹", registry).factor).toBeCloseTo(0.001, 10);
+  });
+
+  it("binds products tighter than division", () => {
+    expect(parseUnitExpression("J/kg·s", registry).dimensions).toEqual(
+      parseUnitExpression("J/(kg·s)", registry).dimensions
+    );
+    expect(parseUnitExpression("L/100km", registry).factor).toBeCloseTo(1e-8, 15);
+  });
+
+  it("reads trailing digits as powers and spaces as products", () => {
+    expect(parseUnitExpression("cm3", registry).factor).toBeCloseTo(1e-6, 12);
+    expect(parseUnitExpression("N m", registry)).toEqual(parseUnitExpression("J", registry));
+  });
+
+  it("rejects unknown units and malformed expressions", () => {
+    const error = expectError(() => parseUnitExpression("kg/furlong", registry), SyntaxError);
+    expect(error.message).toBe('Unknown unit "furlong"');
+    expectError(() => parseUnitExpression("(m/s", registry), SyntaxError);
+    expectError(() => parseUnitExpression("m/", registry), SyntaxError);
+    expectError(() => parseUnitExpression("", registry), SyntaxError);
+  });
+});
+
+describe("convertUnitExpression", () => {
+  it("converts between compatible compound units", () => {
+    expect(convertUnitExpression(1, "kg·m/s²", "N", registry)).toBeCloseTo(1, 10);
+    expect(convertUnitExpression(1, "mi/gal", "km/L", registry)).toBeCloseTo(0.425144, 6);
+    expect(convertUnitExpression(1, "kWh", "J", registry)).toBeCloseTo(3.6e6, 4);
+    expect(convertUnitExpression(1, "W·h", "kWh", registry)).toBeCloseTo(0.001, 10);
+    expect(convertUnitExpression(1, "N·m", "J", registry)).toBeCloseTo(1, 10);
+    expect(convertUnitExpression(1, "BTU/Δ°F", "kJ/ΔK", registry)).toBeCloseTo(1.899101, 6);
+  });
+
+  it("rejects units with different dimensions", () => {
+    const error = expectError(() => convertUnitExpression(1, "kg", "m", registry), TypeError);
+    expect(error.message).toBe("Cannot convert kg (mass) to m (length)");
+    expectError(() => convertUnitExpression(30, "mi/gal", "L/100km", registry), TypeError);
+  });
+});
+
+describe("formatDimensions", () => {
+  it("writes exponents as superscripts", () => {
+    expect(formatDimensions({ mass: 1, length: 2, time: -2 })).toBe("mass·length²·time⁻²");
+    expect(formatDimensions({})).toBe("dimensionless");
+  });
+
+  it("compares dimensions regardless of order", () => {
+    expect(sameDimensions({ length: 1, time: -1 }, { time: -1, length: 1 })).toBe(true);
+    expect(sameDimensions({ length: 1 }, { length: 1, time: 0 })).toBe(true);
+    expect(sameDimensions({ length: 1 }, { length: 2 })).toBe(false);
+  });
+});
+
+describe("evaluateUnitQuery", () => {
+  it("converts queries with compound units", () => {
+    const result = evaluateUnitQuery("60 mi/gal to km/L", registry);
+    expect(result.quantity).toBe("60 mi/gal");
+    expect(result.unit).toBe("km/L");
+    expect(result.value).toBeCloseTo(25.50864, 4);
+    expect(evaluateUnitQuery("2,5 kW·h in MJ", registry, "de-DE").value).toBeCloseTo(9, 10);
+  });
+
+  it("returns null for queries that cannot be parsed", () => {
+    expect(evaluateUnitQuery("60 mi/gal", registry)).toBeNull();
+    expect(evaluateUnitQuery("fast to slow", registry)).toBeNull();
+  });
+
+  it("throws for incompatible units", () => {
+    expectError(() => evaluateUnitQuery("1 kWh to kg", registry), TypeError);
+  });
+
+  it("splits queries at the last separator first", () => {
+    expect(splitUnitQuery("12 in in cm").map((part) => part.targetText.trim())).toEqual([
+      "cm",
+      "in cm",
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for the unit picker's search and keyboard navigation
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import { filterUnitOptions, matchUnitOption, moveActiveIndex } from "../js/components/unit-picker.js";
+
+const POUND = { value: "pound", label: "lb (Pound)", keywords: ["lb", "lbs", "pound", "pounds"] };
+const KILOGRAM = { value: "kilogram", label: "kg (Kilogram)", keywords: ["kg", "kilogram", "kilograms"] };
+const GROUPS = [
+  { label: "Metric", options: [KILOGRAM] },
+  { label: "Imperial / US customary", options: [POUND] },
+];
+
+describe("matchUnitOption", () => {
+  it("rates exact, prefix and substring matches", () => {
+    expect(matchUnitOption(POUND, "lbs")).toBe(3);
+    expect(matchUnitOption(POUND, "poun")).toBe(2);
+    expect(matchUnitOption(POUND, "ound")).toBe(1);
+    expect(matchUnitOption(POUND, "kg")).toBe(0);
+  });
+
+  it("ignores case and extra spaces", () => {
+    expect(matchUnitOption(POUND, "  POUNDS ")).toBe(3);
+    expect(matchUnitOption(POUND, "lb  (pound)")).toBe(3);
+  });
+
+  it("matches every option when the text is empty", () => {
+    expect(matchUnitOption(POUND, "")).toBe(1);
+  });
+});
+
+describe("filterUnitOptions", () => {
+  it("keeps matching options and drops empty groups", () => {
+    expect(filterUnitOptions(GROUPS, "pounds")).toEqual([{ label: "Imperial / US customary", options: [POUND] }]);
+  });
+
+  it("keeps every group for an empty text", () => {
+    expect(filterUnitOptions(GROUPS, " ")).toEqual(GROUPS);
+  });
+
+  it("returns no groups when nothing matches", () => {
+    expect(filterUnitOptions(GROUPS, "furlong")).toEqual([]);
+  });
+});
+
+describe("moveActiveIndex", () => {
+  it("moves by one option with the arrow keys", () => {
+    expect(moveActiveIndex("ArrowDown", -1, 5)).toBe(0);
+    expect(moveActiveIndex("ArrowDown", 2, 5)).toBe(3);
+    expect(moveActiveIndex("ArrowUp", 2, 5)).toBe(1);
+  });
+
+  it("moves by ten options with Page Down and Page Up", () => {
+    expect(moveActiveIndex("PageDown", 0, 25)).toBe(10);
+    expect(moveActiveIndex("PageDown", 10, 25)).toBe(20);
+    expect(moveActiveIndex("PageUp", 20, 25)).toBe(10);
+  });
+
+  it("stops at the first and last options", () => {
+    expect(moveActiveIndex("PageDown", 20, 25)).toBe(24);
+    expect(moveActiveIndex("PageUp", 5, 25)).toBe(0);
+    expect(moveActiveIndex("ArrowUp", 0, 5)).toBe(0);
+    expect(moveActiveIndex("ArrowDown", 4, 5)).toBe(4);
+  });
+
+  it("returns -1 when nothing is listed", () => {
+    expect(moveActiveIndex("ArrowDown", -1, 0)).toBe(-1);
+    expect(moveActiveIndex("PageDown", -1, 0)).toBe(-1);
+  });
+});
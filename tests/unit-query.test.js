@@ -0,0 +1,115 @@
+/**
+ * Unit tests for free-text unit conversion queries
+ */
+
+import { describe, it, expect } from "./test-runner.js";
+import { UNIT_DEFINITIONS } from "../js/components/converter.js";
+import { findUnits, parseUnitQuery } from "../js/utils/unit-query.js";
+
+const parse = (query, locale, preferredCategory) =>
+  parseUnitQuery(query, UNIT_DEFINITIONS, locale, preferredCategory);
+
+describe("findUnits", () => {
+  it("matches abbreviations, names and plurals", () => {
+    expect(findUnits("ft", UNIT_DEFINITIONS)).toEqual([{ category: "length", index: 8 }]);
+    expect(findUnits("feet", UNIT_DEFINITIONS)).toEqual([{ category: "length", index: 8 }]);
+    expect(findUnits("Inches", UNIT_DEFINITIONS)).toEqual([{ category: "length", index: 7 }]);
+    expect(findUnits("kilometers per hour", UNIT_DEFINITIONS)).toEqual([
+      { category: "speed", index: 1 },
+    ]);
+  });
+
+  it("matches aliases and plain spellings of symbols", () => {
+    expect(findUnits("kph", UNIT_DEFINITIONS)).toEqual([{ category: "speed", index: 1 }]);
+    expect(findUnits("C", UNIT_DEFINITIONS)).toEqual([{ category: "temperature", index: 0 }]);
+    expect(findUnits("m2", UNIT_DEFINITIONS)).toEqual([{ category: "area", index: 2 }]);
+    expect(findUnits("metres", UNIT_DEFINITIONS)).toEqual([{ category: "length", index: 3 }]);
+  });
+
+  it("prefers case-sensitive abbreviations", () => {
+    expect(findUnits("mm", UNIT_DEFINITIONS)).toEqual([{ category: "length", index: 0 }]);
+    expect(findUnits("Mbit", UNIT_DEFINITIONS)).toEqual([{ category: "data", index: 4 }]);
+  });
+
+  it("returns no units for unknown text", () => {
+    expect(findUnits("furlong", UNIT_DEFINITIONS)).toEqual([]);
+    expect(findUnits("  ", UNIT_DEFINITIONS)).toEqual([]);
+  });
+});
+
+describe("parseUnitQuery", () => {
+  it("parses mixed quantities in their last unit", () => {
+    expect(parse("5 ft 11 in to cm")).toEqual({
+      category: "length",
+      value: 71,
+      fromIndex: 7,
+      toIndex: 1,
+      quantity: "5 ft 11 in",
+    });
+    expect(parse("2 h 30 min to s").value).toBe(150);
+  });
+
+  it("accepts in, to, = and -> as separators", () => {
+    expect(parse("100 km/h in mph")).toEqual({
+      category: "speed",
+      value: 100,
+      fromIndex: 1,
+      toIndex: 3,
+      quantity: "100 km/h",
+    });
+    expect(parse("1 mile = km").toIndex).toBe(6);
+    expect(parse("1 kWh -> MJ").category).toBe("energy");
+  });
+
+  it("tells the inch unit from the in separator", () => {
+    const query = parse("12 in in cm");
+    expect(query.fromIndex).toBe(7);
+    expect(query.toIndex).toBe(1);
+  });
+
+  it("parses temperatures and numbers glued to units", () => {
+    expect(parse("72 F to C")).toEqual({
+      category: "temperature",
+      value: 72,
+      fromIndex: 1,
+      toIndex: 0,
+      quantity: "72 F",
+    });
+    expect(parse("72F to K").toIndex).toBe(2);
+    expect(parse("20 °Ré to °De").toIndex).toBe(5);
+  });
+
+  it("parses temperature differences", () => {
+    expect(parse("10 delta C to delta F")).toEqual({
+      category: "temperatureDifference",
+      value: 10,
+      fromIndex: 0,
+      toIndex: 1,
+      quantity: "10 delta C",
+    });
+    expect(parse("5 ΔK in Δ°F").category).toBe("temperatureDifference");
+  });
+
+  it("reads numbers in the given locale", () => {
+    expect(parse("1,5 kg to lb", "de-DE").value).toBe(1.5);
+    expect(parse("1,500 g to kg", "en-US").value).toBe(1500);
+  });
+
+  it("rejects numbers with misplaced grouping separators", () => {
+    expect(parse("5,5 km to mi", "en-US")).toBeNull();
+  });
+
+  it("parses a quantity without a target unit", () => {
+    const query = parse("3 nautical miles");
+    expect(query.fromIndex).toBe(11);
+    expect(query.toIndex).toBeNull();
+  });
+
+  it("returns null for queries it cannot convert", () => {
+    expect(parse("")).toBeNull();
+    expect(parse("five feet to cm")).toBeNull();
+    expect(parse("5 kg to cm")).toBeNull();
+    expect(parse("5 F 3 C to K")).toBeNull();
+    expect(parse("5 to cm")).toBeNull();
+  });
+});